@@ -2,6 +2,7 @@
 import fs from 'fs';
 import path from 'path';
 import Bot from './bot.js';
+import { manaValue } from './mana.js';
 
 const STRATEGY_FILE = path.resolve('./data/advancedBot_strategies.json');
 
@@ -36,6 +37,43 @@ export default class AdvancedBot extends Bot {
     return finalAction;
   }
 
+  decideChoice(botPlayer, choice) {
+    if (choice.type === 'mulligan') {
+      return [this.shouldKeep(botPlayer.hand, choice.bottomCount) ? 'keep' : 'mulligan'];
+    }
+    if (choice.type === 'london_bottom') {
+      return this.cardsToBottom(botPlayer.hand, choice.min).map(card => card.id);
+    }
+    return super.decideChoice(botPlayer, choice);
+  }
+
+  // Keep hands with a workable land count and something to cast early.
+  // Hands that would be five cards or fewer are always kept.
+  shouldKeep(hand, bottomCount = 0) {
+    const keptSize = hand.length - bottomCount;
+    if (keptSize <= 5) return true;
+
+    const lands = hand.filter(card => card.type?.includes('Land')).length;
+    const earlyPlays = hand.filter(card => !card.type?.includes('Land') && manaValue(card.manaCost) <= 3).length;
+
+    const minLands = keptSize >= 7 ? 2 : 1;
+    const maxLands = keptSize >= 7 ? 5 : 4;
+    return lands >= minLands && lands <= maxLands && earlyPlays >= 1;
+  }
+
+  // Bottom surplus lands first when flooded, otherwise the most expensive spells
+  cardsToBottom(hand, count) {
+    const lands = hand.filter(card => card.type?.includes('Land'));
+    const spells = hand
+      .filter(card => !card.type?.includes('Land'))
+      .sort((a, b) => manaValue(b.manaCost) - manaValue(a.manaCost));
+
+    const idealLands = Math.round((hand.length - count) * 3 / 7);
+    const surplusLands = lands.slice(0, Math.max(0, lands.length - idealLands));
+
+    return [...surplusLands, ...spells, ...lands].slice(0, count);
+  }
+
   extractGameState(botPlayer) {
     const opponent = this.game.players.find(p => p !== botPlayer);
 
@@ -49,7 +87,7 @@ export default class AdvancedBot extends Bot {
         graveyard: botPlayer.graveyard.map(card => this.cardToVector(card)),
         commandZone: botPlayer.commandZone.map(card => this.cardToVector(card)),
         landsPlayedThisTurn: botPlayer.landsPlayedThisTurn,
-        commanderTaxCount: botPlayer.commanderTaxCount,
+        commanderCastCounts: botPlayer.commanderCastCounts,
         manaPool: this.calculateManaPool(botPlayer)
       },
       opponent: {
@@ -66,7 +104,7 @@ export default class AdvancedBot extends Bot {
     return {
       id: card.id,
       name: card.name,
-      manaCost: card.manaCost || 0,
+      manaCost: manaValue(card.manaCost),
       type: this.encodeType(card.type),
       power: card.power || 0,
       toughness: card.toughness || 0,
@@ -126,16 +164,21 @@ export default class AdvancedBot extends Bot {
     return keywords;
   }
 
+  // Mana available this step: floating mana plus every untapped source
   calculateManaPool(botPlayer) {
-    const lands = botPlayer.battlefield.filter(c => c.type?.includes('Land'));
+    const sources = this.game.rulesEngine.manaAbilities.sources(botPlayer);
+    const floating = botPlayer.manaPool?.colors || {};
+    const count = (symbol, key) => (floating[key] || 0) + sources.filter(s => s.colors.includes(symbol)).length;
+
     return {
-      total: lands.length,
+      total: (botPlayer.manaPool?.total || 0) + sources.length,
       colors: {
-        white: lands.filter(l => l.colors?.includes('W')).length,
-        blue: lands.filter(l => l.colors?.includes('U')).length,
-        black: lands.filter(l => l.colors?.includes('B')).length,
-        red: lands.filter(l => l.colors?.includes('R')).length,
-        green: lands.filter(l => l.colors?.includes('G')).length
+        white: count('W', 'white'),
+        blue: count('U', 'blue'),
+        black: count('B', 'black'),
+        red: count('R', 'red'),
+        green: count('G', 'green'),
+        colorless: count('C', 'colorless')
       }
     };
   }
@@ -1,22 +1,78 @@
+import { manaValue } from './mana.js';
 export default class Bot {
  constructor(game) { this.game = game; }
  decide(botPlayer) {
+ const actions = this.mainPhaseActions(botPlayer);
+ // Si tiene criaturas en battlefield, declara ataque con todas
+ const attackers = botPlayer.battlefield.filter(c=>c.type && c.type.includes('Creature')).map(c=>c.id);
+ if (attackers.length) actions.push({ type: 'attack', attackers });
+ actions.push({ type: 'pass' });
+ return actions;
+ }
+ mainPhaseActions(botPlayer) {
  const actions = [];
  // Jugar tierra si puede
  if (botPlayer.landsPlayedThisTurn < 1) {
  const land = botPlayer.hand.find(c => c.type && c.type.includes('Land'));
  if (land) actions.push({ type: 'play-land', cardId: land.id });
  }
- // Jugar la criatura más barata en mano (simplificado: ignoramos maná colors)
+ // Jugar la criatura más barata en mano
  const creatures = botPlayer.hand.filter(c=>c.type && c.type.includes('Creature'));
  if (creatures.length) {
- creatures.sort((a,b)=>a.manaCost-b.manaCost);
+ creatures.sort((a,b)=>manaValue(a.manaCost)-manaValue(b.manaCost));
  actions.push({ type: 'cast', cardId: creatures[0].id });
  }
- // Si tiene criaturas en battlefield, declara ataque con todas
- const attackers = botPlayer.battlefield.filter(c=>c.type && c.type.includes('Creature')).map(c=>c.id);
- if (attackers.length) actions.push({ type: 'attack', attackers });
- actions.push({ type: 'pass' });
  return actions;
  }
-}
\ No newline at end of file
+ // Una sola acción cada vez que el bot recibe prioridad
+ decidePriority(botPlayer) {
+ const rules = this.game.rulesEngine;
+ // Con la pila llena el bot no responde: deja resolver
+ if (!rules.stack.isEmpty()) return { type: 'pass-priority' };
+ const legal = this.mainPhaseActions(botPlayer).find(a => rules.isActionLegal(botPlayer, a));
+ return legal || { type: 'pass-priority' };
+ }
+ // Ataca con todo lo que pueda atacar: a cada planeswalker o batalla le manda
+ // la criatura más pequeña que lo derriba, y el resto va al jugador
+ declareAttackers(botPlayer) {
+ const { combat, counters } = this.game.rulesEngine;
+ const available = botPlayer.battlefield.filter(c => combat.canAttack(c) && (c.power||0) > 0).sort((a,b)=>(a.power||0)-(b.power||0));
+ const declared = [];
+ for (const target of combat.attackTargets(botPlayer).filter(t => !this.game.players.includes(t))) {
+ const needed = counters.get(target, 'loyalty') + counters.get(target, 'defense');
+ const attacker = available.find(c => (c.power||0) >= needed);
+ if (!attacker) continue;
+ available.splice(available.indexOf(attacker), 1);
+ declared.push({ attackerId: attacker.id, targetId: target.id });
+ }
+ return [...declared, ...available.map(c => c.id)];
+ }
+ // Bloquea cuando el bloqueador sobrevive o se lleva al atacante por delante
+ declareBlockers(botPlayer) {
+ const combat = this.game.rulesEngine.combat;
+ const available = botPlayer.battlefield.filter(c => c.type && c.type.includes('Creature') && !c.tapped);
+ const blocks = [];
+ for (const attacker of combat.attackers) {
+ if (attacker.menace) continue;
+ const blocker = available.find(b => combat.canBlock(b, attacker) &&
+ ((b.toughness||0) > (attacker.power||0) || (b.power||0) >= (attacker.toughness||0)));
+ if (!blocker) continue;
+ available.splice(available.indexOf(blocker), 1);
+ blocks.push({ blockerId: blocker.id, attackerId: attacker.id });
+ }
+ return blocks;
+ }
+ // Respuesta inmediata a una elección pedida por el juego (devuelve ids)
+ decideChoice(botPlayer, choice) {
+ const options = choice.options.slice();
+ if (choice.type === 'discard') {
+ // descarta primero lo más caro
+ options.sort((a,b)=>manaValue(b.card?.manaCost)-manaValue(a.card?.manaCost));
+ }
+ // objetivos y cartas a elegir llegan ya ordenados: coge todos los que pueda
+ if (choice.type === 'choose_targets' || choice.type === 'choose_card') return options.slice(0, choice.max).map(o => o.id);
+ // proliferar solo lo que nos conviene
+ if (choice.type === 'proliferate') return options.filter(o => o.helpful).map(o => o.id);
+ return options.slice(0, choice.min).map(o => o.id);
+ }
+}
@@ -1,4 +1,7 @@
 // backend/src/game-engine/cardEffects.js
+import { emptyManaPool } from './mana.js';
+import { compileActivatedAbilities, compileOracleText } from './oracleCompiler.js';
+
 export default class CardEffects {
   constructor(rulesEngine) {
     this.rulesEngine = rulesEngine;
@@ -23,6 +26,14 @@ export default class CardEffects {
     this.effectTemplates.set('mill', this.createMillEffect());
     this.effectTemplates.set('scry', this.createScryEffect());
     this.effectTemplates.set('counter', this.createCounterEffect());
+    this.effectTemplates.set('exile', this.createExileEffect());
+    this.effectTemplates.set('lose_life', this.createLoseLifeEffect());
+    this.effectTemplates.set('win_game', this.createWinGameEffect());
+    this.effectTemplates.set('lose_game', this.createLoseGameEffect());
+    this.effectTemplates.set('put_counters', this.createPutCountersEffect());
+    this.effectTemplates.set('proliferate', this.createProliferateEffect());
+    this.effectTemplates.set('copy_spell', this.createCopySpellEffect());
+    this.effectTemplates.set('explore', this.createExploreEffect());
   }
 
   // Main effect application method
@@ -69,21 +80,11 @@ export default class CardEffects {
         const damage = source.power || source.damage || 0;
         if (damage <= 0) return true;
 
+        // Damage is dealt by the card, whatever carries the amount
+        const damageSource = source.card || source;
         for (const target of targets) {
-          if (target.type === 'player' || target.type === 'planeswalker') {
-            target.life = Math.max(0, target.life - damage);
-            this.rulesEngine.triggeredAbilities.recordEvent('damage_dealt', {
-              source: source,
-              target: target,
-              damage: damage
-            });
-          } else if (target.type === 'creature') {
-            target.damage = (target.damage || 0) + damage;
-            this.rulesEngine.triggeredAbilities.recordEvent('damage_dealt', {
-              source: source,
-              target: target,
-              damage: damage
-            });
+          if (['player', 'planeswalker', 'creature', 'battle'].some(kind => this.isTargetOfType(target, kind))) {
+            this.rulesEngine.dealDamage(damageSource, target, damage);
           }
         }
 
@@ -98,10 +99,11 @@ export default class CardEffects {
         const count = source.drawCount || 1;
 
         for (const target of targets) {
-          if (target.type === 'player') {
-            for (let i = 0; i < count && target.library.length > 0; i++) {
-              const card = target.library.pop();
-              target.hand.push(card);
+          if (this.isTargetOfType(target, 'player')) {
+            // Each draw can be replaced, and drawing from an empty library
+            // is recorded for state-based actions
+            for (let i = 0; i < count; i++) {
+              this.rulesEngine.drawCard(target);
             }
 
             this.rulesEngine.triggeredAbilities.recordEvent('cards_drawn', {
@@ -117,23 +119,80 @@ export default class CardEffects {
     };
   }
 
+  // "You win the game"
+  createWinGameEffect() {
+    return {
+      apply: (source, controller, targets, gameState) => {
+        this.rulesEngine.game.playerWins(controller, 'win_effect');
+        return true;
+      }
+    };
+  }
+
+  // "Target player loses the game"
+  createLoseGameEffect() {
+    return {
+      apply: (source, controller, targets, gameState) => {
+        for (const target of targets) {
+          if (this.isTargetOfType(target, 'player')) this.rulesEngine.game.playerLoses(target, 'lose_effect');
+        }
+        return true;
+      }
+    };
+  }
+
+  createExileEffect() {
+    return {
+      apply: (source, controller, targets, gameState) => {
+        for (const target of targets) {
+          if (this.isTargetOfType(target, 'permanent')) {
+            this.rulesEngine.moveCard(target, 'battlefield', 'exile');
+          }
+        }
+        return true;
+      }
+    };
+  }
+
+  createLoseLifeEffect() {
+    return {
+      apply: (source, controller, targets, gameState) => {
+        const amount = source.lifeLoss || 0;
+        for (const target of targets) {
+          if (this.isTargetOfType(target, 'player') && amount > 0) {
+            target.life -= amount;
+            this.rulesEngine.triggeredAbilities.recordEvent('life_lost', { player: target, amount, source });
+          }
+        }
+        return true;
+      }
+    };
+  }
+
   createDestroyEffect() {
     return {
       apply: (source, controller, targets, gameState) => {
         for (const target of targets) {
-          if (target.type === 'creature' || target.type === 'enchantment' || target.type === 'artifact') {
+          // Indestructible permanents can't be destroyed
+          if (this.isTargetOfType(target, 'permanent') && !target.indestructible) {
             const player = this.findCardOwner(target, gameState);
             if (player) {
               const index = player.battlefield.indexOf(target);
               if (index !== -1) {
-                player.battlefield.splice(index, 1);
-                player.graveyard.push(target);
-
-                this.rulesEngine.triggeredAbilities.recordEvent('permanent_destroyed', {
-                  permanent: target,
-                  controller: player,
-                  source: source
-                });
+                const isCreature = target.type?.includes('Creature');
+                this.rulesEngine.moveCard(target, 'battlefield', 'graveyard', { onMoved: (destination) => {
+                  // A replacement may have put it somewhere else instead
+                  if (destination !== 'graveyard') return;
+
+                  this.rulesEngine.triggeredAbilities.recordEvent('permanent_destroyed', {
+                    permanent: target,
+                    controller: player,
+                    source: source
+                  });
+                  if (isCreature) {
+                    this.rulesEngine.triggeredAbilities.recordEvent('creature_dies', { player, creature: target });
+                  }
+                } });
               }
             }
           }
@@ -148,13 +207,12 @@ export default class CardEffects {
     return {
       apply: (source, controller, targets, gameState) => {
         for (const target of targets) {
-          if (target.type === 'creature' || target.type === 'artifact' || target.type === 'enchantment') {
+          if (this.isTargetOfType(target, 'permanent')) {
             const player = this.findCardOwner(target, gameState);
             if (player) {
               const index = player.battlefield.indexOf(target);
               if (index !== -1) {
-                player.battlefield.splice(index, 1);
-                player.hand.push(target);
+                this.rulesEngine.moveCard(target, 'battlefield', 'hand');
 
                 this.rulesEngine.triggeredAbilities.recordEvent('permanent_bounced', {
                   permanent: target,
@@ -171,6 +229,29 @@ export default class CardEffects {
     };
   }
 
+  createPutCountersEffect() {
+    return {
+      apply: (source, controller, targets, gameState) => {
+        const { kind, count } = source.counterConfig || {};
+        if (!kind || !(count > 0)) return true;
+
+        for (const target of targets) {
+          this.rulesEngine.counters.add(target, kind, count);
+        }
+        return true;
+      }
+    };
+  }
+
+  createProliferateEffect() {
+    return {
+      apply: (source, controller, targets, gameState) => {
+        this.rulesEngine.counters.proliferate(controller, source.card || source);
+        return true;
+      }
+    };
+  }
+
   createGainLifeEffect() {
     return {
       apply: (source, controller, targets, gameState) => {
@@ -178,7 +259,7 @@ export default class CardEffects {
         if (amount <= 0) return true;
 
         for (const target of targets) {
-          if (target.type === 'player') {
+          if (this.isTargetOfType(target, 'player')) {
             target.life += amount;
             this.rulesEngine.triggeredAbilities.recordEvent('life_gained', {
               player: target,
@@ -193,33 +274,20 @@ export default class CardEffects {
     };
   }
 
+  // tokenConfig: a token definition with a `count`, `predefined` naming a
+  // token of tokens.js (Treasure, Food, ...), or `copy` to copy each target
   createTokenEffect() {
     return {
       apply: (source, controller, targets, gameState) => {
         const tokenConfig = source.tokenConfig;
         if (!tokenConfig) return true;
 
-        for (let i = 0; i < (tokenConfig.count || 1); i++) {
-          const token = {
-            id: `token_${Date.now()}_${i}`,
-            name: tokenConfig.name || 'Token',
-            type: tokenConfig.type || 'Creature',
-            power: tokenConfig.power || 0,
-            toughness: tokenConfig.toughness || 0,
-            colors: tokenConfig.colors || [],
-            keywords: tokenConfig.keywords || [],
-            abilities: tokenConfig.abilities || [],
-            isToken: true,
-            controller: controller
-          };
-
-          controller.battlefield.push(token);
-
-          this.rulesEngine.triggeredAbilities.recordEvent('token_created', {
-            token: token,
-            controller: controller,
-            source: source
-          });
+        const { count = 1, predefined, copy, tapped, ...definition } = tokenConfig;
+        const tokens = this.rulesEngine.tokens;
+        if (copy) {
+          for (const target of targets) tokens.createCopy(controller, target, { count, source });
+        } else {
+          tokens.create(controller, predefined || { type: 'Creature', ...definition }, { count, source, tapped });
         }
 
         return true;
@@ -227,6 +295,48 @@ export default class CardEffects {
     };
   }
 
+  createCopySpellEffect() {
+    return {
+      apply: (source, controller, targets, gameState) => {
+        for (const target of targets) this.rulesEngine.tokens.copySpell(target, controller);
+        return true;
+      }
+    };
+  }
+
+  // Explore: reveal the top card of your library. A land goes to your
+  // hand; otherwise the creature gets a +1/+1 counter and you may put the
+  // card into your graveyard.
+  createExploreEffect() {
+    return {
+      apply: (source, controller, targets, gameState) => {
+        for (const creature of targets) {
+          const card = controller.library[controller.library.length - 1];
+          if (card) this.rulesEngine.game.addLog(`${creature.name} explores and reveals ${card.name}`);
+
+          if (card?.type?.includes('Land')) {
+            this.rulesEngine.moveCard(card, 'library', 'hand');
+          } else {
+            this.rulesEngine.counters.add(creature, '+1/+1', 1);
+            if (card) {
+              this.rulesEngine.game.requestChoice(controller, {
+                type: 'explore',
+                prompt: `${creature.name} explores: put ${card.name} into your graveyard?`,
+                options: [{ id: card.id, label: `Put ${card.name} into your graveyard`, card }],
+                min: 0,
+                max: 1
+              }, (selection) => {
+                if (selection.includes(card.id)) this.rulesEngine.moveCard(card, 'library', 'graveyard');
+              });
+            }
+          }
+          this.rulesEngine.triggeredAbilities.recordEvent('explored', { player: controller, creature, card });
+        }
+        return true;
+      }
+    };
+  }
+
   createSearchEffect() {
     return {
       apply: (source, controller, targets, gameState) => {
@@ -235,13 +345,13 @@ export default class CardEffects {
 
         const searchResults = this.searchLibrary(
           controller.library,
-          searchConfig.type,
+          searchConfig.types || searchConfig.type,
           searchConfig.maxCount || 1
         );
 
         for (const card of searchResults) {
-          controller.hand.push(card);
-          controller.library = controller.library.filter(c => c.id !== card.id);
+          const destination = searchConfig.destination === 'battlefield' ? 'battlefield' : 'hand';
+          this.rulesEngine.moveCard(card, 'library', destination, { controller, tapped: !!searchConfig.tapped });
         }
 
         // Shuffle library
@@ -265,12 +375,11 @@ export default class CardEffects {
         if (count <= 0) return true;
 
         for (const target of targets) {
-          if (target.type === 'player') {
-            const milledCards = [];
-            for (let i = 0; i < count && target.library.length > 0; i++) {
-              const card = target.library.pop();
-              target.graveyard.push(card);
-              milledCards.push(card);
+          if (this.isTargetOfType(target, 'player')) {
+            // Milling more cards than the library has is not a loss
+            const milledCards = target.library.slice(-count).reverse();
+            for (const card of milledCards) {
+              this.rulesEngine.moveCard(card, 'library', 'graveyard');
             }
 
             this.rulesEngine.triggeredAbilities.recordEvent('cards_milled', {
@@ -293,7 +402,7 @@ export default class CardEffects {
         if (count <= 0) return true;
 
         for (const target of targets) {
-          if (target.type === 'player' && target.library.length >= count) {
+          if (this.isTargetOfType(target, 'player') && target.library.length >= count) {
             const scryCards = target.library.slice(-count);
             // In a real implementation, this would prompt the player
             // For now, just move cards back in the same order
@@ -315,14 +424,16 @@ export default class CardEffects {
       apply: (source, controller, targets, gameState) => {
         for (const target of targets) {
           if (target.type === 'spell' || target.type === 'ability') {
+            if (target.card && this.rulesEngine.cardScripts.cantBeCountered(target.card)) continue;
+
             // Counter the spell/ability
             const stackIndex = this.rulesEngine.stack.items.indexOf(target);
             if (stackIndex !== -1) {
               this.rulesEngine.stack.items.splice(stackIndex, 1);
 
-              // Move countered spell to graveyard
+              // Move countered spell to its owner's graveyard
               if (target.card) {
-                controller.graveyard.push(target.card);
+                this.rulesEngine.moveCard(target.card, 'stack', 'graveyard');
               }
 
               this.rulesEngine.triggeredAbilities.recordEvent('spell_countered', {
@@ -381,18 +492,14 @@ export default class CardEffects {
     // Draw 3 cards, then put 2 cards from hand on top of library
     if (controller.library.length >= 2) {
       // Draw 3 cards
-      for (let i = 0; i < 3 && controller.library.length > 0; i++) {
-        const card = controller.library.pop();
-        controller.hand.push(card);
+      for (let i = 0; i < 3; i++) {
+        this.rulesEngine.drawCard(controller);
       }
 
       // In a real implementation, player would choose which cards to put back
       // For now, put the last 2 cards drawn back
-      if (controller.hand.length >= 2) {
-        const card1 = controller.hand.pop();
-        const card2 = controller.hand.pop();
-        controller.library.push(card2);
-        controller.library.push(card1);
+      for (const card of controller.hand.slice(-2)) {
+        this.rulesEngine.moveCard(card, 'hand', 'library');
       }
     }
     return true;
@@ -400,7 +507,7 @@ export default class CardEffects {
 
   applyDarkRitual(source, controller, targets, gameState) {
     // Add BBB to mana pool
-    controller.manaPool = controller.manaPool || { total: 0, colors: { white: 0, blue: 0, black: 0, red: 0, green: 0 } };
+    controller.manaPool = controller.manaPool || emptyManaPool();
     controller.manaPool.total += 3;
     controller.manaPool.colors.black += 3;
     return true;
@@ -410,9 +517,8 @@ export default class CardEffects {
     // Target player draws 3 cards
     for (const target of targets) {
       if (target.type === 'player') {
-        for (let i = 0; i < 3 && target.library.length > 0; i++) {
-          const card = target.library.pop();
-          target.hand.push(card);
+        for (let i = 0; i < 3; i++) {
+          this.rulesEngine.drawCard(target);
         }
       }
     }
@@ -431,15 +537,13 @@ export default class CardEffects {
     const colors = ['white', 'blue', 'black', 'red', 'green'];
     const chosenColor = colors[Math.floor(Math.random() * colors.length)];
 
-    controller.manaPool = controller.manaPool || { total: 0, colors: { white: 0, blue: 0, black: 0, red: 0, green: 0 } };
+    controller.manaPool = controller.manaPool || emptyManaPool();
     controller.manaPool.total += 3;
     controller.manaPool.colors[chosenColor] += 3;
 
     // Sacrifice Black Lotus
-    const index = controller.battlefield.indexOf(source);
-    if (index !== -1) {
-      controller.battlefield.splice(index, 1);
-      controller.graveyard.push(source);
+    if (controller.battlefield.includes(source)) {
+      this.rulesEngine.moveCard(source, 'battlefield', 'graveyard');
     }
 
     return true;
@@ -447,11 +551,136 @@ export default class CardEffects {
 
   applySolRing(source, controller, targets, gameState) {
     // Add {C}{C} to mana pool
-    controller.manaPool = controller.manaPool || { total: 0, colors: { white: 0, blue: 0, black: 0, red: 0, green: 0 } };
+    controller.manaPool = controller.manaPool || emptyManaPool();
     controller.manaPool.total += 2;
     return true;
   }
 
+  // Effects compiled from oracle text. `targets` holds the legal targets
+  // of each targeted effect, in order (see Targeting.resolveTargets);
+  // effects without targets work out who they affect from their recipient.
+  applyCompiledEffects(effects, card, controller, targets = [], { x = 0 } = {}) {
+    const game = this.rulesEngine.game;
+    const remaining = [...targets];
+
+    for (const effect of effects) {
+      const affected = effect.target
+        ? remaining.shift() || []
+        : this.recipients(effect.recipient, controller, card);
+
+      const amount = effect.amount === 'X' ? x : effect.amount;
+      const source = this.templateSource(effect, card, amount, x);
+      this.applyTemplateEffect(effect.template, source, controller, affected, game);
+    }
+  }
+
+  compileCard(card) {
+    return compileOracleText(card);
+  }
+
+  // Activated abilities compiled from oracle text, in the shape
+  // RulesEngine.abilitiesOf returns; ids stay the same for a card
+  compiledAbilities(card) {
+    return compileActivatedAbilities(card).abilities.map((ability, index) => {
+      const targets = this.rulesEngine.targeting.specsForEffects(ability.effects);
+      return {
+        id: `${card.id}:ability:${index}`,
+        text: ability.text,
+        cost: ability.cost,
+        requiresTap: Boolean(ability.cost.tap),
+        sorcerySpeed: ability.sorcerySpeed,
+        oncePerTurn: ability.oncePerTurn,
+        requiresTarget: targets.length > 0,
+        targets,
+        effect: (source, controller, chosen = []) => this.applyCompiledEffects(ability.effects, source, controller, chosen)
+      };
+    });
+  }
+
+  // Parameters the effect templates read from their source
+  templateSource(effect, card, amount, x) {
+    switch (effect.template) {
+      case 'damage': return { card, name: card.name, damage: amount };
+      case 'draw': return { card, drawCount: amount };
+      case 'gain_life': return { card, lifeGain: amount };
+      case 'lose_life': return { card, lifeLoss: amount };
+      case 'mill': return { card, millCount: amount };
+      case 'scry': return { card, scryCount: amount };
+      case 'search_library': return { card, searchConfig: effect.search };
+      case 'put_counters': return { card, counterConfig: { kind: effect.counter, count: amount } };
+      case 'create_token': {
+        const resolve = (value) => (value === 'X' ? x : value);
+        const { power, toughness, ...token } = effect.token;
+        return { card, tokenConfig: { ...token, power: resolve(power), toughness: resolve(toughness), count: amount } };
+      }
+      default: return card;
+    }
+  }
+
+  recipients(recipient, controller, card) {
+    const game = this.rulesEngine.game;
+    const opponents = game.players.filter(p => p !== controller && !p.lost);
+    const creatures = (players) => players.flatMap(p => p.battlefield.filter(c => this.isTargetOfType(c, 'creature')));
+
+    switch (recipient) {
+      case 'you': return [controller];
+      case 'self': return [card];
+      case 'each_opponent': return opponents;
+      case 'each_player': return game.players.filter(p => !p.lost);
+      case 'each_creature': return creatures(game.players);
+      case 'each_opponent_creature': return creatures(opponents);
+      case 'each_other_creature': return creatures(game.players).filter(c => c !== card);
+      default: return [];
+    }
+  }
+
+  isLegalTarget(target, spec, controller, card) {
+    // A spell can't target itself; a permanent's ability can target the
+    // permanent
+    if (!target || (card && target.card === card)) return false;
+    const game = this.rulesEngine.game;
+
+    if (!spec.allowed.some(kind => this.isTargetOfType(target, kind))) return false;
+
+    if (this.isTargetOfType(target, 'spell')) {
+      const spellType = (target.card?.type || '').toLowerCase();
+      if ((spec.spellTypes || []).length > 0 && !spec.spellTypes.some(t => spellType.includes(t))) return false;
+      if ((spec.exclude || []).some(t => spellType.includes(t))) return false;
+      return true;
+    }
+
+    if ((spec.exclude || []).some(term => this.hasTypeOrColor(target, term))) return false;
+
+    if (spec.controller) {
+      const targetController = game.players.includes(target)
+        ? target
+        : game.players.find(p => p.battlefield.includes(target));
+      if (spec.controller === 'you' && targetController !== controller) return false;
+      if (spec.controller === 'opponent' && targetController === controller) return false;
+    }
+
+    return !(game.players.includes(target) && target.lost);
+  }
+
+  isTargetOfType(target, kind) {
+    const game = this.rulesEngine.game;
+
+    if (kind === 'player') return game.players.includes(target) || target.type === 'player';
+    if (kind === 'spell' || kind === 'ability') {
+      return this.rulesEngine.stack.items.includes(target) && target.type === kind;
+    }
+
+    const onBattlefield = game.players.some(p => p.battlefield.includes(target));
+    if (kind === 'permanent') return onBattlefield;
+    return onBattlefield && (target.type || '').toLowerCase().includes(kind);
+  }
+
+  hasTypeOrColor(card, term) {
+    const color = { white: 'W', blue: 'U', black: 'B', red: 'R', green: 'G' }[term];
+    if (color) return (card.colors || []).includes(color);
+    return (card.type || '').toLowerCase().includes(term);
+  }
+
   // Utility methods
 
   findCardOwner(card, gameState) {
@@ -475,11 +704,14 @@ export default class CardEffects {
     return null;
   }
 
+  // `type` is one type line fragment or a list of alternatives ("Forest", "Island")
   searchLibrary(library, type, maxCount) {
+    const types = [].concat(type || []).map(t => t.toLowerCase());
     const results = [];
     for (const card of library) {
       if (results.length >= maxCount) break;
-      if (card.type?.toLowerCase().includes(type.toLowerCase())) {
+      const typeLine = card.type?.toLowerCase() || '';
+      if (types.length === 0 || types.some(t => typeLine.includes(t))) {
         results.push(card);
       }
     }
@@ -521,6 +753,32 @@ class KeywordAbilities {
     this.keywords.set('protection', this.createProtectionKeyword());
   }
 
+  // Keywords printed on a card, from Scryfall's keyword list or from
+  // keyword-only lines of its rules text ("Flying, first strike")
+  keywordsOf(card) {
+    const found = new Set();
+
+    for (const keyword of card.keywords || []) {
+      const key = keyword.toLowerCase().replace(/\s+/g, '_');
+      if (this.keywords.has(key)) found.add(key);
+    }
+
+    for (const line of (card.text || '').split('\n')) {
+      const parts = line.split(',').map(part => part.trim().toLowerCase().replace(/\s+/g, '_'));
+      if (parts.length > 0 && parts.every(part => this.keywords.has(part))) {
+        parts.forEach(part => found.add(part));
+      }
+    }
+
+    return [...found];
+  }
+
+  applyPrintedKeywords(card, controller, gameState) {
+    for (const keyword of this.keywordsOf(card)) {
+      this.apply(keyword, card, controller, [], gameState);
+    }
+  }
+
   apply(keyword, source, controller, targets, gameState) {
     const keywordImpl = this.keywords.get(keyword);
     if (!keywordImpl) {
@@ -718,102 +976,20 @@ class ActivatedAbilities {
     this.cardEffects = cardEffects;
   }
 
+  // `activatedAbility.costs` has the shape oracleCompiler.parseCost returns;
+  // the rules engine pays it, waiting for the player's choices if needed
   apply(activatedAbility, source, controller, targets, gameState) {
-    // Check costs
-    if (!this.canPayCosts(activatedAbility.costs, source, controller, gameState)) {
+    const rulesEngine = this.cardEffects.rulesEngine;
+    const costs = activatedAbility.costs || {};
+    if (!rulesEngine.canPayCost(controller, costs, source)) {
       return false;
     }
 
-    // Pay costs
-    this.payCosts(activatedAbility.costs, source, controller, gameState);
-
-    // Apply effect
-    if (activatedAbility.effect) {
-      return this.cardEffects.applyEffect(activatedAbility.effect, source, controller, targets, gameState);
-    }
-
-    return false;
-  }
-
-  canPayCosts(costs, source, controller, gameState) {
-    if (!costs) return true;
-
-    for (const cost of costs) {
-      switch (cost.type) {
-        case 'tap':
-          if (source.tapped) return false;
-          break;
-        case 'mana':
-          if (!controller.manaPool || controller.manaPool.total < cost.amount) return false;
-          break;
-        case 'life':
-          if (controller.life < cost.amount) return false;
-          break;
-        case 'sacrifice':
-          if (!this.findCardToSacrifice(cost.filter, controller)) return false;
-          break;
-        case 'discard':
-          if (controller.hand.length === 0) return false;
-          break;
+    rulesEngine.payCosts(controller, costs, source, () => {
+      if (activatedAbility.effect) {
+        this.cardEffects.applyEffect(activatedAbility.effect, source, controller, targets, gameState);
       }
-    }
-
-    return true;
-  }
-
-  payCosts(costs, source, controller, gameState) {
-    if (!costs) return;
-
-    for (const cost of costs) {
-      switch (cost.type) {
-        case 'tap':
-          source.tapped = true;
-          break;
-        case 'mana':
-          controller.manaPool.total -= cost.amount;
-          break;
-        case 'life':
-          controller.life -= cost.amount;
-          break;
-        case 'sacrifice':
-          this.sacrificeCard(cost.filter, controller);
-          break;
-        case 'discard':
-          this.discardCard(controller);
-          break;
-      }
-    }
-  }
-
-  findCardToSacrifice(filter, controller) {
-    return controller.battlefield.find(card => {
-      if (!filter) return true;
-      return this.matchesFilter(card, filter);
     });
-  }
-
-  sacrificeCard(filter, controller) {
-    const card = this.findCardToSacrifice(filter, controller);
-    if (card) {
-      const index = controller.battlefield.indexOf(card);
-      if (index !== -1) {
-        controller.battlefield.splice(index, 1);
-        controller.graveyard.push(card);
-      }
-    }
-  }
-
-  discardCard(controller) {
-    if (controller.hand.length > 0) {
-      const card = controller.hand.pop();
-      controller.graveyard.push(card);
-    }
-  }
-
-  matchesFilter(card, filter) {
-    if (filter.type && !card.type?.includes(filter.type)) return false;
-    if (filter.color && !card.colors?.includes(filter.color)) return false;
-    if (filter.name && !card.name?.includes(filter.name)) return false;
     return true;
   }
 }
@@ -840,17 +1016,19 @@ class StaticAbilities {
     }
   }
 
+  // "+1/+1" or "-1/-1" on each target while the source stays on the
+  // battlefield, as a layer 7c effect
   applyPowerToughnessModification(staticAbility, source, controller, targets, gameState) {
+    const modifier = String(staticAbility.modifier || '').match(/^([+-]\d+)\/([+-]\d+)$/);
+    if (!modifier) return false;
+
+    const continuousEffects = this.cardEffects.rulesEngine.continuousEffects;
     for (const target of targets) {
-      if (target.type === 'creature') {
-        if (staticAbility.modifier === '+1/+1') {
-          target.power = (target.power || 0) + 1;
-          target.toughness = (target.toughness || 0) + 1;
-        } else if (staticAbility.modifier === '-1/-1') {
-          target.power = Math.max(0, (target.power || 0) - 1);
-          target.toughness = Math.max(0, (target.toughness || 0) - 1);
-        }
-        // Handle other modifiers as needed
+      if (target.type?.includes('Creature')) {
+        continuousEffects.modifyPowerToughness(target, { power: Number(modifier[1]), toughness: Number(modifier[2]) }, {
+          duration: 'source',
+          sourceId: source.id
+        });
       }
     }
     return true;
@@ -866,9 +1044,12 @@ class StaticAbilities {
     return true;
   }
 
+  // Prevents `amount` of the damage each target would be dealt while the
+  // source stays on the battlefield
   applyDamagePrevention(staticAbility, source, controller, targets, gameState) {
+    const replacementEffects = this.cardEffects.rulesEngine.replacementEffects;
     for (const target of targets) {
-      target.damagePrevention = (target.damagePrevention || 0) + (staticAbility.amount || 0);
+      replacementEffects.preventDamage(target, staticAbility.amount || 0, { duration: 'source', sourceId: source.id });
     }
     return true;
   }
@@ -0,0 +1,592 @@
+// backend/src/game-engine/cardScripts.js
+import { manaValue } from './mana.js';
+import { parseManaAbilities } from './manaAbilities.js';
+import { compileActivatedAbilities, compileOracleText, normalizeOracleText } from './oracleCompiler.js';
+import { TOKEN_DEFINITIONS } from './tokens.js';
+
+// Hand-written rules for cards the oracle compiler can't express, looked
+// up by card name. Scripts are plain data plus functions and never live on
+// the card objects themselves, so cards stay serializable.
+//
+//   data       type line, cost and oracle text merged into decks built by name
+//   targets    target specs chosen on cast (see oracleCompiler.parseTargetPhrase),
+//              optionally with `zone: 'graveyard'`, a `filter` and a `prefer`
+//              predicate for default targets, or `helpful` for our own side
+//   resolve    what the spell does when it resolves
+//   abilities  activated abilities: { text, cost, requiresTap, sorcerySpeed, oncePerTurn, targets, effect },
+//              with costs as oracleCompiler.parseCost returns them
+//   triggers   triggered abilities: { text, event, matches, effect, optional, interveningIf };
+//              leaves-the-battlefield triggers see their source as it last was there
+//   statics    continuous effects of the permanent while it's on the battlefield,
+//              in the shape ContinuousEffects expects ({ layer, sublayer, affects, apply })
+//
+// Script functions receive a context with `scripts`, `game`, `card`,
+// `controller` and the chosen `targets`.
+
+const ANY_TARGET = { allowed: ['creature', 'planeswalker', 'player', 'battle'] };
+
+const BASIC_LAND_TYPES = ['Plains', 'Island', 'Swamp', 'Mountain', 'Forest'];
+
+// Permanents that left the battlefield under this player's control this turn
+function revolt({ game, controller }) {
+  return game.rulesEngine.triggeredAbilities.triggeredEvents.some(event =>
+    event.type === 'zone_changed' && event.turn === game.turn &&
+    event.data.from === 'battlefield' && event.data.controller === controller
+  );
+}
+
+function firstOfEach(groups) {
+  return groups.map(group => group[0] || null);
+}
+
+function fatalPushLimit(context) {
+  return revolt(context) ? 4 : 2;
+}
+
+// "When CARDNAME enters and whenever an opponent draws a card except the
+// first one they draw in each of their draw steps"
+function bowmastersTrigger({ scripts, card, controller }) {
+  scripts.chooseTarget(ANY_TARGET, controller, card, (target) => {
+    scripts.damage(card, controller, target, 1);
+  });
+  scripts.amass(controller, card, 'Orc', 1);
+}
+
+// "Equipped creature gets +1/-1", "Enchanted creature gets -1/-0"
+function attachedGets({ power = 0, toughness = 0 }, link) {
+  return {
+    layer: 7,
+    sublayer: 'c',
+    affects: (permanent, values, { source }) => permanent.id === source[link],
+    apply: (values) => {
+      values.power = (Number(values.power) || 0) + power;
+      values.toughness = (Number(values.toughness) || 0) + toughness;
+    }
+  };
+}
+
+// Lhurgoyfs: power is the number of card types among cards in all
+// graveyards and toughness that number plus 1
+const CARD_TYPES = ['Artifact', 'Battle', 'Creature', 'Enchantment', 'Instant', 'Kindred', 'Land', 'Planeswalker', 'Sorcery'];
+
+function graveyardCardTypes(game) {
+  const cards = game.players.flatMap(p => p.graveyard);
+  return CARD_TYPES.filter(type => cards.some(card => (card.type || '').split('—')[0].includes(type))).length;
+}
+
+const LHURGOYF_SIZE = {
+  layer: 7,
+  sublayer: 'a',
+  affects: (permanent, values, { source }) => permanent === source,
+  apply: (values, permanent, { game }) => {
+    const types = graveyardCardTypes(game);
+    values.power = types;
+    values.toughness = types + 1;
+  }
+};
+
+function lhurgoyfText(name) {
+  return `${name}'s power is equal to the number of card types among cards in all graveyards and its toughness is equal to that number plus 1.`;
+}
+
+// "you may mill that many cards. If you do, you may put a creature card
+// from among them into your hand"; the may is answered as it resolves
+function barrowgoyfTrigger({ scripts, game, card, controller, eventData }) {
+  const milled = scripts.mill(card, controller, eventData.damage);
+  const creatures = milled.filter(found => (found.type || '').includes('Creature') && controller.graveyard.includes(found));
+  if (creatures.length === 0) return;
+
+  game.requestChoice(controller, {
+    type: 'choose_card',
+    prompt: `${card.name}: put a creature card into your hand?`,
+    options: creatures.map(found => ({ id: found.id, label: found.name, card: found })),
+    min: 0
+  }, ([cardId]) => {
+    const found = creatures.find(c => c.id === cardId);
+    if (found && controller.graveyard.includes(found)) scripts.rulesEngine.moveCard(found, 'graveyard', 'hand');
+  });
+}
+
+function fetchLand(name, types) {
+  const article = /^[AEIOU]/.test(types[0]) ? 'an' : 'a';
+  const wanted = types[0] === 'Basic Land' ? 'a basic land card' : `${article} ${types.join(' or ')} card`;
+  const text = `{T}, Pay 1 life, Sacrifice ${name}: Search your library for ${wanted}, put it onto the battlefield, then shuffle.`;
+  return {
+    data: { type: 'Land', text },
+    abilities: [{
+      text,
+      cost: { life: 1, sacrificeSelf: true },
+      requiresTap: true,
+      effect: ({ scripts, card, controller }) => scripts.search(controller, card, {
+        filter: (found) => types.some(type => (found.type || '').includes(type)),
+        // Dual lands first
+        rank: (found) => BASIC_LAND_TYPES.filter(type => (found.type || '').includes(type)).length,
+        destination: 'battlefield'
+      })
+    }]
+  };
+}
+
+const FETCH_LANDS = {
+  'Arid Mesa': ['Mountain', 'Plains'],
+  'Bloodstained Mire': ['Swamp', 'Mountain'],
+  'Flooded Strand': ['Plains', 'Island'],
+  'Marsh Flats': ['Plains', 'Swamp'],
+  'Misty Rainforest': ['Forest', 'Island'],
+  'Polluted Delta': ['Island', 'Swamp'],
+  'Scalding Tarn': ['Island', 'Mountain'],
+  'Verdant Catacombs': ['Swamp', 'Forest'],
+  'Windswept Heath': ['Forest', 'Plains'],
+  'Wooded Foothills': ['Mountain', 'Forest'],
+  'Prismatic Vista': ['Basic Land']
+};
+
+export const CARD_SCRIPTS = {
+  'Lightning Bolt': {
+    data: { type: 'Instant', manaCost: '{R}', text: 'Lightning Bolt deals 3 damage to any target.' },
+    targets: [ANY_TARGET],
+    resolve: ({ scripts, card, controller, targets: [target] }) => scripts.damage(card, controller, target, 3)
+  },
+
+  'Thoughtseize': {
+    data: { type: 'Sorcery', manaCost: '{B}', text: 'Target player reveals their hand. You choose a nonland card from it. That player discards that card. You lose 2 life.' },
+    targets: [{ allowed: ['player'] }],
+    resolve: ({ scripts, card, controller, targets: [player] }) => {
+      scripts.discardChosen(controller, player, (found) => !(found.type || '').includes('Land'));
+      scripts.loseLife(card, controller, 2);
+    }
+  },
+
+  'Fatal Push': {
+    data: { type: 'Instant', manaCost: '{B}', text: 'Destroy target creature if it has mana value 2 or less.\nRevolt — Destroy that creature if it has mana value 4 or less instead if a permanent left the battlefield under your control this turn.' },
+    targets: [{ allowed: ['creature'], prefer: (target, context) => manaValue(target.manaCost) <= fatalPushLimit(context) }],
+    resolve: (context) => {
+      const [creature] = context.targets;
+      if (manaValue(creature.manaCost) <= fatalPushLimit(context)) {
+        context.scripts.destroy(context.card, context.controller, creature);
+      }
+    }
+  },
+
+  'Dismember': {
+    data: { type: 'Instant', manaCost: '{1}{B/P}{B/P}', text: 'Target creature gets -5/-5 until end of turn.' },
+    targets: [{ allowed: ['creature'] }],
+    resolve: ({ scripts, targets: [creature] }) => scripts.modify(creature, { power: -5, toughness: -5 })
+  },
+
+  'Abrupt Decay': {
+    data: { type: 'Instant', manaCost: '{B}{G}', text: "This spell can't be countered.\nDestroy target nonland permanent with mana value 3 or less." },
+    cantBeCountered: true,
+    targets: [{ allowed: ['permanent'], exclude: ['land'], filter: (target) => manaValue(target.manaCost) <= 3 }],
+    resolve: ({ scripts, card, controller, targets: [permanent] }) => scripts.destroy(card, controller, permanent)
+  },
+
+  'Demonic Tutor': {
+    data: { type: 'Sorcery', manaCost: '{1}{B}', text: 'Search your library for a card, put that card into your hand, then shuffle.' },
+    resolve: ({ scripts, card, controller }) => scripts.search(controller, card, {
+      rank: (found) => manaValue(found.manaCost)
+    })
+  },
+
+  'Animate Dead': {
+    data: { type: 'Enchantment — Aura', manaCost: '{1}{B}', text: 'Enchant creature card in a graveyard\nWhen Animate Dead enters, if it\'s on the battlefield, it loses "enchant creature card in a graveyard" and gains "enchant creature put onto the battlefield with Animate Dead." Return enchanted creature card to the battlefield under your control and attach Animate Dead to it. When Animate Dead leaves the battlefield, that creature\'s controller sacrifices it.\nEnchanted creature gets -1/-0.' },
+    targets: [{ allowed: ['creature'], zone: 'graveyard' }],
+    resolve: ({ scripts, card, controller, targets: [creature] }) => scripts.reanimate(card, controller, creature),
+    triggers: [{
+      text: "When Animate Dead leaves the battlefield, that creature's controller sacrifices it.",
+      event: 'zone_changed',
+      matches: ({ card, from }, { source }) => card === source && from === 'battlefield',
+      effect: ({ scripts, card }) => scripts.sacrificeAttached(card)
+    }],
+    statics: [attachedGets({ power: -1 }, 'enchantmentTarget')]
+  },
+
+  'Skullclamp': {
+    data: { type: 'Artifact — Equipment', manaCost: '{1}', text: 'Equipped creature gets +1/-1.\nWhenever equipped creature dies, draw two cards.\nEquip {1}' },
+    abilities: [{
+      text: 'Equip {1}',
+      cost: { mana: '{1}' },
+      sorcerySpeed: true,
+      // Creatures that die to the -1 toughness draw right away
+      targets: [{ allowed: ['creature'], controller: 'you', helpful: true, prefer: (target) => target.toughness === 1 }],
+      effect: ({ scripts, card, targets: [creature] }) => scripts.attach(card, creature)
+    }],
+    statics: [attachedGets({ power: 1, toughness: -1 }, 'attachedTo')],
+    triggers: [{
+      text: 'Whenever equipped creature dies, draw two cards.',
+      event: 'zone_changed',
+      matches: ({ previousId, from, to }, { source }) => source.attachedTo === previousId && from === 'battlefield' && to === 'graveyard',
+      effect: ({ scripts, controller }) => scripts.draw(controller, 2)
+    }]
+  },
+
+  'Orcish Bowmasters': {
+    data: { type: 'Creature — Orc Archer', manaCost: '{1}{B}', power: 1, toughness: 1, text: 'Flash\nWhen Orcish Bowmasters enters and whenever an opponent draws a card except the first one they draw in each of their draw steps, Orcish Bowmasters deals 1 damage to any target. Then amass Orcs 1.' },
+    triggers: [{
+      text: 'When Orcish Bowmasters enters, it deals 1 damage to any target. Then amass Orcs 1.',
+      event: 'permanent_entered',
+      matches: ({ card }, { source }) => card === source,
+      effect: bowmastersTrigger
+    }, {
+      text: 'Whenever an opponent draws a card except the first one they draw in each of their draw steps, Orcish Bowmasters deals 1 damage to any target. Then amass Orcs 1.',
+      event: 'card_drawn',
+      matches: ({ player, turnDraw }, { controller }) => player !== controller && !turnDraw,
+      effect: bowmastersTrigger
+    }]
+  },
+
+  'Tarmogoyf': {
+    data: { type: 'Creature — Lhurgoyf', manaCost: '{1}{G}', power: '*', toughness: '1+*', text: lhurgoyfText('Tarmogoyf') },
+    statics: [LHURGOYF_SIZE]
+  },
+
+  'Barrowgoyf': {
+    data: { type: 'Creature — Lhurgoyf', manaCost: '{2}{B}', power: '*', toughness: '1+*', text: `Deathtouch, lifelink\n${lhurgoyfText('Barrowgoyf')}\nWhenever Barrowgoyf deals combat damage to a player, you may mill that many cards. If you do, you may put a creature card from among them into your hand.` },
+    statics: [LHURGOYF_SIZE],
+    triggers: [{
+      text: 'Whenever Barrowgoyf deals combat damage to a player, you may mill that many cards. If you do, you may put a creature card from among them into your hand.',
+      event: 'damage_dealt',
+      optional: true,
+      matches: ({ source, target, combat }, { source: goyf, game }) => combat && source === goyf && game.players.includes(target),
+      effect: barrowgoyfTrigger
+    }]
+  },
+
+  'Pyrogoyf': {
+    data: { type: 'Creature — Lhurgoyf', manaCost: '{3}{R}', power: '*', toughness: '1+*', text: `${lhurgoyfText('Pyrogoyf')}\nWhenever Pyrogoyf or another Lhurgoyf creature you control enters, that creature deals damage equal to its power to any target.` },
+    statics: [LHURGOYF_SIZE],
+    triggers: [{
+      text: 'Whenever Pyrogoyf or another Lhurgoyf creature you control enters, that creature deals damage equal to its power to any target.',
+      event: 'permanent_entered',
+      matches: ({ card, player }, { source, controller }) => (
+        card === source || (player === controller && /Creature.*—.*\bLhurgoyf\b/.test(card.type || ''))
+      ),
+      effect: ({ scripts, controller, eventData: { card } }) => {
+        scripts.chooseTarget(ANY_TARGET, controller, card, (target) => {
+          scripts.damage(card, controller, target, Number(card.power) || 0);
+        });
+      }
+    }]
+  },
+
+  'Survival of the Fittest': {
+    data: { type: 'Enchantment', manaCost: '{1}{G}', text: '{G}, Discard a creature card: Search your library for a creature card, reveal it, put it into your hand, then shuffle.' },
+    abilities: [{
+      text: '{G}, Discard a creature card: Search your library for a creature card, reveal it, put it into your hand, then shuffle.',
+      cost: { mana: '{G}', discard: 'Creature' },
+      effect: ({ scripts, card, controller }) => scripts.search(controller, card, {
+        filter: (found) => (found.type || '').includes('Creature'),
+        rank: (found) => manaValue(found.manaCost),
+        reveal: true
+      })
+    }]
+  },
+
+  // Token from Fable of the Mirror-Breaker (see tokens.js)
+  'Goblin Shaman': {
+    triggers: [{
+      text: 'Whenever this creature attacks, create a Treasure token.',
+      event: 'attackers_declared',
+      matches: ({ attackers }, { source }) => attackers.includes(source),
+      effect: ({ scripts, card, controller }) => scripts.createToken(controller, 'Treasure', card)
+    }]
+  },
+
+  'Goblin Bombardment': {
+    data: { type: 'Enchantment', manaCost: '{1}{R}', text: 'Sacrifice a creature: Goblin Bombardment deals 1 damage to any target.' },
+    abilities: [{
+      text: 'Sacrifice a creature: Goblin Bombardment deals 1 damage to any target.',
+      cost: { sacrifice: 'Creature' },
+      targets: [ANY_TARGET],
+      effect: ({ scripts, card, controller, targets: [target] }) => scripts.damage(card, controller, target, 1)
+    }]
+  },
+
+  ...Object.fromEntries(Object.entries(FETCH_LANDS).map(([name, types]) => [name, fetchLand(name, types)]))
+};
+
+export function getCardScript(card) {
+  return CARD_SCRIPTS[card?.name] || null;
+}
+
+// Card data for decks built from names (see cards.js)
+export function cardScriptData(name) {
+  return CARD_SCRIPTS[name]?.data || {};
+}
+
+const ENTERS_TAPPED = /enters (the battlefield )?tapped/i;
+const HANDLED_KEYWORDS = ['flying', 'trample', 'haste', 'vigilance', 'deathtouch', 'lifelink', 'first strike',
+  'double strike', 'indestructible', 'reach', 'menace', 'hexproof', 'flash'];
+
+function isHandledLine(card, line) {
+  if (ENTERS_TAPPED.test(line)) return true;
+  if (line.split(',').every(part => HANDLED_KEYWORDS.includes(part.trim().toLowerCase()))) return true;
+  if (compileActivatedAbilities({ name: card.name, text: line }).abilities.length > 0) return true;
+  return parseManaAbilities({ id: card.id, type: '', text: line }).length > 0;
+}
+
+// How much of a card the engine plays: 'scripted' here, 'compiled' from
+// its oracle text (spells, and permanents with activated abilities), 'mana'
+// for permanents whose every line is a mana ability, enters-tapped clause
+// or supported keyword, 'partial' for permanents with some unsupported
+// lines, 'unimplemented' otherwise
+export function cardCoverage(card) {
+  if (CARD_SCRIPTS[card.name]) return { status: 'scripted' };
+
+  const type = card.type || '';
+  if (type.includes('Basic') && type.includes('Land')) return { status: 'mana' };
+
+  if (type.includes('Instant') || type.includes('Sorcery')) {
+    const { effects, unsupported } = compileOracleText(card);
+    if (effects.length > 0 && unsupported.length === 0) return { status: 'compiled' };
+    return { status: 'unimplemented', missing: unsupported };
+  }
+
+  const lines = normalizeOracleText(card).split('\n').map(line => line.trim()).filter(Boolean);
+  const makesMana = parseManaAbilities(card).length > 0;
+  const hasAbilities = compileActivatedAbilities(card).abilities.length > 0;
+  if (!makesMana && !hasAbilities) return { status: 'unimplemented', missing: lines };
+
+  const missing = lines.filter(line => !isHandledLine(card, line));
+  if (missing.length > 0) return { status: 'partial', missing };
+  return { status: hasAbilities ? 'compiled' : 'mana' };
+}
+
+// Coverage of a deck by card name, e.g. for the bot's list
+export function scriptCoverage(cards) {
+  const report = { total: 0, scripted: [], compiled: [], mana: [], partial: [], unimplemented: [] };
+  const seen = new Set();
+
+  for (const card of cards) {
+    if (seen.has(card.name)) continue;
+    seen.add(card.name);
+
+    const { status, missing } = cardCoverage(card);
+    report.total++;
+    report[status].push(status === 'partial' ? { name: card.name, missing } : card.name);
+  }
+
+  return report;
+}
+
+export default class CardScripts {
+  constructor(rulesEngine) {
+    this.rulesEngine = rulesEngine;
+  }
+
+  get game() {
+    return this.rulesEngine.game;
+  }
+
+  get cardEffects() {
+    return this.rulesEngine.cardEffects;
+  }
+
+  get(card) {
+    return getCardScript(card);
+  }
+
+  cantBeCountered(card) {
+    return Boolean(this.get(card)?.cantBeCountered);
+  }
+
+  context(card, controller, extra = {}) {
+    return { scripts: this, game: this.game, card, controller, ...extra };
+  }
+
+  // `targets` are the legal targets left on resolution, one list per spec;
+  // scripts get the first of each (or null)
+  resolveSpell(item, targets = []) {
+    const { card, controller } = item;
+    const script = this.get(card);
+    if (!script?.resolve) return;
+
+    script.resolve(this.context(card, controller, { targets: firstOfEach(targets), xValue: item.xValue || 0 }));
+  }
+
+  // Activated abilities have ids that stay the same for a card
+  abilitiesOf(card) {
+    return (this.get(card)?.abilities || []).map((ability, index) => ({
+      id: `${card.id}:ability:${index}`,
+      text: ability.text,
+      // {T} is part of the cost RulesEngine pays
+      cost: ability.requiresTap ? { ...ability.cost, tap: true } : ability.cost || {},
+      requiresTap: Boolean(ability.requiresTap),
+      // Loyalty abilities are activated as sorceries
+      sorcerySpeed: Boolean(ability.sorcerySpeed) || ability.cost?.loyalty !== undefined,
+      oncePerTurn: Boolean(ability.oncePerTurn),
+      requiresTarget: (ability.targets || []).length > 0,
+      targets: ability.targets || [],
+      effect: (source, controller, targets = []) => {
+        ability.effect(this.context(source, controller, { targets: firstOfEach(targets) }));
+      }
+    }));
+  }
+
+  // Triggered abilities in the shape TriggeredAbilities expects. They
+  // trigger while their source is on the battlefield, or looking back at it
+  // for leaves-the-battlefield events.
+  triggersOf(card) {
+    return (this.get(card)?.triggers || []).map(trigger => ({
+      condition: 'script',
+      text: trigger.text,
+      optional: Boolean(trigger.optional),
+      interveningIf: trigger.interveningIf &&
+        ((source, controller, eventData) => trigger.interveningIf(this.context(source, controller, { eventData }))),
+      matches: (eventType, eventData, source, controller, { lookBack = false } = {}) => {
+        if (eventType !== trigger.event) return false;
+        if (!lookBack && !controller.battlefield.includes(source)) return false;
+        return trigger.matches(eventData, { source, controller, game: this.game });
+      },
+      effect: (source, controller, eventData) => {
+        trigger.effect(this.context(source, controller, { eventData }));
+      }
+    }));
+  }
+
+  // Targets of triggered abilities are picked when the trigger resolves
+  chooseTarget(spec, controller, card, onChosen) {
+    const targeting = this.rulesEngine.targeting;
+    if (!targeting.hasLegalTargets([spec], controller, card)) return;
+
+    targeting.chooseTargets(controller, [spec], card, ([[targetId]]) => {
+      const target = targetId && targeting.findLegal(spec, targetId, controller, card);
+      if (target) onChosen(target);
+    });
+  }
+
+  // Effects
+
+  damage(card, controller, target, amount) {
+    if (!target) return;
+    this.cardEffects.applyTemplateEffect('damage', { card, name: card.name, damage: amount }, controller, [target], this.game);
+  }
+
+  destroy(card, controller, permanent) {
+    if (!permanent) return;
+    this.cardEffects.applyTemplateEffect('destroy', card, controller, [permanent], this.game);
+  }
+
+  draw(player, count) {
+    this.cardEffects.applyTemplateEffect('draw', { drawCount: count }, player, [player], this.game);
+  }
+
+  // Returns the milled cards
+  mill(card, player, count) {
+    const milled = player.library.slice(-count).reverse();
+    this.cardEffects.applyTemplateEffect('mill', { card, millCount: count }, player, [player], this.game);
+    return milled;
+  }
+
+  loseLife(card, player, amount) {
+    this.cardEffects.applyTemplateEffect('lose_life', { card, lifeLoss: amount }, player, [player], this.game);
+  }
+
+  // "gets +N/+N until end of turn"
+  modify(creature, { power = 0, toughness = 0 }) {
+    if (!creature) return;
+    this.rulesEngine.continuousEffects.modifyPowerToughness(creature, { power, toughness }, { duration: 'end_of_turn' });
+  }
+
+  // The chooser looks at `player`'s hand and picks a card for them to discard
+  discardChosen(chooser, player, filter) {
+    if (!player) return;
+    const options = player.hand.filter(filter).sort((a, b) => manaValue(b.manaCost) - manaValue(a.manaCost));
+    if (options.length === 0) return;
+
+    this.game.requestChoice(chooser, {
+      type: 'choose_card',
+      prompt: `Choose a card for ${player.name} to discard`,
+      options: options.map(card => ({ id: card.id, label: card.name, card }))
+    }, ([cardId]) => {
+      const card = player.hand.find(c => c.id === cardId);
+      if (card) this.rulesEngine.moveCard(card, 'hand', 'graveyard');
+    });
+  }
+
+  // Search the player's library for a card matching `filter` and shuffle.
+  // Options are offered best first by `rank`.
+  search(player, card, { filter = () => true, rank = () => 0, destination = 'hand', reveal = false } = {}) {
+    const options = player.library.filter(filter).sort((a, b) => rank(b) - rank(a));
+
+    const finish = (found) => {
+      if (found) {
+        if (destination === 'battlefield') {
+          this.rulesEngine.moveCard(found, 'library', 'battlefield', { controller: player });
+        } else {
+          this.rulesEngine.moveCard(found, 'library', 'hand');
+          if (reveal) this.game.revealCards([found]);
+        }
+      }
+
+      this.cardEffects.shuffleArray(player.library);
+      this.rulesEngine.triggeredAbilities.recordEvent('library_searched', {
+        player,
+        cardsFound: found ? 1 : 0,
+        source: card
+      });
+    };
+
+    if (options.length === 0) {
+      finish(null);
+      return;
+    }
+
+    this.game.requestChoice(player, {
+      type: 'search',
+      prompt: `${card.name}: choose a card from your library`,
+      options: options.map(c => ({ id: c.id, label: c.name, card: c }))
+    }, ([cardId]) => finish(options.find(c => c.id === cardId)));
+  }
+
+  // Returns the tokens created; `token` is a definition or the name of
+  // one in tokens.js
+  createToken(player, token, source, count = 1) {
+    return this.rulesEngine.tokens.create(player, token, { count, source });
+  }
+
+  // Amass: put +1/+1 counters on an Army you control, creating a 0/0 one first
+  amass(player, card, subtype, count) {
+    let army = player.battlefield.find(c => /\bArmy\b/.test(c.type || ''));
+    if (!army) {
+      const name = `${subtype} Army`;
+      [army] = this.createToken(player, TOKEN_DEFINITIONS[name]
+        ? name
+        : { ...TOKEN_DEFINITIONS['Orc Army'], name, type: `Token Creature — ${subtype} Army` }, card);
+    }
+
+    if (army) this.rulesEngine.counters.add(army, '+1/+1', count);
+  }
+
+  // "becomes a copy of" until it leaves the battlefield
+  copy(permanent, original, except) {
+    if (!permanent || !original) return;
+    this.rulesEngine.continuousEffects.copy(permanent, original, { except });
+  }
+
+  // Attach an equipment; its static abilities follow `attachedTo`
+  attach(equipment, creature) {
+    if (!creature) return;
+    equipment.attachedTo = creature.id;
+    this.rulesEngine.continuousEffects.apply();
+  }
+
+  // Animate Dead: the creature comes back under the aura's controller
+  reanimate(aura, controller, creature) {
+    if (!creature) return;
+    this.rulesEngine.moveCard(creature, 'graveyard', 'battlefield', {
+      controller,
+      onMoved: () => {
+        aura.enchantmentTarget = creature.id;
+        this.rulesEngine.continuousEffects.apply();
+      }
+    });
+  }
+
+  sacrificeAttached(aura) {
+    for (const player of this.game.players) {
+      const creature = player.battlefield.find(c => c.id === aura.enchantmentTarget);
+      if (creature) this.rulesEngine.sacrifice(player, creature);
+    }
+  }
+}
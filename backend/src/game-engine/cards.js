@@ -1,5 +1,6 @@
 // backend/src/game-engine/cards.js
 import { v4 as uuid } from 'uuid';
+import { cardScriptData } from './cardScripts.js';
 
 // Lista completa del mazo del BOT (tal como me la diste)
 export const BOT_DECK_LIST = [
@@ -24,19 +25,74 @@ export const BOT_DECK_LIST = [
   "Worldly Tutor","Yavimaya, Cradle of Growth","Slimefoot and Squee"
 ];
 
+// Comandante del mazo del BOT
+export const BOT_COMMANDERS = ["Slimefoot and Squee"];
+
+// Datos de reglas de las tierras y criaturas de maná del mazo del BOT
+// (línea de tipo, coste y texto oracle) para que generen habilidades de maná
+export const CARD_DATA = {
+  "Slimefoot and Squee": { type: 'Legendary Creature — Fungus Goblin', manaCost: '{B}{R}{G}', power: 3, toughness: 3 },
+  "Forest": { type: 'Basic Land — Forest' },
+  "Mountain": { type: 'Basic Land — Mountain' },
+  "Swamp": { type: 'Basic Land — Swamp' },
+  "Badlands": { type: 'Land — Swamp Mountain', text: '({T}: Add {B} or {R}.)' },
+  "Bayou": { type: 'Land — Swamp Forest', text: '({T}: Add {B} or {G}.)' },
+  "Taiga": { type: 'Land — Mountain Forest', text: '({T}: Add {R} or {G}.)' },
+  "Blood Crypt": { type: 'Land — Swamp Mountain', text: "({T}: Add {B} or {R}.)\nAs Blood Crypt enters the battlefield, you may pay 2 life. If you don't, it enters the battlefield tapped." },
+  "Overgrown Tomb": { type: 'Land — Swamp Forest', text: "({T}: Add {B} or {G}.)\nAs Overgrown Tomb enters the battlefield, you may pay 2 life. If you don't, it enters the battlefield tapped." },
+  "Stomping Ground": { type: 'Land — Mountain Forest', text: "({T}: Add {R} or {G}.)\nAs Stomping Ground enters the battlefield, you may pay 2 life. If you don't, it enters the battlefield tapped." },
+  "Blackcleave Cliffs": { type: 'Land', text: 'Blackcleave Cliffs enters the battlefield tapped unless you control two or fewer other lands.\n{T}: Add {B} or {R}.' },
+  "Blooming Marsh": { type: 'Land', text: 'Blooming Marsh enters the battlefield tapped unless you control two or fewer other lands.\n{T}: Add {B} or {G}.' },
+  "Copperline Gorge": { type: 'Land', text: 'Copperline Gorge enters the battlefield tapped unless you control two or fewer other lands.\n{T}: Add {R} or {G}.' },
+  "Karplusan Forest": { type: 'Land', text: '{T}: Add {C}.\n{T}: Add {R} or {G}. Karplusan Forest deals 1 damage to you.' },
+  "Llanowar Wastes": { type: 'Land', text: '{T}: Add {C}.\n{T}: Add {B} or {G}. Llanowar Wastes deals 1 damage to you.' },
+  "Sulfurous Springs": { type: 'Land', text: '{T}: Add {C}.\n{T}: Add {B} or {R}. Sulfurous Springs deals 1 damage to you.' },
+  "Commercial District": { type: 'Land — Mountain Forest', text: '({T}: Add {R} or {G}.)\nCommercial District enters the battlefield tapped.\nWhen Commercial District enters the battlefield, surveil 1.' },
+  "Underground Mortuary": { type: 'Land — Swamp Forest', text: '({T}: Add {B} or {G}.)\nUnderground Mortuary enters the battlefield tapped.\nWhen Underground Mortuary enters the battlefield, surveil 1.' },
+  "Blazemire Verge": { type: 'Land', text: '{T}: Add {B}.\n{T}: Add {R}. Activate only if you control a Swamp or a Mountain.' },
+  "Wastewood Verge": { type: 'Land', text: '{T}: Add {G}.\n{T}: Add {B}. Activate only if you control a Swamp or a Forest.' },
+  "Arid Mesa": { type: 'Land', text: '{T}, Pay 1 life, Sacrifice Arid Mesa: Search your library for a Mountain or Plains card, put it onto the battlefield, then shuffle.' },
+  "Bloodstained Mire": { type: 'Land', text: '{T}, Pay 1 life, Sacrifice Bloodstained Mire: Search your library for a Swamp or Mountain card, put it onto the battlefield, then shuffle.' },
+  "Marsh Flats": { type: 'Land', text: '{T}, Pay 1 life, Sacrifice Marsh Flats: Search your library for a Plains or Swamp card, put it onto the battlefield, then shuffle.' },
+  "Misty Rainforest": { type: 'Land', text: '{T}, Pay 1 life, Sacrifice Misty Rainforest: Search your library for a Forest or Island card, put it onto the battlefield, then shuffle.' },
+  "Polluted Delta": { type: 'Land', text: '{T}, Pay 1 life, Sacrifice Polluted Delta: Search your library for an Island or Swamp card, put it onto the battlefield, then shuffle.' },
+  "Scalding Tarn": { type: 'Land', text: '{T}, Pay 1 life, Sacrifice Scalding Tarn: Search your library for an Island or Mountain card, put it onto the battlefield, then shuffle.' },
+  "Verdant Catacombs": { type: 'Land', text: '{T}, Pay 1 life, Sacrifice Verdant Catacombs: Search your library for a Swamp or Forest card, put it onto the battlefield, then shuffle.' },
+  "Windswept Heath": { type: 'Land', text: '{T}, Pay 1 life, Sacrifice Windswept Heath: Search your library for a Forest or Plains card, put it onto the battlefield, then shuffle.' },
+  "Wooded Foothills": { type: 'Land', text: '{T}, Pay 1 life, Sacrifice Wooded Foothills: Search your library for a Mountain or Forest card, put it onto the battlefield, then shuffle.' },
+  "Prismatic Vista": { type: 'Land', text: '{T}, Pay 1 life, Sacrifice Prismatic Vista: Search your library for a basic land card, put it onto the battlefield, then shuffle.' },
+  "Command Tower": { type: 'Land', text: "{T}: Add one mana of any color in your commander's color identity." },
+  "Mana Confluence": { type: 'Land', text: '{T}, Pay 1 life: Add one mana of any color.' },
+  "Grove of the Burnwillows": { type: 'Land', text: '{T}: Add {C}.\n{T}: Add {R} or {G}. Each opponent gains 1 life.' },
+  "Pendelhaven": { type: 'Legendary Land', text: '{T}: Add {G}.\n{T}: Target 1/1 creature gets +1/+2 until end of turn.' },
+  "Phyrexian Tower": { type: 'Legendary Land', text: '{T}: Add {C}.\n{T}, Sacrifice a creature: Add {B}{B}.' },
+  "Boseiju, Who Endures": { type: 'Legendary Land', text: '{T}: Add {G}.\nChannel — {1}{G}, Discard Boseiju, Who Endures: Destroy target artifact, enchantment, or nonbasic land an opponent controls. That player may search their library for a land card with a basic land type, put it onto the battlefield, then shuffle. This ability costs {1} less to activate for each legendary creature you control.' },
+  "Yavimaya, Cradle of Growth": { type: 'Legendary Land', text: 'Each land is a Forest in addition to its other land types.\n{T}: Add {G}.' },
+  "Llanowar Elves": { type: 'Creature — Elf Druid', manaCost: '{G}', power: 1, toughness: 1, text: '{T}: Add {G}.' },
+  "Elvish Mystic": { type: 'Creature — Elf Druid', manaCost: '{G}', power: 1, toughness: 1, text: '{T}: Add {G}.' },
+  "Fyndhorn Elves": { type: 'Creature — Elf Druid', manaCost: '{G}', power: 1, toughness: 1, text: '{T}: Add {G}.' },
+  "Birds of Paradise": { type: 'Creature — Bird', manaCost: '{G}', power: 0, toughness: 1, text: 'Flying\n{T}: Add one mana of any color.' },
+  "Elves of Deep Shadow": { type: 'Creature — Elf Druid', manaCost: '{B}', power: 1, toughness: 1, text: '{T}: Add {B}. Elves of Deep Shadow deals 1 damage to you.' },
+  "Ignoble Hierarch": { type: 'Creature — Goblin Shaman', manaCost: '{G}', power: 0, toughness: 1, text: 'Exalted\n{T}: Add {B}, {R}, or {G}.' },
+  "Delighted Halfling": { type: 'Creature — Halfling Citizen', manaCost: '{G}', power: 1, toughness: 2, text: '{T}: Add {C}.\n{T}: Add one mana of any color. Spend this mana only to cast a legendary spell, and that spell can\'t be countered.' },
+  "Arbor Elf": { type: 'Creature — Elf Druid', manaCost: '{G}', power: 1, toughness: 1, text: '{T}: Untap target Forest.' },
+};
+
 // constructor de carta simple
 function mkCard({ name, type = 'Unknown', manaCost = 0, power = null, toughness = null, text = '', isCommander = false, image = null }) {
   return { id: uuid(), name, type, manaCost, power, toughness, text, isCommander, image };
 }
 
 // Crea un mazo (array de objetos carta) a partir de una lista de nombres (strings).
-export function createDeckFromNames(namesArray = []) {
+// Las cartas de commanderNames quedan marcadas como comandante. Los datos de
+// las cartas con script (cardScripts.js) completan los de CARD_DATA.
+export function createDeckFromNames(namesArray = [], commanderNames = []) {
   const deck = [];
   for (const n of namesArray) {
-    deck.push(mkCard({ name: n }));
+    deck.push(mkCard({ name: n, ...cardScriptData(n), ...CARD_DATA[n], isCommander: commanderNames.includes(n) }));
   }
   // Si la lista tiene menos de 100 cartas y quieres completarla con tierras genéricas:
-  while (deck.length < 100) deck.push(mkCard({ name: 'Forest', type: 'Land', manaCost: 0 }));
+  while (deck.length < 100) deck.push(mkCard({ name: 'Forest', type: 'Basic Land — Forest', manaCost: 0 }));
   return deck;
 }
 
@@ -45,11 +101,11 @@ export function starterDecks() {
   // devolver un par de decks simplificados si hace falta
   const commanderA = mkCard({ name: 'Llanowar Elves Commander', type: 'Creature — Elf', manaCost: 2, power: 2, toughness: 2, isCommander: true });
   const deckA = [commanderA];
-  for (let i = 0; i < 99; i++) deckA.push(mkCard({ name: `Forest ${i+1}`, type: 'Land' }));
+  for (let i = 0; i < 99; i++) deckA.push(mkCard({ name: `Forest ${i+1}`, type: 'Basic Land — Forest' }));
 
   const commanderB = mkCard({ name: 'Goblin Commander', type: 'Creature — Goblin', manaCost: 3, power: 3, toughness: 3, isCommander: true });
   const deckB = [commanderB];
-  for (let i = 0; i < 99; i++) deckB.push(mkCard({ name: `Mountain ${i+1}`, type: 'Land' }));
+  for (let i = 0; i < 99; i++) deckB.push(mkCard({ name: `Mountain ${i+1}`, type: 'Basic Land — Mountain' }));
 
   return { deckA, deckB, commanderA, commanderB };
 }
@@ -0,0 +1,454 @@
+// backend/src/game-engine/combat.js
+export default class Combat {
+  constructor(rulesEngine) {
+    this.rulesEngine = rulesEngine;
+    this.pendingDeclaration = null;
+    this.blockerOrder = {};
+    this.damageAssignments = {};
+  }
+
+  get game() {
+    return this.rulesEngine.game;
+  }
+
+  get attackers() {
+    return this.game.attackingCreatures || [];
+  }
+
+  reset() {
+    this.game.attackingCreatures = [];
+    this.game.blockingAssignments = {};
+    this.game.attackersDeclared = false;
+    this.game.blockersDeclared = false;
+    this.pendingDeclaration = null;
+    this.blockerOrder = {};
+    this.damageAssignments = {};
+  }
+
+  // Creatures leave combat at the end of the combat phase
+  end() {
+    for (const player of this.game.players) {
+      for (const permanent of player.battlefield) {
+        permanent.isAttacking = false;
+        permanent.isBlocking = false;
+        permanent.blocked = false;
+        permanent.dealtFirstStrikeDamage = false;
+        delete permanent.attackTarget;
+      }
+    }
+    this.reset();
+  }
+
+  attackingPlayer() {
+    return this.game.players[this.game.activePlayerIndex];
+  }
+
+  defendingPlayer() {
+    return this.rulesEngine.getOpponent(this.attackingPlayer());
+  }
+
+  // ---------------- Declarations ---------------- //
+
+  // Declaring attackers and blockers are turn-based actions taken before
+  // anyone receives priority. Bots declare on the spot; humans answer with
+  // an 'attack' or 'block' action. Returns true while waiting on a human.
+  beginDeclaration(kind, onDone) {
+    const player = kind === 'attackers' ? this.attackingPlayer() : this.defendingPlayer();
+    if (!player) return false;
+
+    this.pendingDeclaration = { kind, playerId: player.id, onDone };
+
+    if (!player.isHuman) {
+      const bot = this.game.bot;
+      const action = kind === 'attackers'
+        ? { type: 'attack', attackers: bot.declareAttackers(player) }
+        : { type: 'block', blockers: bot.declareBlockers(player) };
+
+      try {
+        this.rulesEngine.processAction(player, action);
+      } catch (error) {
+        // An illegal bot declaration counts as declaring nothing
+        this.rulesEngine.processAction(player, { ...action, attackers: [], blockers: [] });
+      }
+      return true;
+    }
+
+    // Nobody holds priority while the declaration is pending
+    this.rulesEngine.priorityManager.holder = null;
+    return true;
+  }
+
+  isDeclaring(player, kind) {
+    return this.pendingDeclaration?.kind === kind && this.pendingDeclaration.playerId === player.id;
+  }
+
+  finishDeclaration() {
+    const declaration = this.pendingDeclaration;
+    if (!declaration) return;
+
+    this.pendingDeclaration = null;
+    if (declaration.kind === 'blockers') {
+      this.orderBlockers(declaration.onDone);
+    } else {
+      declaration.onDone();
+    }
+  }
+
+  canAttack(creature) {
+    if (!creature.type?.includes('Creature')) return false;
+    if (creature.tapped) return false;
+    if (creature.cannotAttack || creature.defender) return false;
+    if (this.rulesEngine.isSummoningSick(creature) && !creature.haste) return false;
+    return true;
+  }
+
+  // What the attacking player may attack: the defending player, the
+  // planeswalkers they control and the battles they protect
+  attackTargets(player) {
+    const defender = this.rulesEngine.getOpponent(player);
+    if (!defender) return [];
+
+    const permanents = this.game.players.flatMap(p => p.battlefield);
+    return [
+      defender,
+      ...defender.battlefield.filter(card => card.type?.includes('Planeswalker')),
+      ...permanents.filter(card => card.type?.includes('Battle') && card.protectorId === defender.id)
+    ];
+  }
+
+  // attackers: [{ attackerId, targetId }]; a bare id attacks the defending player
+  normalizeAttackers(player, attackers = []) {
+    const defender = this.rulesEngine.getOpponent(player);
+    return attackers.map(entry => (typeof entry === 'string'
+      ? { attackerId: entry, targetId: defender?.id }
+      : { attackerId: entry.attackerId, targetId: entry.targetId || defender?.id }));
+  }
+
+  canDeclareAttackers(player, attackers = []) {
+    if (this.game.step !== 'declare_attackers') return false;
+    if (!this.isDeclaring(player, 'attackers')) return false;
+
+    const declared = this.normalizeAttackers(player, attackers);
+
+    // A creature can only be declared once
+    const attackerIds = declared.map(a => a.attackerId);
+    if (new Set(attackerIds).size !== attackerIds.length) return false;
+
+    const targetIds = this.attackTargets(player).map(target => target.id);
+    for (const { attackerId, targetId } of declared) {
+      const attacker = this.rulesEngine.findCardInZone(player.battlefield, attackerId);
+      if (!attacker || !this.canAttack(attacker)) return false;
+      if (!targetIds.includes(targetId)) return false;
+    }
+
+    return true;
+  }
+
+  declareAttackers(player, attackers = []) {
+    this.game.attackingCreatures = [];
+
+    for (const { attackerId, targetId } of this.normalizeAttackers(player, attackers)) {
+      const attacker = this.rulesEngine.findCardInZone(player.battlefield, attackerId);
+      if (!attacker) continue;
+
+      // Vigilance keeps the attacker untapped
+      if (!attacker.vigilance) attacker.tapped = true;
+      attacker.isAttacking = true;
+      attacker.blocked = false;
+      attacker.attackTarget = targetId;
+      this.game.attackingCreatures.push(attacker);
+    }
+
+    this.game.attackersDeclared = true;
+
+    if (this.attackers.length > 0) {
+      this.rulesEngine.triggeredAbilities.recordEvent('attackers_declared', {
+        player,
+        attackers: this.attackers
+      });
+    }
+  }
+
+  // blockers: [{ blockerId, attackerId }]
+  canDeclareBlockers(player, blockers = []) {
+    if (this.game.step !== 'declare_blockers') return false;
+    if (!this.isDeclaring(player, 'blockers')) return false;
+
+    const blockerIds = blockers.map(b => b.blockerId);
+    if (new Set(blockerIds).size !== blockerIds.length) return false;
+
+    const blockCounts = {};
+    for (const { blockerId, attackerId } of blockers) {
+      const blocker = this.rulesEngine.findCardInZone(player.battlefield, blockerId);
+      const attacker = this.attackers.find(a => a.id === attackerId);
+      if (!blocker || !attacker) return false;
+      if (!blocker.type?.includes('Creature')) return false;
+      if (blocker.tapped) return false;
+      if (!this.canBlock(blocker, attacker)) return false;
+      blockCounts[attackerId] = (blockCounts[attackerId] || 0) + 1;
+    }
+
+    // Menace: blocked by two or more creatures, or not at all
+    for (const [attackerId, count] of Object.entries(blockCounts)) {
+      const attacker = this.attackers.find(a => a.id === attackerId);
+      if (attacker.menace && count < 2) return false;
+    }
+
+    return true;
+  }
+
+  canBlock(blocker, attacker) {
+    // Check blocking restrictions
+    if (blocker.cannotBlock) return false;
+    if (attacker.cannotBeBlocked) return false;
+
+    // Check for flying
+    if (this.hasFlying(attacker) && !this.hasFlying(blocker) && !blocker.reach) {
+      return false;
+    }
+
+    // Check for other keywords
+    if (attacker.intimidate) {
+      // Simplified intimidate check
+      const hasArtifact = blocker.type?.includes('Artifact');
+      const sharesColor = this.sharesColor(blocker, attacker);
+      return hasArtifact || sharesColor;
+    }
+
+    return true;
+  }
+
+  hasFlying(card) {
+    return Boolean(card.canFly || card.flying);
+  }
+
+  sharesColor(card1, card2) {
+    // Simplified color sharing check
+    if (!card1.colors || !card2.colors) return false;
+    return card1.colors.some(color => card2.colors.includes(color));
+  }
+
+  declareBlockers(player, blockers = []) {
+    this.game.blockingAssignments = {};
+
+    for (const { blockerId, attackerId } of blockers) {
+      const blocker = this.rulesEngine.findCardInZone(player.battlefield, blockerId);
+      const attacker = this.attackers.find(a => a.id === attackerId);
+      if (!blocker || !attacker) continue;
+
+      blocker.isBlocking = true;
+      attacker.blocked = true;
+
+      if (!this.game.blockingAssignments[attacker.id]) {
+        this.game.blockingAssignments[attacker.id] = [];
+      }
+      this.game.blockingAssignments[attacker.id].push(blocker);
+    }
+
+    this.game.blockersDeclared = true;
+
+    if (blockers.length > 0) {
+      this.rulesEngine.triggeredAbilities.recordEvent('blockers_declared', {
+        player,
+        blockingAssignments: this.game.blockingAssignments
+      });
+    }
+  }
+
+  // The attacking player puts each multiply-blocked attacker's blockers in
+  // damage assignment order, one attacker at a time
+  orderBlockers(onDone) {
+    const attackingPlayer = this.attackingPlayer();
+    const pending = this.attackers.filter(a => (this.game.blockingAssignments[a.id] || []).length > 1);
+
+    const next = () => {
+      const attacker = pending.shift();
+      if (!attacker) {
+        onDone();
+        return;
+      }
+
+      const blockers = this.game.blockingAssignments[attacker.id];
+      this.game.requestChoice(attackingPlayer, {
+        type: 'order_blockers',
+        prompt: `Order the creatures blocking ${attacker.name} (first receives damage first)`,
+        options: blockers.map(b => ({ id: b.id, label: b.name, card: b })),
+        min: blockers.length,
+        max: blockers.length,
+        attackerId: attacker.id
+      }, (selection) => {
+        this.blockerOrder[attacker.id] = selection;
+        next();
+      });
+    };
+
+    next();
+  }
+
+  orderedBlockers(attacker) {
+    const blockers = this.game.blockingAssignments[attacker.id] || [];
+    const order = this.blockerOrder[attacker.id];
+    if (!order) return blockers;
+    return order.map(id => blockers.find(b => b.id === id)).filter(Boolean);
+  }
+
+  // ---------------- Damage ---------------- //
+
+  // The player, planeswalker or battle an attacker is attacking. A
+  // planeswalker or battle that left the battlefield or stopped being one
+  // is no longer attacked and isn't dealt the attacker's damage.
+  attackedObject(attacker) {
+    const player = this.game.players.find(p => p.id === attacker.attackTarget);
+    if (player) return player;
+
+    const permanent = this.game.players
+      .flatMap(p => p.battlefield)
+      .find(card => card.id === attacker.attackTarget);
+    if (!permanent) return null;
+    return permanent.type?.includes('Planeswalker') || permanent.type?.includes('Battle') ? permanent : null;
+  }
+
+  // assignments: [{ targetId, amount }] where targetId is a blocker id or
+  // the id of the player, planeswalker or battle attacked (trample only)
+  canAssignDamage(player, attackerId, assignments = []) {
+    if (player !== this.attackingPlayer()) return false;
+    if (!['declare_blockers', 'first_strike_damage'].includes(this.game.step)) return false;
+
+    const attacker = this.attackers.find(a => a.id === attackerId);
+    if (!attacker || !attacker.blocked) return false;
+
+    return this.isValidAssignment(attacker, assignments);
+  }
+
+  assignDamage(attackerId, assignments) {
+    this.damageAssignments[attackerId] = assignments;
+  }
+
+  isValidAssignment(attacker, assignments) {
+    const blockers = this.orderedBlockers(attacker).filter(b => this.isOnBattlefield(b));
+    const defender = attacker.trample ? this.attackedObject(attacker) : null;
+    const power = Math.max(0, attacker.power || 0);
+
+    const total = assignments.reduce((sum, a) => sum + a.amount, 0);
+    if (total !== power || assignments.some(a => a.amount < 0)) return false;
+
+    const amountFor = (id) => assignments
+      .filter(a => a.targetId === id)
+      .reduce((sum, a) => sum + a.amount, 0);
+
+    const validTargets = [...blockers.map(b => b.id), ...(defender ? [defender.id] : [])];
+    if (assignments.some(a => !validTargets.includes(a.targetId))) return false;
+
+    // A creature can't be assigned damage until every creature before it in
+    // the order has been assigned lethal damage; the same goes for what it attacks
+    for (let i = 0; i < blockers.length; i++) {
+      const later = blockers.slice(i + 1).reduce((sum, b) => sum + amountFor(b.id), 0) +
+        (defender ? amountFor(defender.id) : 0);
+      if (later > 0 && amountFor(blockers[i].id) < this.lethalDamage(attacker, blockers[i])) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  lethalDamage(source, creature) {
+    if (source.deathtouch) return 1;
+    return Math.max(0, (creature.toughness || 0) - (creature.damage || 0));
+  }
+
+  isOnBattlefield(card) {
+    return this.game.players.some(p => p.battlefield.includes(card));
+  }
+
+  dealsDamageInStep(creature, firstStrikeStep) {
+    if (firstStrikeStep) return Boolean(creature.firstStrike || creature.doubleStrike);
+    if (creature.doubleStrike) return true;
+    return !creature.dealtFirstStrikeDamage;
+  }
+
+  // Turn-based action of the first strike and regular combat damage steps
+  dealCombatDamage(firstStrikeStep) {
+    const events = [];
+
+    for (const attacker of this.attackers) {
+      if (!this.isOnBattlefield(attacker)) continue;
+      if (!this.dealsDamageInStep(attacker, firstStrikeStep)) continue;
+
+      events.push(...this.attackerDamage(attacker, this.attackedObject(attacker)));
+
+      for (const blocker of this.game.blockingAssignments[attacker.id] || []) {
+        if (!this.isOnBattlefield(blocker)) continue;
+        if (!this.dealsDamageInStep(blocker, firstStrikeStep)) continue;
+        events.push({ source: blocker, target: attacker, amount: Math.max(0, blocker.power || 0) });
+      }
+    }
+
+    // Combat damage is dealt simultaneously
+    for (const event of events) {
+      this.applyDamage(event);
+      if (firstStrikeStep) event.source.dealtFirstStrikeDamage = true;
+    }
+
+    this.rulesEngine.stateBasedActions.check();
+  }
+
+  attackerDamage(attacker, defender) {
+    const power = Math.max(0, attacker.power || 0);
+    if (power === 0) return [];
+
+    if (!attacker.blocked) {
+      return defender ? [{ source: attacker, target: defender, amount: power }] : [];
+    }
+
+    const blockers = this.orderedBlockers(attacker).filter(b => this.isOnBattlefield(b));
+    if (blockers.length === 0) {
+      // A blocked creature whose blockers are gone only deals damage with trample
+      return attacker.trample && defender ? [{ source: attacker, target: defender, amount: power }] : [];
+    }
+
+    const manual = this.damageAssignments[attacker.id];
+    if (manual && this.isValidAssignment(attacker, manual)) {
+      return manual
+        .filter(a => a.amount > 0)
+        .map(a => ({
+          source: attacker,
+          target: a.targetId === defender?.id ? defender : blockers.find(b => b.id === a.targetId),
+          amount: a.amount
+        }));
+    }
+
+    return this.autoAssign(attacker, blockers, defender, power);
+  }
+
+  // Lethal damage to each blocker in order; the rest tramples over or goes
+  // to the last blocker
+  autoAssign(attacker, blockers, defender, power) {
+    const events = [];
+    let remaining = power;
+
+    for (const blocker of blockers) {
+      if (remaining === 0) break;
+      const amount = Math.min(remaining, this.lethalDamage(attacker, blocker));
+      if (amount > 0) events.push({ source: attacker, target: blocker, amount });
+      remaining -= amount;
+    }
+
+    if (remaining > 0) {
+      if (attacker.trample && defender) {
+        events.push({ source: attacker, target: defender, amount: remaining });
+      } else {
+        const last = blockers[blockers.length - 1];
+        const existing = events.find(e => e.target === last);
+        if (existing) existing.amount += remaining;
+        else events.push({ source: attacker, target: last, amount: remaining });
+      }
+    }
+
+    return events;
+  }
+
+  applyDamage({ source, target, amount }) {
+    this.rulesEngine.dealDamage(source, target, amount, { combat: true });
+  }
+}
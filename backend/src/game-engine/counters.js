@@ -0,0 +1,113 @@
+// backend/src/game-engine/counters.js
+
+// Kinds a player doesn't want on what they control, nor on themselves
+const HARMFUL_COUNTERS = ['-1/-1', 'poison'];
+
+// Counters on permanents (`card.counters`) and players (`player.counters`),
+// by kind: '+1/+1', '-1/-1', 'loyalty', 'defense', 'poison' or any other
+// name ('charge', 'oil', ...). Power and toughness counters apply in layer
+// 7c (see ContinuousEffects.applyCounters); a planeswalker's loyalty is its
+// loyalty counters and a battle's defense its defense counters. Counters
+// stay with the object until it changes zones.
+export default class Counters {
+  constructor(rulesEngine) {
+    this.rulesEngine = rulesEngine;
+  }
+
+  get game() {
+    return this.rulesEngine.game;
+  }
+
+  get(object, kind) {
+    return object?.counters?.[kind] || 0;
+  }
+
+  add(object, kind, amount = 1) {
+    if (!object || amount <= 0) return;
+    object.counters = { ...object.counters, [kind]: this.get(object, kind) + amount };
+    this.changed(object, kind, amount);
+  }
+
+  // Returns how many were removed; there may have been fewer than `amount`
+  remove(object, kind, amount = 1) {
+    const removed = Math.min(amount, this.get(object, kind));
+    if (removed <= 0) return 0;
+
+    const counters = { ...object.counters, [kind]: this.get(object, kind) - removed };
+    if (counters[kind] === 0) delete counters[kind];
+    object.counters = counters;
+    this.changed(object, kind, -removed);
+    return removed;
+  }
+
+  changed(object, kind, amount) {
+    if (kind === '+1/+1' || kind === '-1/-1') this.rulesEngine.continuousEffects.apply();
+    this.rulesEngine.triggeredAbilities.recordEvent(amount > 0 ? 'counters_added' : 'counters_removed', {
+      object,
+      kind,
+      amount: Math.abs(amount)
+    });
+  }
+
+  // A planeswalker enters with its printed loyalty as loyalty counters and
+  // a battle with its printed defense as defense counters
+  enterBattlefield(card) {
+    if (card.type?.includes('Planeswalker')) this.add(card, 'loyalty', Number(card.loyalty) || 0);
+    if (card.type?.includes('Battle')) this.add(card, 'defense', Number(card.defense) || 0);
+  }
+
+  // State-based action: +1/+1 and -1/-1 counters on the same permanent
+  // remove each other in pairs. Returns whether any were removed.
+  annihilate(card) {
+    const pairs = Math.min(this.get(card, '+1/+1'), this.get(card, '-1/-1'));
+    if (pairs === 0) return false;
+    this.remove(card, '+1/+1', pairs);
+    this.remove(card, '-1/-1', pairs);
+    return true;
+  }
+
+  // Proliferate: the player chooses any number of permanents and players
+  // with counters, and each gets another counter of each kind it has
+  proliferate(player, source, onDone = () => {}) {
+    const game = this.game;
+    const candidates = [
+      ...game.players.filter(p => !p.lost),
+      ...game.players.flatMap(p => p.battlefield)
+    ].filter(object => Object.keys(object.counters || {}).length > 0);
+
+    if (candidates.length === 0) {
+      onDone();
+      return;
+    }
+
+    game.requestChoice(player, {
+      type: 'proliferate',
+      prompt: `${source?.name || 'Proliferate'}: choose permanents and players to get another counter of each kind`,
+      options: candidates.map(object => ({
+        id: object.id,
+        label: `${object.name} (${this.describe(object)})`,
+        helpful: this.helps(player, object)
+      })),
+      min: 0,
+      max: candidates.length
+    }, (selection) => {
+      for (const object of candidates.filter(o => selection.includes(o.id))) {
+        for (const kind of Object.keys(object.counters || {})) this.add(object, kind, 1);
+      }
+      game.rulesEngine.triggeredAbilities.recordEvent('proliferated', { player, source });
+      onDone();
+    });
+  }
+
+  // More counters help a player on their own side unless they are harmful
+  // ones, and on an opponent's side only if they are
+  helps(player, object) {
+    const mine = object === player || player.battlefield.includes(object);
+    const harmful = Object.keys(object.counters || {}).some(kind => HARMFUL_COUNTERS.includes(kind));
+    return mine !== harmful;
+  }
+
+  describe(object) {
+    return Object.entries(object.counters || {}).map(([kind, count]) => `${count} ${kind}`).join(', ');
+  }
+}
@@ -1,7 +1,11 @@
 // backend/src/game-engine/engine.js
 import { v4 as uuid } from 'uuid';
 import AdvancedBot from './advancedBot.js';
-import { starterDecks, createDeckFromNames, BOT_DECK_LIST } from './cards.js';
+import RulesEngine from './rulesEngine.js';
+import TurnStructure from './turnStructure.js';
+import Mulligan, { OPENING_HAND_SIZE } from './mulligan.js';
+import { emptyManaPool } from './mana.js';
+import { starterDecks, createDeckFromNames, BOT_DECK_LIST, BOT_COMMANDERS } from './cards.js';
 
 const GAMES = new Map();
 
@@ -14,115 +18,388 @@ function shuffleArray(array) {
   return newArray;
 }
 
-export function createGame({ playerName, socketId, io }) {
+// Commanders start in the command zone, never in the library
+function splitCommanders(cards) {
+  return {
+    commanders: cards.filter(c => c.isCommander),
+    library: cards.filter(c => !c.isCommander)
+  };
+}
+
+export function createGame({ playerName, socketId, io, freeFirstMulligan }) {
   const id = uuid();
-  const game = new Game(id, io);
+  const game = new Game(id, io, { freeFirstMulligan });
   game.addPlayer({ playerName, socketId, isHuman: true, starter: 'A' });
-  game.addPlayer({ playerName: 'BOT', socketId: null, isHuman: false, starter: 'CUSTOM', customDeckNames: BOT_DECK_LIST });
+  game.addPlayer({ playerName: 'BOT', socketId: null, isHuman: false, starter: 'CUSTOM', customDeckNames: BOT_DECK_LIST, commanderNames: BOT_COMMANDERS });
+  game.start();
   GAMES.set(id, game);
   return game;
 }
 
+// Same players and decks as a finished game; whoever played first now draws
+export function createRematch(previous) {
+  const id = uuid();
+  const game = new Game(id, previous.io, { freeFirstMulligan: previous.mulligan.freeFirstMulligan });
+  for (const player of previous.players) {
+    game.addPlayer({ playerName: player.name, socketId: player.socketId, isHuman: player.isHuman, deck: player.deckList });
+  }
+
+  const previousStarter = previous.players.findIndex(p => p.id === previous.startingPlayerId);
+  game.start({ startingIndex: (previousStarter + 1) % game.players.length });
+  GAMES.set(id, game);
+  // The finished game is replaced by its rematch
+  GAMES.delete(previous.id);
+  return game;
+}
+
 export function getGameById(id) { return GAMES.get(id); }
 
+const LOSS_REASONS = {
+  life: 'life total reached 0',
+  empty_library: 'drew from an empty library',
+  poison: '10 or more poison counters',
+  concession: 'conceded',
+  lose_effect: 'an effect says they lose the game',
+  win_effect: 'an opponent won the game'
+};
+
+const PUBLIC_ZONES = ['battlefield', 'graveyard', 'exile', 'stack', 'commandZone'];
+
 class Game {
-  constructor(id, io) {
+  constructor(id, io, { freeFirstMulligan } = {}) {
     this.id = id;
     this.io = io;
     this.players = [];
     this.activePlayerIndex = 0;
     this.phase = 'begin';
+    this.step = 'untap';
     this.turn = 1;
-    this.stack = [];
+    this.pendingChoices = [];
+    this.log = [];
+    // Zone changes since the clients were last updated, for their animations
+    this.zoneChanges = [];
+    this.startingPlayerId = null;
+    this.winner = null;
+    this.winReason = null;
+    this.rulesEngine = new RulesEngine(this);
+    this.turnStructure = new TurnStructure(this);
+    this.mulligan = new Mulligan(this, { freeFirstMulligan });
     this.bot = new AdvancedBot(this);
   }
 
-  addPlayer({ playerName, socketId, isHuman, starter='A', customDeckNames = null }) {
+  // The stack lives in the rules engine; expose its items for bots and views
+  get stack() {
+    return this.rulesEngine.stack.items;
+  }
+
+  addPlayer({ playerName, socketId, isHuman, starter='A', customDeckNames = null, commanderNames = [], deck = null }) {
     let base;
-    if (starter === 'CUSTOM' && Array.isArray(customDeckNames)) {
-      base = createDeckFromNames(customDeckNames);
+    if (deck) {
+      base = structuredClone(deck);
+    } else if (starter === 'CUSTOM' && Array.isArray(customDeckNames)) {
+      base = createDeckFromNames(customDeckNames, commanderNames);
     } else {
       const { deckA, deckB } = starterDecks();
       base = (starter === 'A') ? deckA.slice() : deckB.slice();
     }
-    const library = shuffleArray(base.slice());
-    const commander = library.find(c => c.isCommander) || library[0];
+    const { commanders, library } = splitCommanders(base);
 
     const p = {
       id: uuid(),
       name: playerName,
       socketId,
       life: 20,
-      library,
+      counters: {},
+      lost: false,
+      deckList: structuredClone(base),
+      library: shuffleArray(library),
       hand: [],
       battlefield: [],
       graveyard: [],
-      commandZone: commander ? [commander] : [],
-      commanderTaxCount: 0,
+      exile: [],
+      commandZone: commanders,
+      commanderCastCounts: {},
       landsPlayedThisTurn: 0,
-      manaPool: { total: 0, colors: { white: 0, blue: 0, black: 0, red: 0, green: 0 } },
+      manaPool: emptyManaPool(),
       isHuman
     };
+    for (const card of [...p.library, ...p.commandZone]) card.ownerId = p.id;
 
-    for (let i = 0; i < 7; i++) if (p.library.length) p.hand.push(p.library.pop());
+    this.drawOpeningHand(p);
     this.players.push(p);
+
+    // The active player holds priority first
+    if (!this.getPriorityPlayer()) {
+      this.rulesEngine.priorityManager.givePriority(this.players[this.activePlayerIndex]);
+    }
+  }
+
+  // Pre-game: the winner of a coin flip chooses to play or draw, then
+  // mulligans, then the first turn (whose player skips the draw). A rematch
+  // already knows who starts.
+  start({ startingIndex = null } = {}) {
+    this.phase = 'pregame';
+    this.step = 'coin_flip';
+
+    if (startingIndex !== null) {
+      this.beginWith(startingIndex);
+      return;
+    }
+
+    const winner = this.players[Math.floor(Math.random() * this.players.length)];
+    this.addLog(`${winner.name} wins the coin flip`);
+
+    this.requestChoice(winner, {
+      type: 'play_draw',
+      prompt: 'You won the coin flip. Play or draw?',
+      options: [
+        { id: 'play', label: 'Play first' },
+        { id: 'draw', label: 'Draw first' }
+      ]
+    }, ([answer]) => {
+      const winnerIndex = this.players.indexOf(winner);
+      const startingIndex = answer === 'draw' ? (winnerIndex + 1) % this.players.length : winnerIndex;
+      this.addLog(`${winner.name} chooses to ${answer === 'draw' ? 'draw' : 'play'}`);
+      this.beginWith(startingIndex);
+    });
+  }
+
+  beginWith(startingIndex) {
+    this.activePlayerIndex = startingIndex;
+    const starting = this.players[startingIndex];
+    this.startingPlayerId = starting.id;
+    this.addLog(`${starting.name} goes first`);
+    this.rulesEngine.priorityManager.givePriority(starting);
+
+    this.mulligan.start(() => {
+      this.addLog(`${starting.name} takes the first turn and skips their draw`);
+      this.turnStructure.startTurn();
+    });
+  }
+
+  // A player who loses leaves the game; the last one standing wins
+  playerLoses(player, reason) {
+    if (player.lost || this.phase === 'finished') return;
+
+    player.lost = true;
+    player.lossReason = reason;
+    this.addLog(`${player.name} loses the game: ${LOSS_REASONS[reason] || reason}`);
+
+    const remaining = this.players.filter(p => !p.lost);
+    if (remaining.length <= 1) this.endGame(remaining[0] || null, reason);
+  }
+
+  // "You win the game" effects
+  playerWins(player, reason = 'win_effect') {
+    if (this.phase === 'finished') return;
+
+    for (const opponent of this.players.filter(p => p !== player && !p.lost)) {
+      opponent.lost = true;
+      opponent.lossReason = reason;
+    }
+    this.endGame(player, reason);
+  }
+
+  endGame(winner, reason) {
+    this.phase = 'finished';
+    this.step = null;
+    this.winner = winner?.id || null;
+    this.winReason = reason;
+    this.pendingChoices = [];
+    this.addLog(winner ? `${winner.name} wins the game` : 'The game is a draw');
+  }
+
+  addLog(message) {
+    this.log.push({ turn: this.turn, message });
+  }
+
+  drawOpeningHand(player) {
+    for (let i = 0; i < OPENING_HAND_SIZE && player.library.length > 0; i++) {
+      player.hand.push(player.library.pop());
+    }
+  }
+
+  shuffleHandIntoLibrary(player) {
+    player.library = shuffleArray([...player.library, ...player.hand]);
+    player.hand = [];
   }
 
   findPlayerBySocket(socketId) {
     return this.players.find(p => p.socketId === socketId);
   }
 
-  // 🔹 Estado público para el frontend
-  getPublicState() {
+  getPriorityPlayer() {
+    return this.rulesEngine.priorityManager.holder;
+  }
+
+  // Ask a player to pick among options. Bots answer on the spot; human
+  // choices wait for a 'choose' action. onResolve receives the selected ids.
+  requestChoice(player, choice, onResolve) {
+    const request = { id: uuid(), playerId: player.id, min: 1, max: 1, ...choice };
+
+    if (!player.isHuman) {
+      onResolve(this.bot.decideChoice(player, request));
+      return;
+    }
+
+    this.pendingChoices.push({ ...request, onResolve });
+  }
+
+  resolveChoice(player, choiceId, selection = []) {
+    const index = this.pendingChoices.findIndex(c => c.id === choiceId && c.playerId === player.id);
+    if (index === -1) throw new Error('No pending choice with that id');
+
+    const choice = this.pendingChoices[index];
+    const validIds = choice.options.map(o => o.id);
+    if (selection.length < choice.min || selection.length > choice.max) {
+      throw new Error(`Choose between ${choice.min} and ${choice.max} option(s)`);
+    }
+    if (selection.some(id => !validIds.includes(id))) {
+      throw new Error('Invalid choice');
+    }
+
+    this.pendingChoices.splice(index, 1);
+    choice.onResolve(selection);
+  }
+
+  // Show cards to some players (everyone by default) until they change zone
+  revealCards(cards, players = this.players) {
+    for (const card of cards) {
+      card.revealedTo = [...new Set([...(card.revealedTo || []), ...players.map(p => p.id)])];
+    }
+  }
+
+  // Zone changes a player may know about. Moves between hidden zones (and
+  // into face-down exile) don't say which card it was, by name or by id.
+  zoneChangesFor(viewer) {
+    const known = ({ from, to, ownerId, faceDown }) => {
+      const seen = faceDown ? [from] : [from, to];
+      if (seen.some(zone => PUBLIC_ZONES.includes(zone))) return true;
+      return ownerId === viewer?.id && (from === 'hand' || to === 'hand');
+    };
+    return this.zoneChanges.map(({ name, cardId, previousId, ...change }) => (
+      known(change) ? { ...change, cardId, previousId, name } : change
+    ));
+  }
+
+  // 🔹 Estado para el frontend, visto por un jugador: su mano y lo que se
+  // le ha revelado; del resto solo se envían los contadores
+  getStateFor(viewer) {
+    const canSee = (card) => (card.revealedTo || []).includes(viewer?.id);
+    const hideFaceDown = (card) => (card.faceDown && !canSee(card) ? { id: card.id, faceDown: true } : card);
+    // Activated abilities by id, and whether the viewer can activate them now
+    const withAbilities = (player) => (card) => {
+      const abilities = this.rulesEngine.abilitiesOf(card).map(({ id, text }) => ({
+        id,
+        text,
+        canActivate: player === viewer && this.rulesEngine.isActionLegal(viewer, { type: 'activate', cardId: card.id, abilityId: id })
+      }));
+      return abilities.length > 0 ? { ...card, abilities } : card;
+    };
+
     return {
       id: this.id,
+      viewerId: viewer?.id || null,
       phase: this.phase,
+      step: this.step,
       turn: this.turn,
+      activePlayerId: this.players[this.activePlayerIndex]?.id || null,
+      startingPlayerId: this.startingPlayerId,
+      winner: this.winner,
+      winReason: this.winReason,
+      priorityPlayerId: this.getPriorityPlayer()?.id || null,
       players: this.players.map(p => ({
         id: p.id,
         name: p.name,
         life: p.life,
+        counters: p.counters,
+        lost: p.lost,
+        hand: p === viewer ? p.hand : p.hand.filter(canSee),
         handCount: p.hand.length,
-        battlefield: p.battlefield,
+        library: p.library.filter(canSee),
+        libraryCount: p.library.length,
+        manaPool: p.manaPool,
+        battlefield: p.battlefield.map(withAbilities(p)),
         graveyard: p.graveyard,
-        commandZone: p.commandZone
+        exile: p.exile.map(hideFaceDown),
+        commandZone: p.commandZone,
+        commanderCastCounts: p.commanderCastCounts
       })),
-      stack: this.stack
+      // Other players' choices may list hidden cards; only say they exist
+      pendingChoices: this.pendingChoices.map(({ onResolve, ...choice }) => (
+        choice.playerId === viewer?.id ? choice : { id: choice.id, playerId: choice.playerId, type: choice.type }
+      )),
+      combat: this.getCombatState(),
+      log: this.log,
+      stack: this.stack.map(item => ({
+        type: item.type,
+        card: item.card || null,
+        source: item.source || null,
+        controllerId: item.controller?.id || null
+      }))
+    };
+  }
+
+  getCombatState() {
+    const combat = this.rulesEngine.combat;
+    const declaration = combat.pendingDeclaration;
+    const attacking = declaration?.kind === 'attackers' ? this.players.find(p => p.id === declaration.playerId) : null;
+    return {
+      attackers: (this.attackingCreatures || []).map(c => c.id),
+      // What each attacker attacks, and what can be attacked while declaring
+      attackTargets: Object.fromEntries((this.attackingCreatures || []).map(c => [c.id, c.attackTarget])),
+      attackableTargets: attacking ? combat.attackTargets(attacking).map(({ id, name }) => ({ id, name })) : [],
+      blockers: Object.fromEntries(
+        Object.entries(this.blockingAssignments || {}).map(([attackerId, blockers]) => [attackerId, blockers.map(b => b.id)])
+      ),
+      pendingDeclaration: declaration ? { kind: declaration.kind, playerId: declaration.playerId } : null
     };
   }
 
   async applyAction(action, socketId) {
     const player = this.findPlayerBySocket(socketId);
     if (!player) throw new Error('Player not found');
+    if (this.phase === 'finished') throw new Error('The game is over');
 
-    switch (action.type) {
-      case 'shuffle':
-        player.library = shuffleArray(player.library);
-        break;
+    // Conceding is always allowed
+    if (action.type === 'concede') {
+      this.playerLoses(player, 'concession');
+      return;
+    }
 
-      case 'draw':
-        const count = action.count || 1;
-        for (let i = 0; i < count; i++) {
-          if (player.library.length > 0) {
-            player.hand.push(player.library.pop());
-          }
-        }
-        break;
+    // Nothing else happens while a player decision is outstanding; decks
+    // can still be swapped before the game begins
+    const swappingDeck = action.type === 'import-deck' && this.phase === 'pregame';
+    if (this.pendingChoices.length > 0 && action.type !== 'choose' && !swappingDeck) {
+      throw new Error('Waiting for a player choice');
+    }
 
+    switch (action.type) {
       case 'import-deck':
         await this.handleDeckImport(player, action);
         break;
 
       case 'play-land':
-        this.handlePlayLand(player, action);
-        break;
-
       case 'cast':
-        this.handleCastSpell(player, action);
+      case 'activate':
+      case 'tap-for-mana':
+      case 'attack':
+      case 'block':
+      case 'assign-damage':
+        // Game actions are validated and resolved by the rules engine only
+        this.rulesEngine.processAction(player, action);
         break;
 
       case 'pass':
-        this.advancePhase();
+      case 'pass-priority':
+        // Once every player passes with an empty stack, the step ends
+        if (this.rulesEngine.processAction(player, action) === 'all_passed') {
+          this.advancePhase();
+        }
+        break;
+
+      case 'choose':
+        this.resolveChoice(player, action.choiceId, action.selection);
         break;
 
       default:
@@ -139,26 +416,28 @@ class Game {
       // Import the deck using the service
       const deckData = await deckImportService.importDeck({
         deckText: action.deckText,
-        deckUrl: action.deckUrl
+        deckUrl: action.deckUrl,
+        commanders: action.commanders
       });
 
-      // Replace player's library with imported cards
+      if (deckData?.needsCommanderChoice) {
+        throw new Error(`Choose a commander: ${deckData.commanderCandidates.join(', ') || 'no eligible cards'}`);
+      }
+
+      // Replace player's library with imported cards; the commanders only
+      // live in the command zone
       if (deckData && deckData.cards && deckData.cards.length > 0) {
-        player.library = shuffleArray(deckData.cards);
-        
+        player.deckList = structuredClone(deckData.cards);
+        const { commanders, library } = splitCommanders(deckData.cards);
+        player.library = shuffleArray(library);
+        player.commandZone = commanders;
+        player.commanderCastCounts = {};
+        for (const card of deckData.cards) card.ownerId = player.id;
+
         // Clear hand and draw new hand
         player.hand = [];
-        for (let i = 0; i < 7; i++) {
-          if (player.library.length > 0) {
-            player.hand.push(player.library.pop());
-          }
-        }
-
-        // Update commander if present in the new deck
-        const newCommander = deckData.cards.find(c => c.isCommander);
-        if (newCommander) {
-          player.commandZone = [newCommander];
-        }
+        this.drawOpeningHand(player);
+        if (this.mulligan.active) this.mulligan.restart(player);
       } else {
         throw new Error('No cards imported');
       }
@@ -167,67 +446,17 @@ class Game {
     }
   }
 
-  handlePlayLand(player, action) {
-    // Find card in hand
-    const cardIndex = player.hand.findIndex(c => c.id === action.cardId);
-    if (cardIndex === -1) throw new Error('Card not in hand');
-
-    // Check if player can play land
-    if (player.landsPlayedThisTurn >= 1) throw new Error('Already played a land this turn');
-    if (this.phase !== 'main1' && this.phase !== 'main2') throw new Error('Can only play lands during main phase');
-
-    const card = player.hand[cardIndex];
-    if (!card.type.toLowerCase().includes('land')) throw new Error('Card is not a land');
-
-    // Move card to battlefield
-    player.hand.splice(cardIndex, 1);
-    player.battlefield.push({ ...card, tapped: false });
-    player.landsPlayedThisTurn++;
-  }
-
-  handleCastSpell(player, action) {
-    // Simplified casting logic
-    const cardIndex = player.hand.findIndex(c => c.id === action.cardId);
-    if (cardIndex === -1) throw new Error('Card not in hand');
-
-    const card = player.hand[cardIndex];
-    
-    // Move card to battlefield (simplified - doesn't handle instants/sorceries properly)
-    player.hand.splice(cardIndex, 1);
-    if (card.type.toLowerCase().includes('creature') || card.type.toLowerCase().includes('artifact') || card.type.toLowerCase().includes('enchantment')) {
-      player.battlefield.push({ ...card, tapped: false });
-    } else {
-      // For instants/sorceries, resolve and move to graveyard
-      player.graveyard.push(card);
-    }
-  }
-
   advancePhase() {
-    const phases = ['untap', 'upkeep', 'draw', 'main1', 'combat', 'main2', 'end'];
-    const currentIndex = phases.indexOf(this.phase);
-    
-    if (currentIndex === phases.length - 1) {
-      // End of turn
-      this.phase = phases[0];
-      this.activePlayerIndex = (this.activePlayerIndex + 1) % this.players.length;
-      this.turn++;
-      
-      // Reset lands played
-      const activePlayer = this.players[this.activePlayerIndex];
-      if (activePlayer) {
-        activePlayer.landsPlayedThisTurn = 0;
-      }
-    } else {
-      this.phase = phases[currentIndex + 1];
-    }
+    this.turnStructure.advance();
   }
 
   shouldBotAct() {
-    const activePlayer = this.players[this.activePlayerIndex];
-    return activePlayer && !activePlayer.isHuman;
+    if (this.phase === 'finished' || this.pendingChoices.length > 0) return false;
+    const priorityPlayer = this.getPriorityPlayer();
+    return priorityPlayer && !priorityPlayer.isHuman;
   }
 
   runBotTurn() {
-    return this.bot.decideTurn(this.players[this.activePlayerIndex]);
+    return this.bot.decidePriority(this.getPriorityPlayer());
   }
 }
\ No newline at end of file
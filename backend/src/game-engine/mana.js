@@ -0,0 +1,286 @@
+// backend/src/game-engine/mana.js
+
+// Mana symbols and pool color keys
+export const COLORS = ['W', 'U', 'B', 'R', 'G'];
+export const COLOR_NAMES = { W: 'white', U: 'blue', B: 'black', R: 'red', G: 'green', C: 'colorless' };
+
+export function emptyManaPool() {
+  return {
+    total: 0,
+    snow: 0,
+    colors: { white: 0, blue: 0, black: 0, red: 0, green: 0, colorless: 0 }
+  };
+}
+
+export function emptyManaCost() {
+  return {
+    generic: 0,
+    colored: { W: 0, U: 0, B: 0, R: 0, G: 0 },
+    colorless: 0,
+    snow: 0,
+    x: 0,
+    hybrid: [],
+    phyrexian: []
+  };
+}
+
+// Accepts a number (legacy starter cards), a Scryfall cost string such as
+// "{1}{B}{G}" or "{X}{R/P}{2/W}", or an already parsed cost
+export function parseManaCost(manaCost) {
+  const cost = emptyManaCost();
+  if (manaCost === null || manaCost === undefined || manaCost === '') return cost;
+
+  if (typeof manaCost === 'object' && 'generic' in manaCost) return manaCost;
+
+  if (typeof manaCost === 'number') {
+    cost.generic = manaCost;
+    return cost;
+  }
+
+  const text = String(manaCost).trim();
+  if (/^\d+$/.test(text)) {
+    cost.generic = Number(text);
+    return cost;
+  }
+
+  // Split cards list both faces; the front face is the one being cast
+  const face = text.split('//')[0];
+  for (const [, raw] of face.matchAll(/\{([^}]+)\}/g)) {
+    const symbol = raw.toUpperCase();
+    const parts = symbol.split('/');
+
+    if (/^\d+$/.test(symbol)) {
+      cost.generic += Number(symbol);
+    } else if (['X', 'Y', 'Z'].includes(symbol)) {
+      cost.x++;
+    } else if (symbol === 'C') {
+      cost.colorless++;
+    } else if (symbol === 'S') {
+      cost.snow++;
+    } else if (COLORS.includes(symbol)) {
+      cost.colored[symbol]++;
+    } else if (parts.includes('P')) {
+      // {B/P} or hybrid Phyrexian {G/W/P}: one of the colors or 2 life
+      cost.phyrexian.push(parts.filter(part => part !== 'P'));
+    } else if (parts.length === 2) {
+      // {W/U}, {2/W} or {C/W}
+      cost.hybrid.push(parts);
+    }
+  }
+
+  return cost;
+}
+
+export function addGenericCost(manaCost, amount) {
+  const cost = parseManaCost(manaCost);
+  return { ...cost, colored: { ...cost.colored }, generic: cost.generic + amount };
+}
+
+// Mana value (converted mana cost); X counts as zero outside the stack
+export function manaValue(manaCost) {
+  const cost = parseManaCost(manaCost);
+  const colored = Object.values(cost.colored).reduce((sum, n) => sum + n, 0);
+  const hybrid = cost.hybrid.reduce((sum, parts) => {
+    const numbers = parts.filter(p => /^\d+$/.test(p)).map(Number);
+    return sum + (numbers.length ? Math.max(...numbers) : 1);
+  }, 0);
+
+  return cost.generic + colored + cost.colorless + cost.snow + hybrid + cost.phyrexian.length;
+}
+
+// Colors of every mana symbol in a card's cost and rules text (hybrid and
+// Phyrexian symbols count all their colors) plus any color indicator.
+// Reminder text is ignored.
+export function colorIdentity(card) {
+  const faces = [card, ...(card.card_faces || [])];
+  const colors = new Set();
+
+  for (const face of faces) {
+    const text = `${face.manaCost ?? face.mana_cost ?? ''} ${face.text ?? face.oracle_text ?? ''}`
+      .replace(/\([^)]*\)/g, '');
+
+    for (const [, symbol] of text.matchAll(/\{([^}]+)\}/g)) {
+      for (const part of symbol.toUpperCase().split('/')) {
+        if (COLORS.includes(part)) colors.add(part);
+      }
+    }
+    for (const color of face.color_indicator || []) colors.add(color);
+  }
+
+  return COLORS.filter(color => colors.has(color));
+}
+
+export function addManaToPool(pool, symbol, amount = 1, { snow = false } = {}) {
+  const key = COLOR_NAMES[symbol];
+  if (!key) return;
+
+  pool.colors[key] = (pool.colors[key] || 0) + amount;
+  pool.total += amount;
+  if (snow) pool.snow = (pool.snow || 0) + amount;
+}
+
+function removeManaFromPool(pool, symbol, { snow = false } = {}) {
+  const key = COLOR_NAMES[symbol];
+  pool.colors[key]--;
+  pool.total--;
+  if (snow || pool.snow > pool.total) pool.snow = Math.max(0, (pool.snow || 0) - 1);
+}
+
+// ---------------- Payment solver ---------------- //
+
+function poolUnits(pool) {
+  const units = [];
+  let snowLeft = pool.snow || 0;
+
+  for (const [symbol, key] of Object.entries(COLOR_NAMES)) {
+    for (let i = 0; i < (pool.colors[key] || 0); i++) {
+      const snow = snowLeft > 0;
+      if (snow) snowLeft--;
+      units.push({ from: 'pool', colors: [symbol], snow });
+    }
+  }
+
+  return units;
+}
+
+function canSatisfy(unit, slot) {
+  if (slot.kind === 'snow') return unit.snow;
+  return unit.colors.some(color => slot.colors.includes(color));
+}
+
+// Kuhn's augmenting path matching of cost slots to mana units
+function matchSlots(slots, units) {
+  const unitOwner = new Array(units.length).fill(-1);
+
+  const tryAssign = (slotIndex, visited) => {
+    for (let u = 0; u < units.length; u++) {
+      if (visited[u] || !canSatisfy(units[u], slots[slotIndex])) continue;
+      visited[u] = true;
+      if (unitOwner[u] === -1 || tryAssign(unitOwner[u], visited)) {
+        unitOwner[u] = slotIndex;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  for (let s = 0; s < slots.length; s++) {
+    if (!tryAssign(s, new Array(units.length).fill(false))) return null;
+  }
+
+  return unitOwner;
+}
+
+// Each two-brid and Phyrexian symbol can be paid two ways; try colored
+// payment first and fall back to generic mana or life
+function paymentVariants(cost) {
+  const flexible = [
+    ...cost.hybrid.filter(parts => parts.some(p => /^\d+$/.test(p))).map(parts => ({ kind: 'twobrid', parts })),
+    ...cost.phyrexian.map(parts => ({ kind: 'phyrexian', parts }))
+  ];
+
+  const variants = [];
+  const total = 1 << flexible.length;
+  for (let mask = 0; mask < total; mask++) {
+    variants.push(flexible.map((symbol, i) => ({ ...symbol, alternative: Boolean(mask & (1 << i)) })));
+  }
+
+  // Fewest alternatives first
+  return variants.sort((a, b) => a.filter(v => v.alternative).length - b.filter(v => v.alternative).length);
+}
+
+function buildSlots(cost, variant, x) {
+  const slots = [];
+  let generic = cost.generic + cost.x * x;
+  let life = 0;
+
+  for (const symbol of COLORS) {
+    for (let i = 0; i < cost.colored[symbol]; i++) slots.push({ kind: 'color', colors: [symbol] });
+  }
+  for (let i = 0; i < cost.colorless; i++) slots.push({ kind: 'color', colors: ['C'] });
+  for (let i = 0; i < cost.snow; i++) slots.push({ kind: 'snow' });
+
+  for (const parts of cost.hybrid) {
+    if (parts.some(p => /^\d+$/.test(p))) continue;
+    slots.push({ kind: 'color', colors: parts });
+  }
+
+  for (const symbol of variant) {
+    if (symbol.kind === 'twobrid') {
+      if (symbol.alternative) generic += Number(symbol.parts.find(p => /^\d+$/.test(p)));
+      else slots.push({ kind: 'color', colors: symbol.parts.filter(p => !/^\d+$/.test(p)) });
+    } else if (symbol.alternative) {
+      life += 2;
+    } else {
+      slots.push({ kind: 'color', colors: symbol.parts });
+    }
+  }
+
+  for (let i = 0; i < generic; i++) slots.push({ kind: 'generic' });
+  return { slots, life };
+}
+
+// Find which pool mana and which mana sources pay a cost. Sources are
+// `{ card, colors, snow }` entries in order of preference; `sourceIds` is
+// the player's manual choice of permanents to tap. Floating mana is
+// always spent first.
+export function planManaPayment(player, manaCost, { x = 0, sourceIds = null, sources = [] } = {}) {
+  const cost = parseManaCost(manaCost);
+  const pool = player.manaPool || emptyManaPool();
+
+  let candidates = sources;
+  if (sourceIds) candidates = candidates.filter(source => sourceIds.includes(source.card.id));
+
+  const units = [
+    ...poolUnits(pool),
+    ...candidates.map(source => ({ from: 'source', source, colors: source.colors, snow: source.snow }))
+  ];
+
+  for (const variant of paymentVariants(cost)) {
+    const { slots, life } = buildSlots(cost, variant, x);
+    if (life > 0 && player.life < life) continue;
+
+    // Colored requirements claim their mana first; generic mana takes
+    // whatever is left in preference order
+    const special = slots.filter(slot => slot.kind !== 'generic');
+    const generic = slots.length - special.length;
+    const owners = matchSlots(special, units);
+    if (!owners) continue;
+
+    const leftover = units.filter((unit, index) => owners[index] === -1);
+    if (leftover.length < generic) continue;
+
+    const payments = [];
+    owners.forEach((slotIndex, unitIndex) => {
+      if (slotIndex === -1) return;
+      const unit = units[unitIndex];
+      const slot = special[slotIndex];
+      const color = slot.kind === 'color' ? unit.colors.find(c => slot.colors.includes(c)) : unit.colors[0];
+      payments.push({ unit, color });
+    });
+    for (const unit of leftover.slice(0, generic)) {
+      payments.push({ unit, color: unit.colors[0] });
+    }
+
+    return { payments, life, x };
+  }
+
+  return null;
+}
+
+// Activate the planned sources through `produce(source, color)`, which
+// adds their mana to the pool, then spend the mana from the pool
+export function payWithPlan(player, plan, produce) {
+  player.manaPool = player.manaPool || emptyManaPool();
+  const pool = player.manaPool;
+
+  for (const { unit, color } of plan.payments) {
+    if (unit.from === 'source') produce(unit.source, color);
+  }
+
+  for (const { unit, color } of plan.payments) {
+    removeManaFromPool(pool, color, { snow: unit.snow });
+  }
+
+  if (plan.life) player.life -= plan.life;
+}
@@ -0,0 +1,220 @@
+// backend/src/game-engine/manaAbilities.js
+import { COLORS, addManaToPool, colorIdentity, emptyManaPool } from './mana.js';
+
+const BASIC_LAND_TYPES = { Plains: 'W', Island: 'U', Swamp: 'B', Mountain: 'R', Forest: 'G' };
+
+// Reads mana abilities from a permanent: one intrinsic "{T}: Add ..." per
+// basic land type plus every "[cost]: Add ..." line of its oracle text.
+// Ability ids are stable for a given card so clients can refer to them.
+export function parseManaAbilities(card) {
+  const abilities = [];
+
+  for (const [landType, symbol] of Object.entries(BASIC_LAND_TYPES)) {
+    if (hasSubtype(card, landType)) {
+      abilities.push({ cost: { tap: true, life: 0 }, mana: [[symbol]], text: `{T}: Add {${symbol}}.` });
+    }
+  }
+
+  // Reminder text only restates the basic land type abilities above
+  const text = (card.text || card.oracle_text || '').replace(/\([^)]*\)/g, '');
+  for (const line of text.split('\n')) {
+    const ability = parseManaAbilityLine(line.trim(), card.name);
+    if (ability) abilities.push(ability);
+  }
+
+  return abilities.map((ability, index) => ({ ...ability, id: `${card.id}:mana:${index}` }));
+}
+
+function hasSubtype(card, subtype) {
+  const [, subtypes = ''] = (card.type || '').split('—');
+  return subtypes.split(/\s+/).includes(subtype);
+}
+
+function painLabel(ability) {
+  if (ability.cost.life) return ` (pay ${ability.cost.life} life)`;
+  if (ability.damageToController) return ` (${ability.damageToController} damage to you)`;
+  return '';
+}
+
+function parseManaAbilityLine(line, name) {
+  const match = line.match(/^([^:]+):\s*Add ([^.]+)\.?\s*(.*)$/);
+  if (!match) return null;
+
+  const [, costText, produced, rider] = match;
+
+  // Mana spent with restrictions needs its own tracking; leave those out
+  if (/Spend this mana only/i.test(rider)) return null;
+
+  const cost = { tap: false, life: 0 };
+  for (const part of costText.split(',').map(p => p.trim())) {
+    const life = part.match(/^Pay (\d+) life$/i);
+    if (part === '{T}') cost.tap = true;
+    else if (life) cost.life = Number(life[1]);
+    // Treasure: sacrificing the source itself
+    else if (part === `Sacrifice ${name}` || /^Sacrifice this (artifact|creature|permanent)$/i.test(part)) cost.sacrifice = true;
+    else return null; // mana and other card costs are not mana abilities we can pay here
+  }
+
+  const mana = parseProducedMana(produced);
+  if (!mana) return null;
+
+  const ability = { cost, mana, text: line };
+
+  const damage = rider.match(/deals (\d+) damage to you/i);
+  if (damage) ability.damageToController = Number(damage[1]);
+
+  const opponentsGain = rider.match(/Each opponent gains (\d+) life/i);
+  if (opponentsGain) ability.opponentsGainLife = Number(opponentsGain[1]);
+
+  const condition = rider.match(/Activate only if you control an? (\w+) or an? (\w+)/i);
+  if (condition) ability.requiresLandTypes = [condition[1], condition[2]];
+
+  return ability;
+}
+
+// Each entry of the result is one mana with the colors it may be
+function parseProducedMana(produced) {
+  if (/one mana of any color in your commander's color identity/i.test(produced)) return [['identity']];
+  if (/one mana of any color/i.test(produced)) return [[...COLORS]];
+
+  const symbols = [...produced.matchAll(/\{([WUBRGC])\}/g)].map(m => m[1]);
+  if (symbols.length === 0) return null;
+
+  // "{B}, {R}, or {G}" is a single mana; "{G}{G}" is two
+  if (/\bor\b/.test(produced)) return [symbols];
+  return symbols.map(symbol => [symbol]);
+}
+
+export default class ManaAbilities {
+  constructor(rulesEngine) {
+    this.rulesEngine = rulesEngine;
+  }
+
+  get game() {
+    return this.rulesEngine.game;
+  }
+
+  abilitiesOf(card) {
+    return parseManaAbilities(card);
+  }
+
+  findAbility(card, abilityId) {
+    const abilities = this.abilitiesOf(card);
+    return abilityId ? abilities.find(a => a.id === abilityId) : abilities[0];
+  }
+
+  canActivate(player, card, ability) {
+    if (!ability || !player.battlefield.includes(card)) return false;
+
+    if (ability.cost.tap) {
+      if (card.tapped) return false;
+      // Creatures need to have been under control since the turn began
+      if (card.type?.includes('Creature') && card.summoningSick && !card.haste) return false;
+    }
+
+    if (ability.cost.life > 0 && player.life < ability.cost.life) return false;
+
+    if (ability.requiresLandTypes) {
+      const controlsType = player.battlefield.some(p => ability.requiresLandTypes.some(t => hasSubtype(p, t)));
+      if (!controlsType) return false;
+    }
+
+    return this.colorsFor(player, ability.mana[0]).length > 0;
+  }
+
+  // Expand "any color in your commander's color identity"
+  colorsFor(player, options) {
+    if (!options.includes('identity')) return options;
+    return this.commanderColors(player);
+  }
+
+  commanderColors(player) {
+    const zones = [player.commandZone, player.battlefield, player.graveyard, player.exile, player.hand, player.library];
+    const commanders = zones.flatMap(zone => zone || []).filter(card => card.isCommander);
+
+    const colors = new Set(commanders.flatMap(commander => colorIdentity(commander)));
+    return COLORS.filter(color => colors.has(color));
+  }
+
+  // Single-mana abilities the payment solver can tap automatically, one
+  // entry per permanent since a permanent only taps once. It never
+  // sacrifices a permanent for mana; the player does that by hand.
+  sources(player) {
+    const sources = [];
+
+    for (const card of player.battlefield) {
+      const abilities = this.abilitiesOf(card)
+        .filter(ability => ability.mana.length === 1 && !ability.cost.sacrifice && this.canActivate(player, card, ability));
+      if (abilities.length === 0) continue;
+
+      const colors = [...new Set(abilities.flatMap(ability => this.colorsFor(player, ability.mana[0])))];
+      // Abilities that hurt or help someone are used last
+      const painful = abilities.every(a => a.cost.life > 0 || a.damageToController || a.opponentsGainLife);
+
+      sources.push({
+        card,
+        colors,
+        abilities,
+        painful,
+        snow: Boolean(card.type?.includes('Snow'))
+      });
+    }
+
+    return sources.sort((a, b) => (a.painful - b.painful) || (a.colors.length - b.colors.length));
+  }
+
+  // Used by the payment solver: activate the cheapest ability of a
+  // source that makes the required color
+  produceFromSource(player, source, color) {
+    const candidates = source.abilities.filter(ability => this.colorsFor(player, ability.mana[0]).includes(color));
+    const ability = candidates.find(a => !a.cost.life && !a.damageToController && !a.opponentsGainLife) || candidates[0];
+    this.activate(player, source.card, ability, [color]);
+  }
+
+  // Mana abilities don't use the stack: costs are paid and the mana is
+  // added to the pool immediately
+  activate(player, card, ability, colors = []) {
+    if (!this.canActivate(player, card, ability)) {
+      throw new Error('Cannot activate mana ability');
+    }
+
+    if (ability.cost.tap) card.tapped = true;
+    if (ability.cost.life) player.life -= ability.cost.life;
+    if (ability.cost.sacrifice) this.rulesEngine.sacrifice(player, card);
+
+    player.manaPool = player.manaPool || emptyManaPool();
+    const snow = Boolean(card.type?.includes('Snow'));
+
+    ability.mana.forEach((options, index) => {
+      const allowed = this.colorsFor(player, options);
+      const color = allowed.includes(colors[index]) ? colors[index] : allowed[0];
+      addManaToPool(player.manaPool, color, 1, { snow });
+      this.rulesEngine.triggeredAbilities.recordEvent('mana_produced', { player, card, color });
+    });
+
+    // Damage and life gain go through the engine, so prevention and
+    // triggers see them
+    if (ability.damageToController) this.rulesEngine.dealDamage(card, player, ability.damageToController);
+    if (ability.opponentsGainLife) {
+      const opponents = this.game.players.filter(p => p !== player);
+      this.rulesEngine.cardEffects.applyTemplateEffect('gain_life', { card, lifeGain: ability.opponentsGainLife }, player, opponents, this.game);
+    }
+  }
+
+  // Every (ability, color) pair a permanent offers, for the color prompt
+  options(player, card) {
+    return this.abilitiesOf(card)
+      .filter(ability => this.canActivate(player, card, ability))
+      .flatMap(ability => {
+        if (ability.mana.length > 1) {
+          return [{ id: `${ability.id}|`, label: ability.text, ability, colors: [] }];
+        }
+        return this.colorsFor(player, ability.mana[0]).map(color => ({
+          id: `${ability.id}|${color}`,
+          label: `Add {${color}}${painLabel(ability)}`,
+          ability,
+          colors: [color]
+        }));
+      });
+  }
+}
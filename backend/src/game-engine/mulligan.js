@@ -0,0 +1,132 @@
+// backend/src/game-engine/mulligan.js
+
+export const OPENING_HAND_SIZE = 7;
+
+// Duel Commander gives each player one free mulligan; set
+// FREE_FIRST_MULLIGAN=false to play the plain London mulligan
+const FREE_FIRST_MULLIGAN = process.env.FREE_FIRST_MULLIGAN !== 'false';
+
+// Pre-game London mulligan: in turn order each player keeps or shuffles
+// their hand back and draws seven again. After keeping, a player puts one
+// card on the bottom of their library per mulligan taken (minus the free one).
+export default class Mulligan {
+  constructor(game, { freeFirstMulligan = FREE_FIRST_MULLIGAN } = {}) {
+    this.game = game;
+    this.freeFirstMulligan = freeFirstMulligan;
+    this.mulligans = new Map();
+    this.kept = new Set();
+    this.onComplete = null;
+  }
+
+  get active() {
+    return this.onComplete !== null;
+  }
+
+  start(onComplete) {
+    this.mulligans.clear();
+    this.kept.clear();
+    this.onComplete = onComplete;
+    this.game.phase = 'pregame';
+    this.game.step = 'mulligan';
+    this.askNext();
+  }
+
+  // A player that gets a new deck during the pre-game decides again
+  restart(player) {
+    this.game.pendingChoices = this.game.pendingChoices.filter(c => c.playerId !== player.id);
+    this.mulligans.set(player.id, 0);
+    this.kept.delete(player.id);
+    this.askNext();
+  }
+
+  mulligansTaken(player) {
+    return this.mulligans.get(player.id) || 0;
+  }
+
+  cardsToBottom(player) {
+    const taken = this.mulligansTaken(player);
+    return Math.max(0, taken - (this.freeFirstMulligan ? 1 : 0));
+  }
+
+  turnOrder() {
+    const { players, activePlayerIndex } = this.game;
+    return players.map((_, i) => players[(activePlayerIndex + i) % players.length]);
+  }
+
+  askNext() {
+    // Someone is already deciding
+    if (this.game.pendingChoices.some(c => c.type === 'mulligan' || c.type === 'london_bottom')) return;
+
+    const player = this.turnOrder().find(p => !this.kept.has(p.id));
+    if (!player) {
+      const onComplete = this.onComplete;
+      this.onComplete = null;
+      onComplete();
+      return;
+    }
+
+    this.askKeep(player);
+  }
+
+  askKeep(player) {
+    const taken = this.mulligansTaken(player);
+    const bottom = this.cardsToBottom(player);
+    const free = this.freeFirstMulligan && taken === 0;
+
+    this.game.requestChoice(player, {
+      type: 'mulligan',
+      prompt: bottom > 0
+        ? `Keep this hand and put ${bottom} card(s) on the bottom of your library?`
+        : 'Keep this hand?',
+      options: [
+        { id: 'keep', label: 'Keep' },
+        { id: 'mulligan', label: free ? 'Mulligan (free)' : 'Mulligan' }
+      ],
+      mulligans: taken,
+      bottomCount: bottom
+    }, ([answer]) => {
+      if (answer === 'mulligan' && player.hand.length > 0) {
+        this.takeMulligan(player);
+        this.askKeep(player);
+      } else {
+        this.keep(player);
+      }
+    });
+  }
+
+  takeMulligan(player) {
+    this.mulligans.set(player.id, this.mulligansTaken(player) + 1);
+    this.game.addLog(`${player.name} mulligans`);
+    this.game.shuffleHandIntoLibrary(player);
+    this.game.drawOpeningHand(player);
+  }
+
+  keep(player) {
+    const bottom = Math.min(this.cardsToBottom(player), player.hand.length);
+    if (bottom === 0) {
+      this.finish(player);
+      return;
+    }
+
+    this.game.requestChoice(player, {
+      type: 'london_bottom',
+      prompt: `Choose ${bottom} card(s) to put on the bottom of your library`,
+      options: player.hand.map(card => ({ id: card.id, label: card.name, card })),
+      min: bottom,
+      max: bottom
+    }, (selection) => {
+      for (const cardId of selection) {
+        const index = player.hand.findIndex(c => c.id === cardId);
+        // The top of the library is the end of the array
+        if (index !== -1) player.library.unshift(...player.hand.splice(index, 1));
+      }
+      this.finish(player);
+    });
+  }
+
+  finish(player) {
+    this.kept.add(player.id);
+    this.game.addLog(`${player.name} keeps ${player.hand.length} card(s)`);
+    this.askNext();
+  }
+}
@@ -0,0 +1,423 @@
+// backend/src/game-engine/oracleCompiler.js
+import { TOKEN_DEFINITIONS } from './tokens.js';
+
+// Turns templated oracle sentences into effect definitions that
+// CardEffects.applyCompiledEffects runs through its effect templates:
+//
+//   { template: 'damage', amount: 3, target: { allowed: ['creature', 'planeswalker', 'player'] } }
+//   { template: 'draw', amount: 2, recipient: 'you' }
+//
+// Effects either have a `target` (chosen when the spell is cast) or a
+// `recipient` ('you', 'self', 'each_opponent', 'each_player', 'each_creature', ...).
+// Sentences that don't match a known template are returned as unsupported.
+//
+// Activated abilities ("{2}{B}, {T}, Sacrifice a creature: ...") compile to
+// a cost and the effects of the text after the colon.
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+const COLOR_WORDS = { white: 'W', blue: 'U', black: 'B', red: 'R', green: 'G' };
+
+const ANY_TARGET = ['creature', 'planeswalker', 'player', 'battle'];
+
+const PERMANENT_TYPES = ['artifact', 'battle', 'creature', 'enchantment', 'land', 'planeswalker', 'permanent'];
+
+function parseAmount(word) {
+  if (!word) return 1;
+  const lower = word.toLowerCase();
+  if (lower === 'x') return 'X';
+  if (NUMBER_WORDS[lower] !== undefined) return NUMBER_WORDS[lower];
+  const number = Number(word);
+  return Number.isNaN(number) ? null : number;
+}
+
+// "creature or planeswalker an opponent controls", "nonland permanent",
+// "artifact, enchantment, or land", "player", "creature spell"
+export function parseTargetPhrase(phrase) {
+  let text = phrase.trim().toLowerCase();
+  const spec = { allowed: [], exclude: [] };
+
+  const controller = text.match(/\s+(you control|an opponent controls|you don't control)$/);
+  if (controller) {
+    spec.controller = controller[1] === 'you control' ? 'you' : 'opponent';
+    text = text.slice(0, controller.index);
+  }
+
+  if (text === 'any target') {
+    spec.allowed = [...ANY_TARGET];
+    return spec;
+  }
+
+  const isSpell = /\bspell$/.test(text);
+  if (isSpell) text = text.replace(/\s*spell$/, '');
+
+  for (const word of text.split(/,\s*(?:or\s+)?|\s+or\s+/)) {
+    let type = word.trim();
+    if (!type) continue;
+
+    // "nonland permanent": the type after the prefix is the target
+    const non = type.match(/^non-?(\w+)\s*(.*)$/);
+    if (non) {
+      spec.exclude.push(non[1]);
+      type = non[2] || (isSpell ? '' : 'permanent');
+    }
+    if (!type) continue;
+
+    type = type.replace(/s$/, '');
+    if (type === 'opponent') {
+      spec.allowed.push('player');
+      spec.controller = 'opponent';
+    } else if (type === 'player' || PERMANENT_TYPES.includes(type)) {
+      spec.allowed.push(type);
+    } else if (!isSpell) {
+      return null;
+    }
+
+    if (isSpell) (spec.spellTypes = spec.spellTypes || []).push(type);
+  }
+
+  if (isSpell) {
+    spec.allowed = ['spell'];
+    spec.spellTypes = (spec.spellTypes || []).filter(t => t !== 'spell');
+  }
+
+  return spec.allowed.length > 0 ? spec : null;
+}
+
+// "target creature" → target spec; "each opponent" → recipient
+function parseObject(phrase) {
+  const text = phrase.trim();
+  const lower = text.toLowerCase();
+
+  if (lower === 'any target') return { target: parseTargetPhrase('any target') };
+
+  const target = lower.match(/^(?:up to (\w+) )?(?:(\w+) )?targets? (.+)$/);
+  if (target && (!target[2] || parseAmount(target[2]) !== null)) {
+    const spec = parseTargetPhrase(target[3]);
+    if (!spec) return null;
+    const count = parseAmount(target[1] || target[2]);
+    if (count && count !== 1) spec.count = count;
+    if (target[1]) spec.upTo = true;
+    return { target: spec };
+  }
+
+  const recipients = {
+    you: 'you',
+    'each opponent': 'each_opponent',
+    'each player': 'each_player',
+    'each creature': 'each_creature',
+    'each creature you don\'t control': 'each_opponent_creature',
+    'each creature your opponents control': 'each_opponent_creature',
+    'each other creature': 'each_other_creature',
+    'all creatures': 'each_creature',
+    'all creatures your opponents control': 'each_opponent_creature',
+    'each creature and each planeswalker': 'each_creature',
+    cardname: 'self'
+  };
+  if (recipients[lower]) return { recipient: recipients[lower] };
+
+  return null;
+}
+
+function subject(word) {
+  const lower = (word || 'you').toLowerCase();
+  if (lower === 'you') return { recipient: 'you' };
+  if (lower === 'each player') return { recipient: 'each_player' };
+  if (lower === 'each opponent') return { recipient: 'each_opponent' };
+  if (lower === 'target player') return { target: { allowed: ['player'] } };
+  if (lower === 'target opponent') return { target: { allowed: ['player'], controller: 'opponent' } };
+  return null;
+}
+
+// "a Treasure token", "two tapped Food tokens", "a token that's a copy of
+// target creature you control", "a 1/1 white Soldier creature token"
+function parseToken(countWord, description) {
+  const count = parseAmount(countWord);
+
+  const predefined = description.match(/^(tapped )?(.+?) tokens?$/i);
+  if (predefined && TOKEN_DEFINITIONS[predefined[2]] && count !== null) {
+    return { template: 'create_token', amount: count, recipient: 'you', token: { predefined: predefined[2], tapped: Boolean(predefined[1]) } };
+  }
+
+  const copy = description.match(/^tokens? that(?:'s| are) (?:a )?cop(?:y|ies) of (.+)$/i);
+  if (copy && count !== null) {
+    const parsed = parseObject(copy[1]);
+    return parsed?.target ? { template: 'create_token', amount: count, ...parsed, token: { copy: true } } : null;
+  }
+
+  const match = description.match(/^(\d+|X)\/(\d+|X) ((?:(?:white|blue|black|red|green|colorless)(?:,? and |, | )?)*)(.+?) creature tokens?(?: with (.+))?$/i);
+  if (!match || count === null) return null;
+
+  const [, power, toughness, colorText, subtypes, keywordText] = match;
+  const colors = Object.entries(COLOR_WORDS)
+    .filter(([word]) => new RegExp(`\\b${word}\\b`, 'i').test(colorText))
+    .map(([, symbol]) => symbol);
+
+  const keywords = keywordText
+    ? keywordText.split(/,\s*(?:and\s+)?|\s+and\s+/).map(k => k.trim().replace(/^"|"$/g, '')).filter(Boolean)
+    : [];
+
+  return {
+    template: 'create_token',
+    amount: count,
+    recipient: 'you',
+    token: {
+      name: `${subtypes.trim()} Token`,
+      type: `Token Creature — ${subtypes.trim()}`,
+      power: power === 'X' ? 'X' : Number(power),
+      toughness: toughness === 'X' ? 'X' : Number(toughness),
+      colors,
+      keywords
+    }
+  };
+}
+
+// "a basic land card", "up to two basic land cards", "a Forest or Plains card", "a card"
+function parseSearch(description, destination) {
+  const match = description.match(/^(?:(up to )?(\w+) )?(.*?)\s*cards?(?: with [^,]+)?$/i);
+  if (!match) return null;
+
+  const count = parseAmount(match[2]) || 1;
+  const types = match[3] ? match[3].split(/\s+or\s+|,\s*/).map(t => t.trim()).filter(Boolean) : [];
+
+  return {
+    template: 'search_library',
+    recipient: 'you',
+    search: {
+      types,
+      maxCount: count,
+      destination: /battlefield/i.test(destination) ? 'battlefield' : 'hand',
+      tapped: /tapped/i.test(destination)
+    }
+  };
+}
+
+const SENTENCES = [
+  // CARDNAME deals 3 damage to any target
+  [/^CARDNAME deals (\w+) damage to (.+)$/i, ([, amount, object]) => {
+    const parsed = parseObject(object);
+    return parsed && { template: 'damage', amount: parseAmount(amount), ...parsed };
+  }],
+  [/^Destroy (.+)$/i, ([, object]) => {
+    const parsed = parseObject(object);
+    return parsed && { template: 'destroy', ...parsed };
+  }],
+  [/^Exile (.+)$/i, ([, object]) => {
+    const parsed = parseObject(object);
+    return parsed && { template: 'exile', ...parsed };
+  }],
+  [/^Return (target .+) to its owner's hand$/i, ([, object]) => {
+    const parsed = parseObject(object);
+    return parsed && { template: 'bounce', ...parsed };
+  }],
+  [/^(?:(You|Target player|Target opponent|Each player|Each opponent) )?draws? (\w+) cards?$/i, ([, who, amount]) => {
+    const parsed = subject(who);
+    return parsed && { template: 'draw', amount: parseAmount(amount), ...parsed };
+  }],
+  [/^(You|Target player|Each player) gains? (\w+) life$/i, ([, who, amount]) => {
+    const parsed = subject(who);
+    return parsed && { template: 'gain_life', amount: parseAmount(amount), ...parsed };
+  }],
+  [/^(Target player|Target opponent|Each opponent|Each player) loses (\w+) life$/i, ([, who, amount]) => {
+    const parsed = subject(who);
+    return parsed && { template: 'lose_life', amount: parseAmount(amount), ...parsed };
+  }],
+  [/^(?:(You|Target player|Target opponent|Each player|Each opponent) )?mills? (\w+) cards?$/i, ([, who, amount]) => {
+    const parsed = subject(who);
+    return parsed && { template: 'mill', amount: parseAmount(amount), ...parsed };
+  }],
+  // Put two +1/+1 counters on target creature
+  [/^Put (\w+) (\S+) counters? on (.+)$/i, ([, amount, kind, object]) => {
+    const parsed = parseObject(object);
+    return parsed && { template: 'put_counters', amount: parseAmount(amount), counter: kind, ...parsed };
+  }],
+  [/^Proliferate$/i, () => ({ template: 'proliferate', recipient: 'you' })],
+  [/^Scry (\w+)$/i, ([, amount]) => ({ template: 'scry', amount: parseAmount(amount), recipient: 'you' })],
+  [/^Counter (target .+)$/i, ([, object]) => {
+    const parsed = parseObject(object);
+    return parsed && { template: 'counter', ...parsed };
+  }],
+  [/^Create (\w+) (.+)$/i, ([, count, description]) => parseToken(count, description)],
+  [/^Copy (target .+ spell)$/i, ([, object]) => {
+    const parsed = parseObject(object);
+    return parsed && { template: 'copy_spell', ...parsed };
+  }],
+  // The copy keeps the original's targets
+  [/^You may choose new targets for the copy$/i, () => ({ template: 'none' })],
+  [/^(Target creature you control|CARDNAME) explores$/i, ([, object]) => {
+    const parsed = parseObject(object);
+    return parsed && { template: 'explore', ...parsed };
+  }],
+  [/^Search your library for (.+?), (?:reveal (?:it|them), )?(?:and )?put (?:it|them|that card|those cards) (into your hand|onto the battlefield(?: tapped)?)(?:, then shuffle)?$/i,
+    ([, description, destination]) => parseSearch(description, destination)],
+  // Covered by the search effect, which always shuffles
+  [/^Then shuffle(?: your library)?$/i, () => ({ template: 'none' })]
+];
+
+export function compileSentence(sentence) {
+  for (const [pattern, build] of SENTENCES) {
+    const match = sentence.match(pattern);
+    if (!match) continue;
+    const effect = build(match);
+    if (effect && effect.amount !== null) return { ...effect, text: sentence };
+  }
+  return null;
+}
+
+// Triggered, activated and keyword lines are handled elsewhere; only the
+// spell's own instructions are compiled here
+function isInstructionLine(line) {
+  if (/^(When|Whenever|At the beginning)\b/i.test(line)) return false;
+  if (/^[^"]*:/.test(line)) return false;
+  // Keyword lines ("Flash", "Kicker {2}") don't end in a period
+  return /\.["']?$/.test(line);
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=\.)\s+/)
+    .map(sentence => sentence.trim().replace(/\.$/, ''))
+    .filter(Boolean);
+}
+
+export function normalizeOracleText(card) {
+  let text = (card.text || card.oracle_text || '').replace(/\([^)]*\)/g, '');
+
+  // Legendary cards refer to themselves by the part of the name before the comma
+  const name = card.name || '';
+  for (const selfName of [name, name.split(',')[0]].filter(Boolean)) {
+    text = text.split(selfName).join('CARDNAME');
+  }
+
+  // "this artifact", "this creature": newer oracle text for the card itself
+  return text
+    .replace(/\bThis spell\b/g, 'CARDNAME')
+    .replace(/\b[Tt]his (artifact|creature|enchantment|land|permanent|token)\b/g, 'CARDNAME');
+}
+
+// Compiles the instructions a spell follows when it resolves
+export function compileOracleText(card) {
+  const effects = [];
+  const unsupported = [];
+
+  for (const line of normalizeOracleText(card).split('\n').map(l => l.trim()).filter(Boolean)) {
+    if (!isInstructionLine(line)) continue;
+
+    for (const sentence of splitSentences(line)) {
+      const effect = compileSentence(sentence);
+      if (!effect) unsupported.push(sentence);
+      else if (effect.template !== 'none') effects.push(effect);
+    }
+  }
+
+  return { effects, unsupported };
+}
+
+// Card types a cost can ask for; "a card" and "a permanent" take any
+const COST_CARD_TYPES = ['artifact', 'creature', 'enchantment', 'land', 'planeswalker', 'instant', 'sorcery'];
+
+function costCardType(word) {
+  const type = word.trim().toLowerCase();
+  if (type === '' || type === 'card' || type === 'permanent') return '';
+  if (!COST_CARD_TYPES.includes(type)) return null;
+  return type[0].toUpperCase() + type.slice(1);
+}
+
+// "{2}{B}, {T}, Sacrifice a creature" → the cost RulesEngine.canPayCost reads:
+//   { mana, tap, untap, life, sacrificeSelf, sacrifice, sacrificeAnother,
+//     discard, exile, removeCounters: { kind, count }, loyalty }
+// `sacrifice`, `discard` and `exile` (from the graveyard) name the card type
+// wanted, '' for any. Loyalty costs, read only for the abilities of a
+// planeswalker (`loyalty`), are "+1", "−2" or "0", with or without brackets.
+// Returns null for costs the engine can't pay.
+export function parseCost(text, { loyalty = false } = {}) {
+  if (loyalty) {
+    const signed = text.trim().match(/^\[?([+−-])(\d+)\]?$/);
+    if (signed) return { loyalty: signed[1] === '+' ? Number(signed[2]) : -Number(signed[2]) };
+    if (/^\[?0\]?$/.test(text.trim())) return { loyalty: 0 };
+  }
+
+  const cost = {};
+  for (const part of text.split(/,\s*/).map(p => p.trim())) {
+    let match;
+    if (part === '{T}') {
+      cost.tap = true;
+    } else if (part === '{Q}') {
+      cost.untap = true;
+    } else if (/^(\{[0-9WUBRGCS/P]+\})+$/.test(part)) {
+      cost.mana = part;
+    } else if ((match = part.match(/^Pay (\d+) life$/i))) {
+      cost.life = Number(match[1]);
+    } else if (/^Sacrifice CARDNAME$/i.test(part)) {
+      cost.sacrificeSelf = true;
+    } else if ((match = part.match(/^Sacrifice (a|an|another) (\w+)$/i))) {
+      cost.sacrifice = costCardType(match[2]);
+      if (match[1].toLowerCase() === 'another') cost.sacrificeAnother = true;
+    } else if ((match = part.match(/^Discard (?:a|an) (?:(\w+) )?card$/i))) {
+      cost.discard = costCardType(match[1] || '');
+    } else if ((match = part.match(/^Exile (?:a|an) (?:(\w+) )?card from your graveyard$/i))) {
+      cost.exile = costCardType(match[1] || '');
+    } else if ((match = part.match(/^Remove (\w+) (\S+) counters? from CARDNAME$/i))) {
+      const count = parseAmount(match[1]);
+      if (typeof count !== 'number') return null;
+      cost.removeCounters = { kind: match[2], count };
+    } else {
+      return null;
+    }
+  }
+
+  const types = [cost.sacrifice, cost.discard, cost.exile];
+  return types.includes(null) ? null : cost;
+}
+
+// "Activate only as a sorcery." and "Activate only once each turn." limit
+// when an ability can be activated rather than what it does
+const ACTIVATION_RESTRICTIONS = {
+  'Activate only as a sorcery': 'sorcerySpeed',
+  'Activate only once each turn': 'oncePerTurn'
+};
+
+// Activated abilities of a permanent other than its mana abilities (see
+// manaAbilities.js). Lines whose cost or effect doesn't compile are
+// returned as unsupported.
+export function compileActivatedAbilities(card) {
+  const abilities = [];
+  const unsupported = [];
+
+  for (const line of normalizeOracleText(card).split('\n').map(l => l.trim()).filter(Boolean)) {
+    const match = line.match(/^([^:"]+):\s*(.+)$/);
+    if (!match || /^(When|Whenever|At)\b/i.test(line)) continue;
+
+    const [, costText, effectText] = match;
+    if (/^Add\b/i.test(effectText)) continue;
+
+    const cost = parseCost(costText, { loyalty: Boolean(card.type?.includes('Planeswalker')) });
+    const text = line.split('CARDNAME').join(card.name);
+    const ability = { text, cost, effects: [], sorcerySpeed: false, oncePerTurn: false };
+    let compiled = cost !== null;
+
+    for (const sentence of splitSentences(effectText)) {
+      const restriction = ACTIVATION_RESTRICTIONS[sentence];
+      const effect = !restriction && compileSentence(sentence);
+      if (restriction) ability[restriction] = true;
+      else if (effect && effect.template !== 'none') ability.effects.push(effect);
+      else if (!effect) compiled = false;
+    }
+
+    // Loyalty abilities: one per turn, as a sorcery
+    if (cost?.loyalty !== undefined) ability.sorcerySpeed = true;
+
+    if (compiled && ability.effects.length > 0) abilities.push(ability);
+    else unsupported.push(text);
+  }
+
+  return { abilities, unsupported };
+}
+
+// Every target spec of a compiled spell, in the order they are chosen
+export function targetSpecs(effects) {
+  return effects.filter(effect => effect.target).map(effect => effect.target);
+}
@@ -1,27 +1,53 @@
 // backend/src/game-engine/rulesEngine.js
+import { v4 as uuid } from 'uuid';
+import CardEffects from './cardEffects.js';
+import CardScripts from './cardScripts.js';
+import Combat from './combat.js';
+import Counters from './counters.js';
+import ManaAbilities from './manaAbilities.js';
+import Targeting from './targeting.js';
+import Tokens from './tokens.js';
+import { addGenericCost, manaValue, parseManaCost, planManaPayment, payWithPlan } from './mana.js';
+
+export const POISON_LIMIT = 10;
+
+// Costs paid with a card the player chooses, in the order they are chosen
+const CARD_COSTS = ['sacrifice', 'discard', 'exile'];
+
 export default class RulesEngine {
   constructor(game) {
     this.game = game;
-    this.stack = new Stack();
+    this.cardEffects = new CardEffects(this);
+    this.cardScripts = new CardScripts(this);
+    this.combat = new Combat(this);
+    this.counters = new Counters(this);
+    this.manaAbilities = new ManaAbilities(this);
+    this.targeting = new Targeting(this);
+    this.tokens = new Tokens(this);
+    this.stack = new Stack(this);
     this.triggeredAbilities = new TriggeredAbilities(this);
     this.stateBasedActions = new StateBasedActions(this);
     this.replacementEffects = new ReplacementEffects(this);
     this.continuousEffects = new ContinuousEffects(this);
     this.priorityManager = new PriorityManager(this);
+    this.pendingMoves = new Set();
   }
 
-  // Main game loop with proper priority and stack handling
+  // Main game loop with proper priority and stack handling.
+  // Returns the priority outcome for passes ('passed', 'resolved' or
+  // 'all_passed') and 'acted' for every other action.
   processAction(player, action) {
     // Check if action is legal
     if (!this.isActionLegal(player, action)) {
       throw new Error(`Illegal action: ${action.type}`);
     }
 
-    // Check for replacement effects
-    const modifiedAction = this.replacementEffects.apply(action);
+    if (action.type === 'pass' || action.type === 'pass-priority') {
+      return this.priorityManager.pass(player);
+    }
 
     // Execute the action
-    this.executeAction(player, modifiedAction);
+    this.executeAction(player, action);
 
     // Check for state-based actions
     this.stateBasedActions.check();
@@ -29,29 +55,55 @@ export default class RulesEngine {
     // Check for triggered abilities
     this.triggeredAbilities.check();
 
-    // Handle priority and stack resolution
-    return this.priorityManager.handlePriority();
+    // Declaring attackers or blockers continues the combat step instead
+    if (action.type === 'attack' || action.type === 'block') {
+      this.combat.finishDeclaration();
+      return 'declared';
+    }
+
+    // Damage assignment orders don't change who holds priority
+    if (action.type === 'assign-damage') return 'acted';
+
+    // The acting player receives priority again
+    this.priorityManager.actionTaken(player);
+    return 'acted';
   }
 
   isActionLegal(player, action) {
+    // Spells, abilities, land drops and passes all require priority
+    if (this.requiresPriority(action) && !this.priorityManager.hasPriority(player)) {
+      return false;
+    }
+
     switch (action.type) {
       case 'play-land':
         return this.canPlayLand(player, action.cardId);
       case 'cast':
-        return this.canCastSpell(player, action.cardId, action.fromCommandZone);
+        return this.canCastSpell(player, action.cardId, action.fromCommandZone, this.paymentOptions(action)) &&
+          this.areLegalSpellTargets(player, action);
       case 'activate':
-        return this.canActivateAbility(player, action.cardId, action.abilityId);
+        return this.canActivateAbility(player, action.cardId, action.abilityId) &&
+          this.areLegalAbilityTargets(player, action);
+      case 'tap-for-mana':
+        return this.canActivateManaAbility(player, action.cardId, action.abilityId);
       case 'attack':
-        return this.canDeclareAttackers(player, action.attackers);
+        return this.combat.canDeclareAttackers(player, action.attackers);
       case 'block':
-        return this.canDeclareBlockers(player, action.blockers);
+        return this.combat.canDeclareBlockers(player, action.blockers);
+      case 'assign-damage':
+        return this.combat.canAssignDamage(player, action.attackerId, action.assignments);
       case 'pass':
+      case 'pass-priority':
         return true;
       default:
         return false;
     }
   }
 
+  requiresPriority(action) {
+    return ['play-land', 'cast', 'activate', 'tap-for-mana', 'pass', 'pass-priority'].includes(action.type);
+  }
+
   canPlayLand(player, cardId) {
     const card = this.findCardInZone(player.hand, cardId);
     if (!card) return false;
@@ -62,24 +114,31 @@ export default class RulesEngine {
     // Check land rule (one land per turn)
     if (player.landsPlayedThisTurn >= 1) return false;
 
-    // Check timing (main phase, stack empty)
+    // Check timing (own main phase, stack empty)
+    if (!this.isActivePlayer(player)) return false;
     if (this.game.phase !== 'main1' && this.game.phase !== 'main2') return false;
     if (this.stack.length > 0) return false;
 
     return true;
   }
 
-  canCastSpell(player, cardId, fromCommandZone = false) {
+  canCastSpell(player, cardId, fromCommandZone = false, payment = {}) {
     const zone = fromCommandZone ? player.commandZone : player.hand;
     const card = this.findCardInZone(zone, cardId);
     if (!card) return false;
 
+    // Lands are played, never cast
+    if (card.type?.includes('Land')) return false;
+
     // Check timing restrictions
-    if (!this.canCastAtThisTime(card)) return false;
+    if (!this.canCastAtThisTime(player, card)) return false;
+
+    // A spell with targets needs something to target
+    if (!this.targeting.hasLegalTargets(this.targeting.specsFor(card), player, card)) return false;
 
     // Check mana availability
     const cost = this.getManaCost(card, fromCommandZone);
-    if (!this.hasEnoughMana(player, cost)) return false;
+    if (!this.hasEnoughMana(player, cost, payment)) return false;
 
     // Check additional casting restrictions
     if (card.type?.includes('Creature')) {
@@ -96,76 +155,53 @@ export default class RulesEngine {
     const ability = this.findAbility(card, abilityId);
     if (!ability) return false;
 
-    // Check if card is not summoning sick (if creature)
-    if (card.type?.includes('Creature') && this.isSummoningSick(card)) {
-      if (!ability.hasFlash) return false;
+    // {T} abilities need an untapped source and {Q} abilities a tapped
+    // one; either way a creature can't be summoning sick
+    if (ability.requiresTap || ability.cost.untap) {
+      if (ability.requiresTap ? card.tapped : !card.tapped) return false;
+      if (card.type?.includes('Creature') && this.isSummoningSick(card) && !card.haste && !ability.hasFlash) {
+        return false;
+      }
     }
 
+    // One loyalty ability per planeswalker each turn, and abilities that
+    // say "Activate only once each turn"
+    if (this.activatedThisTurn(card, ability)) return false;
+
     // Check timing
     if (ability.timing && !ability.timing.includes(this.game.phase)) {
       return false;
     }
 
+    // "Activate only as a sorcery", e.g. equip, and loyalty abilities
+    if (ability.sorcerySpeed) {
+      if (!this.isActivePlayer(player) || this.stack.length > 0) return false;
+      if (this.game.phase !== 'main1' && this.game.phase !== 'main2') return false;
+    }
+
     // Check cost
-    if (!this.canPayCost(player, ability.cost)) return false;
+    if (!this.canPayCost(player, ability.cost, card)) return false;
 
     // Check targets
-    if (ability.requiresTarget && !this.hasLegalTargets(ability, player)) {
+    if (ability.requiresTarget && !this.hasLegalTargets(ability, player, card)) {
       return false;
     }
 
     return true;
   }
 
-  canDeclareAttackers(player, attackers) {
-    if (this.game.phase !== 'combat' || this.game.combatStep !== 'declare_attackers') {
-      return false;
-    }
-
-    const opponent = this.getOpponent(player);
-
-    // Check each attacker
-    for (const attackerId of attackers) {
-      const attacker = this.findCardInZone(player.battlefield, attackerId);
-      if (!attacker) return false;
-      if (!attacker.type?.includes('Creature')) return false;
-      if (attacker.tapped) return false;
-      if (this.isSummoningSick(attacker) && !attacker.haste) return false;
-      if (attacker.power <= 0) return false;
-
-      // Check for attacking restrictions
-      if (attacker.cannotAttack) return false;
-
-      // Check for defender requirement
-      if (attacker.defender && !attackers.includes(opponent.id)) return false;
-    }
-
-    return true;
+  // Targets sent with the action must be legal; none at all means the
+  // player chooses them before the costs are paid
+  areLegalSpellTargets(player, action) {
+    const zone = action.fromCommandZone ? player.commandZone : player.hand;
+    const card = this.findCardInZone(zone, action.cardId);
+    return this.targeting.areLegalChoices(this.targeting.specsFor(card), action.targets, player, card);
   }
 
-  canDeclareBlockers(player, blockers) {
-    if (this.game.phase !== 'combat' || this.game.combatStep !== 'declare_blockers') {
-      return false;
-    }
-
-    const attacker = this.game.currentAttacker;
-    if (!attacker) return false;
-
-    // Check each blocker
-    for (const blockerId of blockers) {
-      const blocker = this.findCardInZone(player.battlefield, blockerId);
-      if (!blocker) return false;
-      if (!blocker.type?.includes('Creature')) return false;
-      if (blocker.tapped) return false;
-
-      // Check blocking restrictions
-      if (blocker.cannotBlock) return false;
-
-      // Check if can block this specific attacker
-      if (!this.canBlock(blocker, attacker)) return false;
-    }
-
-    return true;
+  areLegalAbilityTargets(player, action) {
+    const card = this.findCardInZone(player.battlefield, action.cardId);
+    const ability = this.findAbility(card, action.abilityId);
+    return this.targeting.areLegalChoices(ability.targets || [], action.targets, player, card);
   }
 
   executeAction(player, action) {
@@ -174,16 +210,22 @@ export default class RulesEngine {
         this.executePlayLand(player, action.cardId);
         break;
       case 'cast':
-        this.executeCastSpell(player, action.cardId, action.fromCommandZone);
+        this.executeCastSpell(player, action.cardId, action.fromCommandZone, action.targets, this.paymentOptions(action));
         break;
       case 'activate':
-        this.executeActivateAbility(player, action.cardId, action.abilityId);
+        this.executeActivateAbility(player, action.cardId, action.abilityId, action.targets);
+        break;
+      case 'tap-for-mana':
+        this.executeManaAbility(player, action.cardId, action.abilityId, action.color);
         break;
       case 'attack':
-        this.executeAttack(player, action.attackers);
+        this.combat.declareAttackers(player, action.attackers);
         break;
       case 'block':
-        this.executeBlock(player, action.blockers);
+        this.combat.declareBlockers(player, action.blockers);
+        break;
+      case 'assign-damage':
+        this.combat.assignDamage(action.attackerId, action.assignments);
         break;
     }
   }
@@ -192,11 +234,7 @@ export default class RulesEngine {
     const card = this.findCardInZone(player.hand, cardId);
     if (!card) return;
 
-    // Remove from hand
-    player.hand = player.hand.filter(c => c.id !== cardId);
-
-    // Add to battlefield
-    player.battlefield.push(card);
+    this.moveCard(card, 'hand', 'battlefield', { controller: player });
 
     // Update land count
     player.landsPlayedThisTurn++;
@@ -205,101 +243,225 @@ export default class RulesEngine {
     this.triggeredAbilities.recordEvent('land_played', { player, card });
   }
 
-  executeCastSpell(player, cardId, fromCommandZone = false) {
+  executeCastSpell(player, cardId, fromCommandZone = false, targets = [], payment = {}) {
     const zone = fromCommandZone ? player.commandZone : player.hand;
     const card = this.findCardInZone(zone, cardId);
     if (!card) return;
 
-    // Pay costs (mana)
-    const cost = this.getManaCost(card, fromCommandZone);
-    this.payManaCost(player, cost);
-
-    // Remove from zone
-    zone.splice(zone.indexOf(card), 1);
-
-    // Add to stack
-    this.stack.push({
-      type: 'spell',
-      card: card,
-      controller: player,
-      targets: action.targets || [],
-      mode: 'casting'
-    });
+    this.withTargets(player, this.targeting.specsFor(card), card, targets, (chosen) => {
+      // Pay costs (mana)
+      const cost = this.getManaCost(card, fromCommandZone);
+      this.payManaCost(player, cost, payment);
 
-    // Record the action for triggered abilities
-    this.triggeredAbilities.recordEvent('spell_cast', { player, card });
+      this.moveCard(card, fromCommandZone ? 'commandZone' : 'hand', 'stack');
+
+      // Each cast from the command zone adds {2} to the next one. The card
+      // gets a new id every time it moves, so the count goes by name.
+      if (fromCommandZone) {
+        player.commanderCastCounts[card.name] = (player.commanderCastCounts[card.name] || 0) + 1;
+      }
+
+      // Add to stack
+      const item = {
+        type: 'spell',
+        card: card,
+        controller: player,
+        targets: chosen,
+        xValue: payment.x || 0,
+        mode: 'casting'
+      };
+      this.stack.push(item);
+
+      // Record the action for triggered abilities
+      this.triggeredAbilities.recordEvent('spell_cast', { player, card });
+      this.targetsChosen(item);
+    });
   }
 
-  executeActivateAbility(player, cardId, abilityId) {
+  executeActivateAbility(player, cardId, abilityId, targets = []) {
     const card = this.findCardInZone(player.battlefield, cardId);
     if (!card) return;
 
     const ability = this.findAbility(card, abilityId);
     if (!ability) return;
 
-    // Pay costs
-    this.payCosts(player, ability.cost);
-
-    // Add ability to stack
-    this.stack.push({
-      type: 'ability',
-      source: card,
-      controller: player,
-      ability: ability,
-      targets: action.targets || [],
-      mode: 'activation'
+    this.withTargets(player, ability.targets || [], card, targets, (chosen) => {
+      // Pay costs; choosing what to sacrifice, discard or exile may wait for
+      // the player, so the ability goes on the stack once everything is paid
+      this.payCosts(player, ability.cost, card, () => {
+        const key = this.activationKey(card, ability);
+        if (key) card.activations = { ...card.activations, [key]: this.game.turn };
+
+        const item = {
+          type: 'ability',
+          source: card,
+          controller: player,
+          ability: ability,
+          targets: chosen,
+          mode: 'activation'
+        };
+        this.stack.push(item);
+
+        // Record the action for triggered abilities
+        this.triggeredAbilities.recordEvent('ability_activated', { player, card, ability });
+        this.targetsChosen(item);
+      });
     });
+  }
+
+  // Loyalty abilities share one activation per turn; other abilities limited
+  // to once each turn count on their own. Ability ids include the card's id,
+  // so a permanent that left and came back starts over.
+  activationKey(card, ability) {
+    if (ability.cost.loyalty !== undefined) return `${card.id}:loyalty`;
+    return ability.oncePerTurn ? ability.id : null;
+  }
+
+  activatedThisTurn(card, ability) {
+    const key = this.activationKey(card, ability);
+    return Boolean(key) && card.activations?.[key] === this.game.turn;
+  }
 
-    // Tap the source if required
-    if (ability.requiresTap) {
-      card.tapped = true;
+  // Targets sent with the action, or the choose-targets step when a
+  // player sent none; bots pick theirs on the spot
+  withTargets(player, specs, source, targets, onChosen) {
+    const chosen = this.targeting.normalize(specs, targets);
+    if (specs.length === 0 || chosen.length > 0) {
+      onChosen(chosen);
+      return;
     }
+    this.targeting.chooseTargets(player, specs, source, onChosen);
+  }
 
-    // Record the action for triggered abilities
-    this.triggeredAbilities.recordEvent('ability_activated', { player, card, ability });
+  // Becoming a target may trigger ward. The choose-targets step can finish
+  // after processAction is done, so triggers are checked here as well.
+  targetsChosen(item) {
+    this.targeting.targetsChosen(item);
+    this.triggeredAbilities.check();
+  }
+
+  canActivateManaAbility(player, cardId, abilityId) {
+    const card = this.findCardInZone(player.battlefield, cardId);
+    if (!card) return false;
+
+    if (abilityId) {
+      return this.manaAbilities.canActivate(player, card, this.manaAbilities.findAbility(card, abilityId));
+    }
+    return this.manaAbilities.options(player, card).length > 0;
   }
 
-  executeAttack(player, attackers) {
-    const opponent = this.getOpponent(player);
-    this.game.currentAttacker = player;
-    this.game.currentDefender = opponent;
-    this.game.attackingCreatures = [];
+  // Mana abilities resolve immediately; when the permanent can make more
+  // than one color and the action doesn't say which, the player picks
+  executeManaAbility(player, cardId, abilityId, color) {
+    const card = this.findCardInZone(player.battlefield, cardId);
+    const options = this.manaAbilities.options(player, card)
+      .filter(option => !abilityId || option.ability.id === abilityId)
+      .filter(option => !color || option.colors.length === 0 || option.colors.includes(color));
+
+    if (options.length === 0) {
+      throw new Error('Cannot activate mana ability');
+    }
 
-    for (const attackerId of attackers) {
-      const attacker = this.findCardInZone(player.battlefield, attackerId);
-      if (attacker) {
-        attacker.tapped = true;
-        attacker.isAttacking = true;
-        this.game.attackingCreatures.push(attacker);
-      }
+    if (options.length === 1) {
+      this.manaAbilities.activate(player, card, options[0].ability, options[0].colors);
+      return;
     }
 
-    this.game.combatStep = 'declare_blockers';
+    this.game.requestChoice(player, {
+      type: 'mana_color',
+      prompt: `Choose the mana ${card.name} produces`,
+      options: options.map(({ id, label }) => ({ id, label }))
+    }, ([optionId]) => {
+      const option = options.find(o => o.id === optionId);
+      this.manaAbilities.activate(player, card, option.ability, option.colors);
+    });
   }
 
-  executeBlock(player, blockers) {
-    const opponent = this.game.currentAttacker;
-    if (!opponent) return;
+  // Put a permanent onto the battlefield and apply its printed keywords.
+  // Replacement effects (lands that enter tapped, ...) apply first; one
+  // that waits for a player's answer puts it there once answered. Cards
+  // coming from another zone go through moveCard; tokens are created here.
+  enterBattlefield(player, card, { tapped = false, onEntered } = {}) {
+    this.replacementEffects.run({ type: 'enter_battlefield', card, player, tapped }, (event) => {
+      if (event.replaced) return;
+      card.tapped = event.tapped;
+      card.damage = 0;
+      card.summoningSick = true;
+      card.timestamp = this.continuousEffects.nextTimestamp();
+      event.player.battlefield.push(card);
+      // A Siege is protected by an opponent of its controller; any other
+      // battle by its controller
+      if (card.type?.includes('Battle')) {
+        card.protectorId = card.type.includes('Siege') ? this.getOpponent(event.player)?.id : event.player.id;
+      }
+      this.counters.enterBattlefield(card);
+      this.cardEffects.keywordAbilities.applyPrintedKeywords(card, event.player, this.game);
+      this.continuousEffects.apply();
+      if (onEntered) onEntered();
+      this.triggeredAbilities.recordEvent('permanent_entered', { player: event.player, card });
+    });
+  }
 
-    this.game.blockingAssignments = {};
+  // Damage from any source, in combat or not, after prevention and other
+  // replacement effects
+  dealDamage(source, target, amount, { combat = false } = {}) {
+    if (!target || amount <= 0) return;
+
+    this.replacementEffects.run({ type: 'damage', source, target, amount, combat }, (event) => {
+      if (event.replaced || event.amount <= 0) return;
+      const damage = event.amount;
+      const damaged = event.target;
+
+      if (this.game.players.includes(damaged)) {
+        // Infect damage to a player is dealt as poison counters
+        if (source.infect) this.counters.add(damaged, 'poison', damage);
+        else damaged.life -= damage;
+      } else if (damaged.type?.includes('Planeswalker') && !damaged.type?.includes('Creature')) {
+        this.counters.remove(damaged, 'loyalty', damage);
+      } else if (damaged.type?.includes('Battle') && !damaged.type?.includes('Creature')) {
+        this.counters.remove(damaged, 'defense', damage);
+      } else {
+        // Infect damage to a creature is dealt as -1/-1 counters
+        if (source.infect) this.counters.add(damaged, '-1/-1', damage);
+        else damaged.damage = (damaged.damage || 0) + damage;
+        if (source.deathtouch) damaged.deathtouchDamage = true;
+      }
 
-    for (const blockerId of blockers) {
-      const blocker = this.findCardInZone(player.battlefield, blockerId);
-      if (blocker) {
-        blocker.isBlocking = true;
+      // Lifelink: the source's controller gains that much life
+      if (source.lifelink) {
+        const controller = this.game.players.find(p => p.battlefield.includes(source));
+        if (controller) this.cardEffects.applyTemplateEffect('gain_life', { card: source, lifeGain: damage }, controller, [controller], this.game);
+      }
 
-        // Simple blocking - assign to first available attacker
-        const targetAttacker = this.game.attackingCreatures[0];
-        if (targetAttacker) {
-          if (!this.game.blockingAssignments[targetAttacker.id]) {
-            this.game.blockingAssignments[targetAttacker.id] = [];
-          }
-          this.game.blockingAssignments[targetAttacker.id].push(blocker);
-        }
+      this.triggeredAbilities.recordEvent('damage_dealt', { source, target: damaged, damage, combat });
+    });
+  }
+
+  // Draw replacement effects ("if you would draw a card, instead ...") may
+  // replace the draw; `applied` lists replacements already used on this draw.
+  // `turnDraw` marks the draw of the draw step. When the player orders the
+  // replacements, the draw happens once they answer. Returns the card drawn
+  // right away, or null.
+  drawCard(player, applied = [], { turnDraw = false } = {}) {
+    let drawn = null;
+
+    this.replacementEffects.run({ type: 'draw', player, applied }, (event) => {
+      if (event.replaced) return;
+
+      // Drawing from an empty library loses the game at the next check
+      if (player.library.length === 0) {
+        player.drewFromEmptyLibrary = true;
+        this.triggeredAbilities.recordEvent('draw_from_empty_library', { player });
+        return;
       }
-    }
 
-    this.game.combatStep = 'combat_damage';
+      const card = player.library[player.library.length - 1];
+      this.moveCard(card, 'library', 'hand');
+      this.triggeredAbilities.recordEvent('card_drawn', { player, card, turnDraw });
+      drawn = card;
+    });
+
+    return drawn;
   }
 
   // Utility methods
@@ -307,22 +469,145 @@ export default class RulesEngine {
     return zone.find(card => card.id === cardId);
   }
 
+  // Activated abilities other than mana abilities: a scripted card's own,
+  // or those compiled from its oracle text
+  abilitiesOf(card) {
+    if (this.cardScripts.get(card)) return this.cardScripts.abilitiesOf(card);
+    return this.cardEffects.compiledAbilities(card);
+  }
+
   findAbility(card, abilityId) {
-    if (!card.abilities) return null;
-    return card.abilities.find(ability => ability.id === abilityId);
+    return this.abilitiesOf(card).find(ability => ability.id === abilityId) || null;
+  }
+
+  getOwner(card) {
+    return this.game.players.find(p => p.id === card.ownerId) ||
+      this.cardEffects.findCardOwner(card, this.game);
+  }
+
+  // Move a card from one zone to another: one of its owner's 'library',
+  // 'hand', 'graveyard', 'exile' or 'commandZone', the 'battlefield' or the
+  // 'stack' (where the caller puts the spell). Replacement effects may
+  // change the destination. Options:
+  //   onMoved(destination)  called once the card is there
+  //   position              'top' (default) or 'bottom' of the library
+  //   faceDown              exile it face down
+  //   controller, tapped    how it enters the battlefield
+  // A card that changes zones becomes a new object with a new id; the
+  // zone_changed event keeps the old one as `previousId`. Returns the zone
+  // the card ended up in, or null while a player is still choosing.
+  moveCard(card, fromZone, toZone, options = {}) {
+    if (this.pendingMoves.has(card)) return null;
+
+    const owner = this.getOwner(card);
+    const controller = fromZone === 'battlefield'
+      ? this.game.players.find(p => p.battlefield.includes(card))
+      : null;
+
+    let destination = null;
+    this.pendingMoves.add(card);
+    this.replacementEffects.run({ type: 'move_card', card, owner, controller, from: fromZone, to: toZone }, (event) => {
+      this.pendingMoves.delete(card);
+      if (event.replaced) return;
+
+      this.removeFromZone(card, fromZone);
+      // Nor affected by what applied to it, or what it applied, as a permanent
+      if (fromZone === 'battlefield') this.continuousEffects.leaveBattlefield(card);
+
+      const previousId = card.id;
+      card.id = uuid();
+      // A card that changes zones is no longer revealed, and loses its counters
+      delete card.revealedTo;
+      delete card.faceDown;
+      delete card.counters;
+
+      this.putInZone(card, owner, event.to, options, () => {
+        this.triggeredAbilities.recordEvent('zone_changed', { card, previousId, owner, controller, from: fromZone, to: event.to });
+        this.game.zoneChanges.push({
+          cardId: card.id, previousId, name: card.name, ownerId: owner.id, from: fromZone, to: event.to, faceDown: !!card.faceDown
+        });
+        destination = event.to;
+        if (options.onMoved) options.onMoved(destination);
+      });
+    });
+    return destination;
+  }
+
+  putInZone(card, owner, zone, { position = 'top', faceDown = false, controller = owner, tapped = false }, onPlaced) {
+    switch (zone) {
+      case 'battlefield':
+        this.enterBattlefield(controller, card, { tapped, onEntered: onPlaced });
+        return;
+      case 'stack':
+        break;
+      case 'library':
+        // The top of the library is the end of the array
+        if (position === 'bottom') owner.library.unshift(card);
+        else owner.library.push(card);
+        break;
+      case 'exile':
+        if (faceDown) card.faceDown = true;
+        owner.exile.push(card);
+        break;
+      default:
+        owner[zone].push(card);
+    }
+    onPlaced();
+  }
+
+  // Cards waiting for a replacement choice before they move
+  isMoving(card) {
+    return this.pendingMoves.has(card);
+  }
+
+  removeFromZone(card, zone) {
+    if (zone === 'stack') {
+      const index = this.stack.items.findIndex(item => item.card === card);
+      if (index !== -1) this.stack.items.splice(index, 1);
+      return;
+    }
+
+    for (const player of this.game.players) {
+      const index = (player[zone] || []).indexOf(card);
+      if (index !== -1) {
+        player[zone].splice(index, 1);
+        return;
+      }
+    }
+  }
+
+  // Targets arrive from clients as ids: a player, a permanent or a spell
+  // on the stack (by its card id)
+  resolveTarget(target) {
+    if (typeof target !== 'string') return target;
+
+    const player = this.game.players.find(p => p.id === target);
+    if (player) return player;
+
+    for (const p of this.game.players) {
+      const permanent = p.battlefield.find(card => card.id === target);
+      if (permanent) return permanent;
+    }
+
+    return this.stack.items.find(item => item.card?.id === target) || null;
   }
 
   getOpponent(player) {
     return this.game.players.find(p => p !== player);
   }
 
-  canCastAtThisTime(card) {
+  isActivePlayer(player) {
+    return this.game.players[this.game.activePlayerIndex] === player;
+  }
+
+  canCastAtThisTime(player, card) {
     // Check if spell can be cast at current time
-    if (card.type?.includes('Instant') || card.flash) {
+    if (card.type?.includes('Instant') || this.hasFlash(card)) {
       return true; // Can cast at any time you have priority
     }
 
-    // For sorceries and creatures
+    // For sorceries and creatures: own main phase only
+    if (!this.isActivePlayer(player)) return false;
     if (this.game.phase === 'main1' || this.game.phase === 'main2') {
       return this.stack.length === 0; // Only when stack is empty
     }
@@ -330,82 +615,143 @@ export default class RulesEngine {
     return false;
   }
 
+  hasFlash(card) {
+    return Boolean(card.flash) || (card.keywords || []).includes('Flash') || /^Flash$/m.test(card.text || '');
+  }
+
+  // Parsed cost (see mana.js), including commander tax
   getManaCost(card, fromCommandZone = false) {
-    let cost = card.manaCost || 0;
+    const cost = parseManaCost(card.manaCost);
 
     // Add commander tax if casting from command zone
     if (fromCommandZone && card.isCommander) {
-      const tax = this.game.players.find(p =>
-        p.commandZone.some(c => c.id === card.id)
-      )?.commanderTaxCount || 0;
-      cost += tax * 2;
+      const casts = this.getOwner(card)?.commanderCastCounts?.[card.name] || 0;
+      return addGenericCost(cost, casts * 2);
     }
 
     return cost;
   }
 
-  hasEnoughMana(player, cost) {
-    return player.manaPool?.total >= cost;
+  // X value and manually chosen mana sources sent with a cast action
+  paymentOptions(action) {
+    return {
+      x: Math.max(0, Number(action.x) || 0),
+      sourceIds: Array.isArray(action.manaSources) ? action.manaSources : null
+    };
   }
 
-  payManaCost(player, cost) {
-    if (player.manaPool && player.manaPool.total >= cost) {
-      player.manaPool.total -= cost;
-      // TODO: Implement proper color payment
+  // `payment.exclude` is a permanent that can't make mana for this cost,
+  // like the source of a "{1}, {T}:" ability
+  manaSources(player, payment = {}) {
+    return this.manaAbilities.sources(player).filter(source => source.card !== payment.exclude);
+  }
+
+  hasEnoughMana(player, cost, payment = {}) {
+    const sources = this.manaSources(player, payment);
+    return planManaPayment(player, cost, { ...payment, sources }) !== null;
+  }
+
+  // Spend floating mana first and activate mana abilities for the rest
+  payManaCost(player, cost, payment = {}) {
+    const sources = this.manaSources(player, payment);
+    const plan = planManaPayment(player, cost, { ...payment, sources });
+    if (!plan) {
+      throw new Error('Cannot pay mana cost');
     }
+
+    payWithPlan(player, plan, (source, color) => {
+      this.manaAbilities.produceFromSource(player, source, color);
+    });
   }
 
-  canPayCost(player, cost) {
-    // Simplified cost checking
-    if (cost.mana) {
-      return this.hasEnoughMana(player, cost.mana);
+  // Costs in the shape oracleCompiler.parseCost returns. A source that
+  // taps or untaps as part of the cost can't also tap for its mana.
+  canPayCost(player, cost, source = null) {
+    const exclude = cost.tap || cost.untap ? source : null;
+    if (cost.mana && !this.hasEnoughMana(player, cost.mana, { exclude })) return false;
+    if (cost.life && player.life < cost.life) return false;
+    if (cost.loyalty < 0 && this.counters.get(source, 'loyalty') < -cost.loyalty) return false;
+    if (cost.removeCounters && this.counters.get(source, cost.removeCounters.kind) < cost.removeCounters.count) return false;
+    for (const kind of CARD_COSTS) {
+      if (cost[kind] !== undefined && this.costCandidates(player, kind, cost[kind], cost, source).length === 0) return false;
     }
     return true;
   }
 
-  payCosts(player, costs) {
-    // Simplified cost payment
+  // `onPaid` runs once every cost is paid, after the player picked what to
+  // sacrifice, discard or exile
+  payCosts(player, costs, source = null, onPaid = () => {}) {
     if (costs.mana) {
-      this.payManaCost(player, costs.mana);
+      this.payManaCost(player, costs.mana, { exclude: costs.tap || costs.untap ? source : null });
+    }
+    if (costs.tap && source) {
+      source.tapped = true;
     }
-    if (costs.tap && costs.tap.source) {
-      costs.tap.source.tapped = true;
+    if (costs.untap && source) {
+      source.tapped = false;
     }
     if (costs.life) {
       player.life -= costs.life;
     }
-  }
+    if (costs.loyalty > 0 && source) {
+      this.counters.add(source, 'loyalty', costs.loyalty);
+    }
+    if (costs.loyalty < 0 && source) {
+      this.counters.remove(source, 'loyalty', -costs.loyalty);
+    }
+    if (costs.removeCounters && source) {
+      this.counters.remove(source, costs.removeCounters.kind, costs.removeCounters.count);
+    }
 
-  hasLegalTargets(ability, player) {
-    // Simplified target checking
-    return true; // TODO: Implement proper target checking
+    const kinds = CARD_COSTS.filter(kind => costs[kind] !== undefined);
+    this.payCardCosts(player, kinds, costs, source, () => {
+      // Sacrificing the source itself comes last, so "another" still sees it
+      if (costs.sacrificeSelf && source) this.sacrifice(player, source);
+      onPaid();
+    });
   }
 
-  canBlock(blocker, attacker) {
-    // Check blocking restrictions
-    if (blocker.cannotBlock) return false;
-    if (attacker.cannotBeBlocked) return false;
-
-    // Check for flying
-    if (attacker.flying && !blocker.flying && !blocker.reach) {
-      return false;
+  payCardCosts(player, kinds, costs, source, onPaid) {
+    const [kind, ...rest] = kinds;
+    if (!kind) {
+      onPaid();
+      return;
     }
 
-    // Check for other keywords
-    if (attacker.intimidate) {
-      // Simplified intimidate check
-      const hasArtifact = blocker.type?.includes('Artifact');
-      const sharesColor = this.sharesColor(blocker, attacker);
-      return hasArtifact || sharesColor;
-    }
+    const type = (costs[kind] || 'card').toLowerCase();
+    const options = this.costCandidates(player, kind, costs[kind], costs, source);
+    this.game.requestChoice(player, {
+      type: kind,
+      prompt: kind === 'exile'
+        ? `Choose a ${type} card to exile from your graveyard`
+        : `Choose a ${type} to ${kind}`,
+      options: options.map(card => ({ id: card.id, label: card.name, card }))
+    }, ([cardId]) => {
+      const card = options.find(c => c.id === cardId);
+      if (kind === 'sacrifice') this.sacrifice(player, card);
+      else this.moveCard(card, kind === 'exile' ? 'graveyard' : 'hand', kind === 'exile' ? 'exile' : 'graveyard');
+      this.payCardCosts(player, rest, costs, source, onPaid);
+    });
+  }
 
-    return true;
+  // Cards that can pay a "Sacrifice a creature", "Discard a creature card"
+  // or "Exile a creature card from your graveyard" cost, least valuable first
+  costCandidates(player, kind, type, costs = {}, source = null) {
+    const zone = { sacrifice: player.battlefield, discard: player.hand, exile: player.graveyard }[kind];
+    const value = (card) => (card.isToken ? -1 : manaValue(card.manaCost));
+    return zone
+      .filter(card => (card.type || '').includes(type))
+      .filter(card => !(kind === 'sacrifice' && (costs.sacrificeAnother || costs.sacrificeSelf) && card === source))
+      .sort((a, b) => value(a) - value(b));
+  }
+
+  sacrifice(player, card) {
+    this.moveCard(card, 'battlefield', 'graveyard');
+    this.triggeredAbilities.recordEvent('permanent_sacrificed', { player, card });
   }
 
-  sharesColor(card1, card2) {
-    // Simplified color sharing check
-    if (!card1.colors || !card2.colors) return false;
-    return card1.colors.some(color => card2.colors.includes(color));
+  hasLegalTargets(ability, player, source) {
+    return this.targeting.hasLegalTargets(ability.targets || [], player, source);
   }
 
   isSummoningSick(card) {
@@ -416,7 +762,8 @@ export default class RulesEngine {
 // Supporting classes for the Rules Engine
 
 class Stack {
-  constructor() {
+  constructor(rulesEngine) {
+    this.rulesEngine = rulesEngine;
     this.items = [];
   }
 
@@ -453,42 +800,63 @@ class Stack {
       case 'ability':
         this.resolveAbility(item);
         break;
+      case 'triggered_ability':
+        this.resolveTriggeredAbility(item);
+        break;
     }
   }
 
   resolveSpell(item) {
-    const { card, controller, targets, mode } = item;
+    const { card, controller } = item;
+    const cardScripts = this.rulesEngine.cardScripts;
+    const script = cardScripts.get(card);
+
+    // A spell whose targets all became illegal doesn't resolve
+    const targets = this.rulesEngine.targeting.resolveTargets(item);
+    if (targets === null) {
+      this.rulesEngine.moveCard(card, 'stack', 'graveyard');
+      this.rulesEngine.game.addLog(`${card.name} is countered: its targets are illegal`);
+      this.rulesEngine.triggeredAbilities.recordEvent('spell_fizzled', { player: controller, card });
+      return;
+    }
+
+    if (card.type?.includes('Instant') || card.type?.includes('Sorcery')) {
+      // Scripted cards follow their script, the rest their compiled text
+      if (script) cardScripts.resolveSpell(item, targets);
+      else this.applySpellEffects(card, controller, targets, item.xValue);
+      this.rulesEngine.moveCard(card, 'stack', 'graveyard');
+      return;
+    }
+
+    // Every other spell is a permanent spell and enters the battlefield;
+    // a copy of one becomes a token
+    if (card.isCopy) card.isToken = true;
+    this.rulesEngine.moveCard(card, 'stack', 'battlefield', { controller });
+    if (script) cardScripts.resolveSpell(item, targets);
 
     if (card.type?.includes('Creature')) {
-      // Enter the battlefield
-      card.summoningSick = true;
-      controller.battlefield.push(card);
-    } else if (card.type?.includes('Instant') || card.type?.includes('Sorcery')) {
-      // Resolve spell effects
-      this.applySpellEffects(card, controller, targets);
-      controller.graveyard.push(card);
+      this.rulesEngine.triggeredAbilities.recordEvent('creature_enters_battlefield', {
+        player: controller,
+        card: card
+      });
     }
-    // TODO: Handle other card types
   }
 
   resolveAbility(item) {
-    const { ability, source, controller, targets } = item;
+    const { ability, source, controller } = item;
+    const targets = this.rulesEngine.targeting.resolveTargets(item);
+    if (targets === null) {
+      this.rulesEngine.game.addLog(`${source.name}'s ability is countered: its targets are illegal`);
+      return;
+    }
     this.applyAbilityEffects(ability, source, controller, targets);
   }
 
-  applySpellEffects(card, controller, targets) {
-    // Simplified spell effect application
-    if (card.text?.includes('deal')) {
-      // Deal damage
-      const damage = this.extractDamageAmount(card.text);
-      if (targets && targets.length > 0) {
-        targets[0].life -= damage;
-      } else {
-        const opponent = controller.game.players.find(p => p !== controller);
-        opponent.life -= damage;
-      }
-    }
-    // TODO: Implement more complex spell effects
+  // Instants and sorceries do what their oracle text says, as far as the
+  // oracle compiler understands it
+  applySpellEffects(card, controller, targets, xValue = 0) {
+    const { effects } = this.rulesEngine.cardEffects.compileCard(card);
+    this.rulesEngine.cardEffects.applyCompiledEffects(effects, card, controller, targets, { x: xValue });
   }
 
   applyAbilityEffects(ability, source, controller, targets) {
@@ -498,28 +866,103 @@ class Stack {
     }
   }
 
-  extractDamageAmount(text) {
-    const match = text.match(/(\d+)\s*damage/);
-    return match ? parseInt(match[1]) : 0;
+  // An intervening "if" is checked again, and the controller of a "may"
+  // ability chooses whether to do it, as it resolves
+  resolveTriggeredAbility(item) {
+    const { trigger, source, controller, eventData } = item;
+    if (trigger.interveningIf && !trigger.interveningIf(source, controller, eventData)) return;
+
+    const resolve = () => {
+      if (typeof trigger.effect === 'function') {
+        trigger.effect(source, controller, eventData);
+      } else if (trigger.effect) {
+        this.rulesEngine.cardEffects.applyEffect(trigger.effect, source, controller, [], this.rulesEngine.game);
+      }
+    };
+
+    if (!trigger.optional) {
+      resolve();
+      return;
+    }
+
+    this.rulesEngine.game.requestChoice(controller, {
+      type: 'may',
+      prompt: `${source.name}: ${trigger.text || 'use this ability'}?`,
+      options: [{ id: 'yes', label: 'Yes' }, { id: 'no', label: 'No' }]
+    }, ([answer]) => {
+      if (answer === 'yes') resolve();
+    });
   }
+
 }
 
+// Triggered abilities wait in `pendingTriggers` until a player would
+// next receive priority. `check` then puts them on the stack in APNAP
+// order: the active player's first (so they resolve last), and each
+// controller orders their own simultaneous triggers. Abilities that
+// trigger on leaving the battlefield look back at the permanents as they
+// were just before the event.
 class TriggeredAbilities {
   constructor(rulesEngine) {
     this.rulesEngine = rulesEngine;
     this.pendingTriggers = [];
     this.triggeredEvents = [];
+    // Permanents that left the battlefield since triggers were last put on
+    // the stack, with their controller at the time
+    this.leftBattlefield = [];
   }
 
   check() {
-    for (const trigger of this.pendingTriggers) {
-      this.evaluateTrigger(trigger);
-    }
+    const pending = this.pendingTriggers;
     this.pendingTriggers = [];
+    this.leftBattlefield = [];
+    if (pending.length === 0) return;
+
+    const game = this.rulesEngine.game;
+    const activeIndex = game.activePlayerIndex;
+    const apnap = game.players.map((_, i) => game.players[(activeIndex + i) % game.players.length]);
+    const groups = apnap
+      .map(player => pending.filter(trigger => trigger.controller === player))
+      .filter(group => group.length > 0);
+
+    this.putOnStack(groups);
+  }
+
+  // One controller at a time, waiting for each ordering choice
+  putOnStack(groups) {
+    if (groups.length === 0) return;
+    const [group, ...rest] = groups;
+
+    const push = (ordered) => {
+      for (const trigger of ordered) this.addToStack(trigger);
+      this.putOnStack(rest);
+    };
+
+    if (group.length === 1) {
+      push(group);
+      return;
+    }
+
+    const options = group.map((trigger, index) => ({
+      id: String(index),
+      label: `${trigger.source.name}: ${trigger.trigger.text || 'triggered ability'}`,
+      card: trigger.source
+    }));
+    this.rulesEngine.game.requestChoice(group[0].controller, {
+      type: 'trigger_order',
+      prompt: 'Order your triggered abilities: the first one you pick goes on the stack first and resolves last',
+      options,
+      min: group.length,
+      max: group.length
+    }, (selection) => push(selection.map(index => group[Number(index)])));
   }
 
   recordEvent(eventType, eventData) {
-    this.triggeredEvents.push({ type: eventType, data: eventData, timestamp: Date.now() });
+    this.triggeredEvents.push({ type: eventType, data: eventData, turn: this.rulesEngine.game.turn, timestamp: Date.now() });
+
+    if (eventType === 'zone_changed' && eventData.from === 'battlefield' && eventData.controller) {
+      this.leftBattlefield.push({ card: eventData.card, controller: eventData.controller });
+    }
 
     // Check for cards that trigger on this event
     this.checkForTriggers(eventType, eventData);
@@ -528,6 +971,12 @@ class TriggeredAbilities {
   checkForTriggers(eventType, eventData) {
     const game = this.rulesEngine.game;
 
+    // Leaves-the-battlefield abilities look back in time
+    const lookBack = this.isLeavesBattlefieldEvent(eventType, eventData)
+      ? this.leftBattlefield.filter(({ card, controller }) => !controller.battlefield.includes(card))
+      : [];
+    const lookedBack = new Set(lookBack.map(({ card }) => card));
+
     for (const player of game.players) {
       // Check battlefield for triggered abilities
       for (const card of player.battlefield) {
@@ -535,23 +984,35 @@ class TriggeredAbilities {
       }
 
       // Check other zones as needed
-      this.checkZoneTriggers(player.hand, eventType, eventData, player);
-      this.checkZoneTriggers(player.graveyard, eventType, eventData, player);
+      const elsewhere = (zone) => zone.filter(card => !lookedBack.has(card));
+      this.checkZoneTriggers(elsewhere(player.hand), eventType, eventData, player);
+      this.checkZoneTriggers(elsewhere(player.graveyard), eventType, eventData, player);
+    }
+
+    for (const { card, controller } of lookBack) {
+      this.checkCardTriggers(card, eventType, eventData, controller, { lookBack: true });
     }
   }
 
-  checkCardTriggers(card, eventType, eventData, player) {
-    if (!card.triggeredAbilities) return;
+  isLeavesBattlefieldEvent(eventType, eventData) {
+    if (eventType === 'creature_dies' || eventType === 'permanent_sacrificed') return true;
+    return eventType === 'zone_changed' && eventData.from === 'battlefield';
+  }
 
-    for (const trigger of card.triggeredAbilities) {
-      if (this.doesTriggerMatch(trigger, eventType, eventData)) {
-        this.pendingTriggers.push({
-          trigger: trigger,
-          source: card,
-          controller: player,
-          eventData: eventData
-        });
-      }
+  checkCardTriggers(card, eventType, eventData, player, { lookBack = false } = {}) {
+    const triggers = [...(card.triggeredAbilities || []), ...this.rulesEngine.cardScripts.triggersOf(card)];
+
+    for (const trigger of triggers) {
+      if (!this.doesTriggerMatch(trigger, eventType, eventData, card, player, lookBack)) continue;
+      // Intervening "if" clauses must hold when the ability triggers
+      if (trigger.interveningIf && !trigger.interveningIf(card, player, eventData)) continue;
+
+      this.pendingTriggers.push({
+        trigger: trigger,
+        source: card,
+        controller: player,
+        eventData: eventData
+      });
     }
   }
 
@@ -561,8 +1022,10 @@ class TriggeredAbilities {
     }
   }
 
-  doesTriggerMatch(trigger, eventType, eventData) {
+  doesTriggerMatch(trigger, eventType, eventData, source, controller, lookBack = false) {
     switch (trigger.condition) {
+      case 'script':
+        return trigger.matches(eventType, eventData, source, controller, { lookBack });
       case 'when_creature_enters':
         return eventType === 'creature_enters_battlefield';
       case 'when_creature_dies':
@@ -580,18 +1043,6 @@ class TriggeredAbilities {
     }
   }
 
-  evaluateTrigger(trigger) {
-    // Check if trigger is optional or mandatory
-    if (trigger.optional) {
-      // Optional triggers go to stack only if controller chooses
-      // For now, assume always choose to trigger
-      this.addToStack(trigger);
-    } else {
-      // Mandatory triggers must go to stack
-      this.addToStack(trigger);
-    }
-  }
-
   addToStack(trigger) {
     this.rulesEngine.stack.push({
       type: 'triggered_ability',
@@ -620,43 +1071,79 @@ class StateBasedActions {
     let changed = false;
     const game = this.rulesEngine.game;
 
-    // 1. Destroy creatures with lethal damage
+    // Characteristics as the continuous effects make them right now
+    this.rulesEngine.continuousEffects.apply();
+
+    // 1. Destroy creatures with lethal damage; creatures with 0 or less
+    // toughness are put into the graveyard even if indestructible
+    for (const player of game.players) {
+      for (let i = player.battlefield.length - 1; i >= 0; i--) {
+        const card = player.battlefield[i];
+        if (!card.type?.includes('Creature') || this.rulesEngine.isMoving(card)) continue;
+        if ((card.toughness || 0) <= 0 || (!card.indestructible && this.isLethallyDamaged(card))) {
+          this.destroyCreature(player, card);
+          changed = true;
+        }
+      }
+    }
+
+    // 2. Planeswalkers with no loyalty and battles with no defense go to
+    // their owner's graveyard
+    const counters = this.rulesEngine.counters;
     for (const player of game.players) {
       for (let i = player.battlefield.length - 1; i >= 0; i--) {
         const card = player.battlefield[i];
-        if (card.type?.includes('Creature') && this.isLethallyDamaged(card)) {
-          this.destroyCreature(player, card, i);
+        if (this.rulesEngine.isMoving(card)) continue;
+        const defeated = (card.type?.includes('Planeswalker') && counters.get(card, 'loyalty') <= 0) ||
+          (card.type?.includes('Battle') && counters.get(card, 'defense') <= 0);
+        if (defeated) {
+          this.rulesEngine.moveCard(card, 'battlefield', 'graveyard');
           changed = true;
         }
       }
     }
 
-    // 2. Handle player death
+    // 3. +1/+1 and -1/-1 counters on the same permanent remove each other
     for (const player of game.players) {
-      if (player.life <= 0) {
-        this.loseGame(player);
+      for (const card of player.battlefield) {
+        if (counters.annihilate(card)) changed = true;
+      }
+    }
+
+    // 4. Players lose for 0 life, drawing from an empty library or 10 poison counters
+    for (const player of game.players) {
+      if (player.lost) continue;
+      const reason = this.lossReason(player);
+      if (reason) {
+        this.loseGame(player, reason);
         changed = true;
       }
     }
 
-    // 3. Remove tokens with 0 toughness
+    // 5. Tokens that left the battlefield and copies of spells that left
+    // the stack cease to exist
     for (const player of game.players) {
-      for (let i = player.battlefield.length - 1; i >= 0; i--) {
-        const card = player.battlefield[i];
-        if (card.isToken && card.toughness <= 0) {
-          player.battlefield.splice(i, 1);
-          changed = true;
+      for (const zone of ['hand', 'library', 'graveyard', 'exile', 'commandZone']) {
+        for (let i = player[zone].length - 1; i >= 0; i--) {
+          if (player[zone][i].isToken || player[zone][i].isCopy) {
+            player[zone].splice(i, 1);
+            changed = true;
+          }
         }
       }
     }
 
-    // 4. Remove auras attached to nothing
+    // 6. Remove auras attached to nothing; equipment attached to nothing
+    // stays on the battlefield unattached
+    const onBattlefield = (id) => game.players.some(p => p.battlefield.some(c => c.id === id));
     for (const player of game.players) {
       for (let i = player.battlefield.length - 1; i >= 0; i--) {
         const card = player.battlefield[i];
-        if (card.type?.includes('Aura') && !card.enchantmentTarget) {
-          player.graveyard.push(card);
-          player.battlefield.splice(i, 1);
+        if (card.type?.includes('Aura') && !onBattlefield(card.enchantmentTarget) && !this.rulesEngine.isMoving(card)) {
+          this.rulesEngine.moveCard(card, 'battlefield', 'graveyard');
+          changed = true;
+        } else if (card.attachedTo && !onBattlefield(card.attachedTo)) {
+          delete card.attachedTo;
           changed = true;
         }
       }
@@ -668,160 +1155,712 @@ class StateBasedActions {
   isLethallyDamaged(creature) {
     const damage = creature.damage || 0;
     const toughness = creature.toughness || 0;
-    return damage >= toughness;
+    if (damage === 0) return false;
+    // Any damage from a source with deathtouch is lethal
+    return damage >= toughness || (creature.deathtouchDamage && damage > 0);
   }
 
-  destroyCreature(player, creature, index) {
-    creature.damage = 0; // Reset damage
-    player.graveyard.push(creature);
-    player.battlefield.splice(index, 1);
+  destroyCreature(player, creature) {
+    this.rulesEngine.moveCard(creature, 'battlefield', 'graveyard', { onMoved: (destination) => {
+      creature.damage = 0; // Reset damage
+      creature.deathtouchDamage = false;
 
-    // Record death event
-    this.rulesEngine.triggeredAbilities.recordEvent('creature_dies', {
-      player: player,
-      creature: creature
-    });
+      // It only dies if it's put into a graveyard, not exiled or sent to
+      // the command zone instead
+      if (destination !== 'graveyard') return;
+      this.rulesEngine.triggeredAbilities.recordEvent('creature_dies', {
+        player: player,
+        creature: creature
+      });
+    } });
   }
 
-  loseGame(player) {
-    // Handle game loss
-    player.lost = true;
+  lossReason(player) {
+    if (player.life <= 0) return 'life';
+    if (player.drewFromEmptyLibrary) return 'empty_library';
+    if (this.rulesEngine.counters.get(player, 'poison') >= POISON_LIMIT) return 'poison';
+    return null;
+  }
+
+  loseGame(player, reason) {
+    this.rulesEngine.game.playerLoses(player, reason);
 
     // Record game end event
     this.rulesEngine.triggeredAbilities.recordEvent('player_loses', {
-      player: player
+      player: player,
+      reason
     });
   }
 }
 
+// Event types of the replacement types registered before events had names
+const LEGACY_REPLACEMENT_TYPES = {
+  damage_prevention: 'damage',
+  card_draw_replacement: 'draw',
+  zone_change_replacement: 'move_card'
+};
+
+// Replacement and prevention effects (rules 614-616). Events are
+//
+//   { type: 'move_card', card, owner, controller, from, to }
+//   { type: 'enter_battlefield', card, player, tapped }
+//   { type: 'damage', source, target, amount, combat }
+//   { type: 'draw', player }
+//
+// and go through `run` before they happen. A replacement is
+//
+//   { id, event, kind: 'replacement' | 'prevention', text, self,
+//     appliesTo(event), replace(event, done), duration, sourceId }
+//
+// `replace` returns the modified event, or calls `done` with it once a
+// player has answered; a result with `replaced: true` doesn't happen at
+// all. Each replacement applies to an event at most once. When several
+// apply, self-replacement effects go first and the affected player (or
+// the controller of the affected object) chooses the order. Besides the
+// registered ones, permanents' card scripts may have `replacements`, and
+// lands that enter tapped replace their own entering.
 class ReplacementEffects {
   constructor(rulesEngine) {
     this.rulesEngine = rulesEngine;
-    this.replacements = [];
+    this.replacements = [this.createCommanderZoneReplacement()];
   }
 
-  apply(action) {
-    let modifiedAction = { ...action };
+  get game() {
+    return this.rulesEngine.game;
+  }
 
-    for (const replacement of this.replacements) {
-      if (this.doesReplace(replacement, action)) {
-        modifiedAction = replacement.replace(modifiedAction);
-      }
-    }
+  register(replacement) {
+    this.replacements.push({ kind: 'replacement', duration: 'indefinite', ...replacement });
+  }
+
+  unregister(id) {
+    this.replacements = this.replacements.filter(r => r.id !== id);
+  }
+
+  endOfTurn() {
+    this.replacements = this.replacements.filter(r => r.duration !== 'end_of_turn');
+  }
+
+  eventOf(replacement) {
+    return replacement.event || LEGACY_REPLACEMENT_TYPES[replacement.type];
+  }
 
-    return modifiedAction;
+  // Replacements of permanents last while they're on the battlefield
+  activeReplacements() {
+    const permanents = this.game.players.flatMap(p => p.battlefield);
+    const onBattlefield = new Set(permanents.map(card => card.id));
+    this.replacements = this.replacements.filter(r => r.duration !== 'source' || onBattlefield.has(r.sourceId));
+
+    const cardScripts = this.rulesEngine.cardScripts;
+    const scripted = permanents.flatMap(source => (cardScripts.get(source)?.replacements || []).map((replacement, index) => {
+      const context = () => cardScripts.context(source, this.rulesEngine.continuousEffects.controllerOf(source));
+      return {
+        kind: 'replacement',
+        ...replacement,
+        id: `${source.id}:replacement:${index}`,
+        sourceId: source.id,
+        appliesTo: (event) => replacement.appliesTo(event, context()),
+        replace: (event, done) => replacement.replace(event, context(), done)
+      };
+    }));
+
+    return [...this.replacements, ...scripted];
+  }
+
+  applicable(event) {
+    const candidates = [...this.activeReplacements(), ...this.selfReplacements(event)];
+    return candidates.filter(replacement => {
+      if (event.applied.includes(replacement.id)) return false;
+      if (this.eventOf(replacement) !== event.type) return false;
+      const appliesTo = replacement.appliesTo || replacement.condition;
+      return !appliesTo || appliesTo(event);
+    });
   }
 
-  doesReplace(replacement, action) {
-    switch (replacement.type) {
-      case 'damage_prevention':
-        return action.type === 'damage';
-      case 'card_draw_replacement':
-        return action.type === 'draw';
-      case 'zone_change_replacement':
-        return action.type === 'move_card';
+  // Runs the event through the replacements that apply and hands the
+  // result to `onDone`, right away unless a player has to choose
+  run(event, onDone) {
+    const current = { ...event, applied: [...(event.applied || [])] };
+    const candidates = this.applicable(current);
+    if (candidates.length === 0) {
+      onDone(current);
+      return;
+    }
+
+    const selfReplacements = candidates.filter(replacement => replacement.self);
+    const options = selfReplacements.length > 0 ? selfReplacements : candidates;
+    const next = (replacement) => this.applyOne(replacement, current, (result) => {
+      if (result.replaced) onDone(result);
+      else this.run(result, onDone);
+    });
+
+    if (options.length === 1) {
+      next(options[0]);
+      return;
+    }
+
+    this.game.requestChoice(this.affectedPlayer(current), {
+      type: 'replacement_order',
+      prompt: 'Choose which replacement effect applies first',
+      options: options.map(replacement => ({ id: replacement.id, label: replacement.text || replacement.id }))
+    }, ([id]) => next(options.find(replacement => replacement.id === id) || options[0]));
+  }
+
+  applyOne(replacement, event, done) {
+    const marked = { ...event, applied: [...event.applied, replacement.id] };
+    let finished = false;
+    const finish = (result) => {
+      if (finished) return;
+      finished = true;
+      done(result);
+    };
+    const result = replacement.replace(marked, finish);
+    if (result) finish(result);
+  }
+
+  // Who orders the replacements: the affected player, or the controller
+  // (the owner, outside the battlefield) of the affected object
+  affectedPlayer(event) {
+    const players = this.game.players;
+    const continuousEffects = this.rulesEngine.continuousEffects;
+    const objectController = (card) => continuousEffects.controllerOf(card) || this.rulesEngine.getOwner(card);
+
+    switch (event.type) {
+      case 'draw':
+        return event.player;
+      case 'damage':
+        return players.includes(event.target) ? event.target : objectController(event.target);
+      case 'enter_battlefield':
+        return event.player;
       default:
-        return false;
+        return event.controller || event.owner || objectController(event.card);
+    }
+  }
+
+  // Prevention
+
+  // Prevents up to `amount` damage to `target` from each event, or in
+  // total when it's a `shield`; `amount` Infinity prevents all of it
+  preventDamage(target, amount, { shield = false, duration = 'end_of_turn', sourceId = null, text } = {}) {
+    let remaining = amount;
+    const id = `prevent_${this.rulesEngine.continuousEffects.nextTimestamp()}`;
+
+    this.register({
+      id,
+      event: 'damage',
+      kind: 'prevention',
+      text: text || `Prevent ${amount === Infinity ? 'all' : amount} damage to ${target.name}`,
+      duration,
+      sourceId,
+      appliesTo: (event) => event.target === target && event.amount > 0,
+      replace: (event) => {
+        const prevented = Math.min(remaining, event.amount);
+        if (shield) {
+          remaining -= prevented;
+          if (remaining <= 0) this.unregister(id);
+        }
+        return { ...event, amount: event.amount - prevented, prevented: (event.prevented || 0) + prevented };
+      }
+    });
+    return id;
+  }
+
+  // "If it would be put into a graveyard (from `from`), exile it instead"
+  exileInstead(card, { from = null, duration = 'indefinite', sourceId = null, text } = {}) {
+    const id = `exile_instead_${this.rulesEngine.continuousEffects.nextTimestamp()}`;
+    this.register({
+      id,
+      event: 'move_card',
+      text: text || `Exile ${card.name} instead`,
+      duration,
+      sourceId,
+      appliesTo: (event) => event.card === card && event.to === 'graveyard' && (!from || event.from === from),
+      replace: (event) => ({ ...event, to: 'exile' })
+    });
+    return id;
+  }
+
+  // Self-replacement effects
+
+  selfReplacements(event) {
+    if (event.type !== 'enter_battlefield') return [];
+    return [this.entersTappedReplacement(event.card), this.entersAsCopyReplacement(event.card)].filter(Boolean);
+  }
+
+  // "You may have this creature enter as a copy of any creature on the
+  // battlefield": the copy effect (layer 1) starts as the permanent enters
+  entersAsCopyReplacement(card) {
+    const match = (card.text || '').match(/You may have .+? enter (?:the battlefield )?as a copy of (?:a|an|any) (\w+)(?: you control)? on the battlefield/i);
+    if (!match) return null;
+
+    const type = match[1][0].toUpperCase() + match[1].slice(1).toLowerCase();
+    return {
+      id: `${card.id}:enters_as_copy`,
+      event: 'enter_battlefield',
+      kind: 'replacement',
+      self: true,
+      text: `${card.name} may enter as a copy of ${match[1].toLowerCase()}`,
+      replace: (event, done) => {
+        const options = this.game.players
+          .flatMap(p => p.battlefield)
+          .filter(c => type === 'Permanent' || c.type?.includes(type))
+          .sort((a, b) => (Number(b.power) || 0) - (Number(a.power) || 0));
+        if (options.length === 0) return event;
+
+        this.game.requestChoice(event.player, {
+          type: 'choose_card',
+          prompt: `${card.name}: choose a ${match[1].toLowerCase()} to copy`,
+          options: options.map(c => ({ id: c.id, label: c.name, card: c })),
+          min: 0,
+          max: 1
+        }, ([originalId]) => {
+          const original = options.find(c => c.id === originalId);
+          if (original) this.rulesEngine.continuousEffects.copy(card, original);
+          done(event);
+        });
+      }
+    };
+  }
+
+  // Lands that enter tapped: unconditionally, unless their controller
+  // controls few other lands (fast lands), or unless 2 life is paid (shock
+  // lands)
+  entersTappedReplacement(card) {
+    const text = card.text || '';
+    const base = { id: `${card.id}:enters_tapped`, event: 'enter_battlefield', kind: 'replacement', self: true };
+
+    if (/you may pay 2 life\. If you don't, it enters (the battlefield )?tapped/i.test(text)) {
+      return {
+        ...base,
+        text: `${card.name}: pay 2 life or enter tapped`,
+        replace: (event, done) => {
+          const { player } = event;
+          this.game.requestChoice(player, {
+            type: 'shock_land',
+            prompt: `${card.name}: pay 2 life or have it enter tapped`,
+            options: [
+              { id: 'pay', label: 'Pay 2 life' },
+              { id: 'tapped', label: 'Enter tapped' }
+            ]
+          }, ([answer]) => {
+            if (answer === 'pay' && player.life >= 2) {
+              player.life -= 2;
+              done(event);
+            } else {
+              done({ ...event, tapped: true });
+            }
+          });
+        }
+      };
+    }
+
+    const fastLand = text.match(/enters (the battlefield )?tapped unless you control (\w+) or fewer other lands/i);
+    if (fastLand) {
+      const limit = { one: 1, two: 2, three: 3 }[fastLand[2].toLowerCase()] ?? 2;
+      return {
+        ...base,
+        text: `${card.name} enters tapped unless you control ${fastLand[2]} or fewer other lands`,
+        replace: (event) => {
+          const otherLands = event.player.battlefield.filter(c => c !== card && c.type?.includes('Land')).length;
+          return otherLands > limit ? { ...event, tapped: true } : event;
+        }
+      };
+    }
+
+    if (/enters (the battlefield )?tapped\./i.test(text)) {
+      return { ...base, text: `${card.name} enters tapped`, replace: (event) => ({ ...event, tapped: true }) };
     }
+
+    return null;
+  }
+
+  // A commander that would go to a graveyard or exile may go to the
+  // command zone instead, at its owner's option
+  createCommanderZoneReplacement() {
+    return {
+      id: 'commander_zone',
+      event: 'move_card',
+      kind: 'replacement',
+      duration: 'indefinite',
+      text: 'Put your commander into the command zone instead',
+      appliesTo: (event) => event.card.isCommander && ['graveyard', 'exile'].includes(event.to),
+      replace: (event, done) => {
+        const { card, owner, to } = event;
+        this.game.requestChoice(owner, {
+          type: 'commander_zone',
+          prompt: `Put ${card.name} into the command zone instead of ${to === 'exile' ? 'exile' : 'the graveyard'}?`,
+          options: [
+            { id: 'command', label: 'Command zone' },
+            { id: 'stay', label: to === 'exile' ? 'Exile' : 'Graveyard' }
+          ]
+        }, ([answer]) => done(answer === 'command' ? { ...event, to: 'commandZone' } : event));
+      }
+    };
   }
 }
 
+// Layers and sublayers in the order continuous effects apply (rule 613)
+const LAYERS = [
+  { layer: 1 }, // copy effects
+  { layer: 2 }, // control
+  { layer: 3 }, // text
+  { layer: 4 }, // types
+  { layer: 5 }, // colors
+  { layer: 6 }, // abilities
+  { layer: 7, sublayer: 'a' }, // characteristic-defining power/toughness
+  { layer: 7, sublayer: 'b' }, // setting power/toughness
+  { layer: 7, sublayer: 'c' }, // modifying power/toughness, and counters
+  { layer: 7, sublayer: 'd' } // switching power and toughness
+];
+
+const CHARACTERISTICS = ['name', 'manaCost', 'type', 'colors', 'text', 'power', 'toughness', 'loyalty', 'defense'];
+
+// Flags the keyword abilities set on a permanent (see KeywordAbilities)
+const KEYWORD_FLAGS = {
+  flying: ['canFly'],
+  trample: ['trample'],
+  haste: ['haste'],
+  vigilance: ['vigilance'],
+  deathtouch: ['deathtouch'],
+  lifelink: ['lifelink'],
+  first_strike: ['firstStrike'],
+  double_strike: ['doubleStrike', 'firstStrike'],
+  indestructible: ['indestructible'],
+  reach: ['reach'],
+  menace: ['menace'],
+  hexproof: ['hexproof']
+};
+
+// Continuous effects never change a permanent's printed characteristics:
+// those are kept in `card.printed` and the values on the card are worked
+// out again from them, layer by layer, whenever the effects change and
+// each time state-based actions are checked. An effect is
+//
+//   { layer, sublayer, card | affects(permanent, values, context),
+//     apply(values, permanent, context), duration, sourceId, while }
+//
+// and affects either one object (`card`) or every permanent `affects`
+// accepts. Durations: 'end_of_turn' ends during cleanup, 'source' while
+// the permanent `sourceId` is on the battlefield, 'condition' as long as
+// `while(game)` holds, and 'indefinite'. Static abilities of permanents
+// (card scripts' `statics`) apply while their source is on the battlefield,
+// with its timestamp.
 class ContinuousEffects {
   constructor(rulesEngine) {
     this.rulesEngine = rulesEngine;
     this.effects = [];
+    this.timestamp = 0;
   }
 
-  apply() {
-    // Apply layers system for continuous effects
+  nextTimestamp() {
+    return ++this.timestamp;
+  }
+
+  add(effect) {
+    const registered = { duration: 'end_of_turn', ...effect, timestamp: this.nextTimestamp() };
+    this.effects.push(registered);
+    this.apply();
+    return registered;
+  }
+
+  // "gets +N/+N": a layer 7c effect on one permanent
+  modifyPowerToughness(card, { power = 0, toughness = 0 }, options = {}) {
+    return this.add({
+      layer: 7,
+      sublayer: 'c',
+      card,
+      apply: (values) => {
+        values.power = (Number(values.power) || 0) + power;
+        values.toughness = (Number(values.toughness) || 0) + toughness;
+      },
+      ...options
+    });
+  }
+
+  remove(predicate) {
+    const before = this.effects.length;
+    this.effects = this.effects.filter(effect => !predicate(effect));
+    if (this.effects.length !== before) this.apply();
+  }
+
+  removeFrom(sourceId) {
+    this.remove(effect => effect.sourceId === sourceId);
+  }
+
+  endOfTurn() {
+    this.remove(effect => effect.duration === 'end_of_turn');
+  }
+
+  // A permanent that leaves the battlefield becomes a new object: effects
+  // on it end and the card gets its printed characteristics back
+  leaveBattlefield(card) {
+    this.effects = this.effects.filter(effect => effect.card !== card && effect.sourceId !== card.id);
+    if (card.printed) {
+      Object.assign(card, card.printed.values);
+      for (const keyword of card.abilityKeywords || []) this.clearKeyword(card, keyword);
+      delete card.printed;
+      delete card.abilityKeywords;
+    }
+    this.apply();
+  }
+
+  permanents() {
+    return this.rulesEngine.game.players.flatMap(player => player.battlefield);
+  }
+
+  printedValues(card) {
+    if (!card.printed) {
+      const values = {};
+      for (const key of CHARACTERISTICS) {
+        if (card[key] !== undefined) values[key] = card[key];
+      }
+      card.printed = {
+        values,
+        keywords: this.rulesEngine.cardEffects.keywordAbilities.keywordsOf(card),
+        controllerId: this.controllerOf(card)?.id
+      };
+    }
+    const { values, keywords, controllerId } = card.printed;
+    return { ...structuredClone(values), keywords: [...keywords], controllerId };
+  }
+
+  controllerOf(card) {
+    return this.rulesEngine.game.players.find(player => player.battlefield.includes(card)) || null;
+  }
+
+  // Copiable values of a permanent or spell: its printed characteristics as
+  // modified by copy effects, and by nothing else (rule 707.2)
+  copiableValues(card) {
+    const copy = this.effects.filter(effect => effect.layer === 1 && effect.card === card).pop();
+    if (copy) return structuredClone(copy.values);
+
+    if (card.printed) {
+      const { controllerId, ...values } = this.printedValues(card);
+      return values;
+    }
+
+    const values = { keywords: this.rulesEngine.cardEffects.keywordAbilities.keywordsOf(card) };
+    for (const key of CHARACTERISTICS) {
+      if (card[key] !== undefined) values[key] = structuredClone(card[key]);
+    }
+    return values;
+  }
+
+  // "becomes a copy of": a layer 1 effect giving the permanent the
+  // original's copiable values as they are now. Exceptions ("except it's
+  // an artifact") become part of the copiable values.
+  copy(card, original, { except, ...options } = {}) {
+    const values = this.copiableValues(original);
+    if (except) except(values);
+
+    return this.add({
+      layer: 1,
+      card,
+      values,
+      duration: 'indefinite',
+      apply: (current) => {
+        for (const key of CHARACTERISTICS) delete current[key];
+        Object.assign(current, structuredClone(values));
+      },
+      ...options
+    });
+  }
+
+  // Effects of static abilities of the permanents on the battlefield
+  staticEffects() {
+    const cardScripts = this.rulesEngine.cardScripts;
+    return this.permanents().flatMap(source => (cardScripts.get(source)?.statics || []).map(ability => ({
+      ...ability,
+      source,
+      sourceId: source.id,
+      duration: 'source',
+      timestamp: source.timestamp || 0
+    })));
+  }
+
+  // Effects whose duration is over
+  expire() {
     const game = this.rulesEngine.game;
+    const onBattlefield = new Set(this.permanents().map(card => card.id));
+    this.effects = this.effects.filter(effect => {
+      if (effect.duration === 'source' && !onBattlefield.has(effect.sourceId)) return false;
+      if (effect.duration === 'condition' && !effect.while(game)) return false;
+      return true;
+    });
+  }
 
-    // Layer 1: Copy effects
-    this.applyLayer(1, game);
+  context(effect) {
+    const game = this.rulesEngine.game;
+    const source = effect.source || this.permanents().find(card => card.id === effect.sourceId) || null;
+    return { game, source, controller: source ? this.controllerOf(source) : effect.controller || null };
+  }
 
-    // Layer 2: Control-changing effects
-    this.applyLayer(2, game);
+  affected(effect, permanents, values) {
+    if (effect.card) return permanents.filter(card => card === effect.card);
+    const context = this.context(effect);
+    return permanents.filter(card => effect.affects(card, values.get(card), context));
+  }
 
-    // Layer 3: Text-changing effects
-    this.applyLayer(3, game);
+  applyEffect(effect, permanents, values) {
+    const context = this.context(effect);
+    for (const card of this.affected(effect, permanents, values)) {
+      effect.apply(values.get(card), card, context);
+    }
+  }
 
-    // Layer 4: Type-changing effects
-    this.applyLayer(4, game);
+  // An effect depends on another of the same layer when applying the
+  // other one changes what it applies to (rule 613.8)
+  dependsOn(effect, other, permanents, values) {
+    if (effect.card) return false;
+    const before = this.affected(effect, permanents, values);
 
-    // Layer 5: Color-changing effects
-    this.applyLayer(5, game);
+    const trial = new Map([...values].map(([card, v]) => [card, structuredClone(v)]));
+    this.applyEffect(other, permanents, trial);
+    const after = this.affected(effect, permanents, trial);
 
-    // Layer 6: Ability-gaining/losing effects
-    this.applyLayer(6, game);
+    return before.length !== after.length || before.some(card => !after.includes(card));
+  }
 
-    // Layer 7: Power/toughness setting effects
-    this.applyLayer(7, game);
+  // Effects of one layer in timestamp order, except that an effect waits
+  // for the ones it depends on; dependency loops fall back to timestamps
+  order(effects, permanents, values) {
+    const pending = [...effects].sort((a, b) => a.timestamp - b.timestamp);
+    const ordered = [];
+    while (pending.length > 0) {
+      const next = pending.find(effect => !pending.some(other => (
+        other !== effect && this.dependsOn(effect, other, permanents, values) && !this.dependsOn(other, effect, permanents, values)
+      ))) || pending[0];
+      pending.splice(pending.indexOf(next), 1);
+      ordered.push(next);
+      this.applyEffect(next, permanents, values);
+    }
+    return ordered;
   }
 
-  applyLayer(layer, game) {
-    const layerEffects = this.effects.filter(effect => effect.layer === layer);
+  apply() {
+    this.expire();
+
+    const permanents = this.permanents();
+    const values = new Map(permanents.map(card => [card, this.printedValues(card)]));
+    const effects = [...this.effects, ...this.staticEffects()];
 
-    for (const effect of layerEffects) {
-      this.applyEffect(effect, game);
+    for (const { layer, sublayer } of LAYERS) {
+      const layerEffects = effects.filter(effect => effect.layer === layer && (effect.sublayer || undefined) === sublayer);
+
+      // Counters apply in 7c along with the effects that modify power and toughness
+      if (layer === 7 && sublayer === 'c') this.applyCounters(permanents, values);
+
+      this.order(layerEffects, permanents, values);
     }
+
+    for (const card of permanents) this.write(card, values.get(card));
   }
 
-  applyEffect(effect, game) {
-    // Apply the continuous effect
-    if (effect.apply) {
-      effect.apply(game);
+  applyCounters(permanents, values) {
+    for (const card of permanents) {
+      const counters = card.counters || {};
+      const net = (counters['+1/+1'] || 0) - (counters['-1/-1'] || 0);
+      if (net === 0) continue;
+      const v = values.get(card);
+      v.power = (Number(v.power) || 0) + net;
+      v.toughness = (Number(v.toughness) || 0) + net;
     }
   }
+
+  // Put the computed characteristics on the card, where the rest of the
+  // engine reads them
+  write(card, values) {
+    const { keywords, controllerId, ...characteristics } = values;
+    Object.assign(card, characteristics);
+
+    // Abilities gained or lost in layer 6; printed keywords were applied
+    // when the permanent entered
+    const previous = card.abilityKeywords || card.printed.keywords;
+    const keywordAbilities = this.rulesEngine.cardEffects.keywordAbilities;
+    for (const keyword of previous.filter(k => !keywords.includes(k))) this.clearKeyword(card, keyword);
+    for (const keyword of keywords.filter(k => !previous.includes(k))) {
+      keywordAbilities.apply(keyword, card, this.controllerOf(card), [], this.rulesEngine.game);
+    }
+    card.abilityKeywords = keywords;
+
+    // Control changes move the permanent to its new controller's battlefield
+    const current = this.controllerOf(card);
+    const controller = this.rulesEngine.game.players.find(player => player.id === controllerId);
+    if (controller && current && controller !== current) {
+      current.battlefield.splice(current.battlefield.indexOf(card), 1);
+      controller.battlefield.push(card);
+      card.summoningSick = true;
+    }
+  }
+
+  clearKeyword(card, keyword) {
+    for (const flag of KEYWORD_FLAGS[keyword] || []) card[flag] = false;
+  }
 }
 
 class PriorityManager {
   constructor(rulesEngine) {
     this.rulesEngine = rulesEngine;
+    this.holder = null;
+    this.passedInSuccession = new Set();
   }
 
-  handlePriority() {
-    const game = this.rulesEngine.game;
+  hasPriority(player) {
+    return this.holder === player;
+  }
 
-    // Start with active player having priority
-    let currentPlayer = game.players[game.activePlayerIndex];
+  givePriority(player) {
+    this.holder = player;
+    this.passedInSuccession.clear();
+  }
 
-    while (!this.rulesEngine.stack.isEmpty()) {
-      // Each player gets priority to act
-      let allPassed = true;
+  // After a player casts a spell, activates an ability or plays a land,
+  // that player receives priority and earlier passes no longer count
+  actionTaken(player) {
+    this.givePriority(player);
+  }
 
-      for (const player of game.players) {
-        if (!player.lost) {
-          const action = this.getPlayerAction(player);
-          if (action && action.type !== 'pass') {
-            this.rulesEngine.processAction(player, action);
-            allPassed = false;
-            break; // Start priority loop over
-          }
-        }
-      }
+  pass(player) {
+    const game = this.rulesEngine.game;
+    this.passedInSuccession.add(player.id);
 
-      // If all players passed, resolve top of stack
-      if (allPassed) {
-        this.rulesEngine.stack.resolve();
+    const livePlayers = game.players.filter(p => !p.lost);
+    const allPassed = livePlayers.every(p => this.passedInSuccession.has(p.id));
 
-        // Check for state-based actions after resolution
-        this.rulesEngine.stateBasedActions.check();
+    if (!allPassed) {
+      this.holder = this.nextPlayer(player);
+      return 'passed';
+    }
 
-        // Check for triggered abilities
-        this.rulesEngine.triggeredAbilities.check();
-      }
+    const activePlayer = game.players[game.activePlayerIndex];
+
+    if (this.rulesEngine.stack.isEmpty()) {
+      // Empty stack and everybody passed: the step ends
+      this.givePriority(activePlayer);
+      return 'all_passed';
     }
 
-    return true; // Stack is empty, continue with turn
+    // Both players passed in succession: resolve the top of the stack
+    this.rulesEngine.stack.resolve();
+
+    // Check for state-based actions after resolution
+    this.rulesEngine.stateBasedActions.check();
+
+    // Check for triggered abilities
+    this.rulesEngine.triggeredAbilities.check();
+
+    // The active player receives priority after resolution
+    this.givePriority(activePlayer);
+    return 'resolved';
   }
 
-  getPlayerAction(player) {
-    if (player.isHuman) {
-      // Human player needs to provide action via UI
-      return null; // Will be handled asynchronously
-    } else {
-      // Bot player uses AI to decide action
-      return this.rulesEngine.game.bot.decide(player);
+  nextPlayer(player) {
+    const players = this.rulesEngine.game.players;
+    const index = players.indexOf(player);
+    for (let i = 1; i <= players.length; i++) {
+      const candidate = players[(index + i) % players.length];
+      if (!candidate.lost) return candidate;
     }
+    return player;
   }
-}
\ No newline at end of file
+}
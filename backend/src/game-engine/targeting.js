@@ -0,0 +1,345 @@
+// backend/src/game-engine/targeting.js
+import { COLORS, parseManaCost } from './mana.js';
+
+const COLOR_WORDS = { white: 'W', blue: 'U', black: 'B', red: 'R', green: 'G' };
+
+const HELPFUL_TEMPLATES = ['draw', 'gain_life'];
+
+// Lines of rules text without reminder text
+function ruleLines(card) {
+  return (card.text || card.oracle_text || '')
+    .replace(/\([^)]*\)/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+function hasKeyword(card, keyword) {
+  const lower = keyword.toLowerCase();
+  if ((card.keywords || []).some(k => k.toLowerCase() === lower)) return true;
+  return ruleLines(card).some(line => line.split(',').some(part => part.trim().toLowerCase() === lower));
+}
+
+// Colors of a card from its color list or the symbols of its mana cost
+export function colorsOf(card) {
+  if (Array.isArray(card.colors)) return card.colors;
+  if (typeof card.manaCost !== 'string') return [];
+  const symbols = card.manaCost.match(/\{[^}]+\}/g) || [];
+  return COLORS.filter(color => symbols.some(symbol => symbol.includes(color)));
+}
+
+// Target specifications, chosen when a spell is cast or an ability
+// activated and checked again when it resolves. A spec is
+//
+//   { allowed: ['creature', 'player', ...], exclude, controller, spellTypes,
+//     count, upTo, zone, filter, prefer, helpful }
+//
+// as produced by the oracle compiler or written in card scripts. Chosen
+// targets are stored on stack items as one list of ids per spec.
+export default class Targeting {
+  constructor(rulesEngine) {
+    this.rulesEngine = rulesEngine;
+  }
+
+  get game() {
+    return this.rulesEngine.game;
+  }
+
+  // Instants and sorceries target what their compiled text says; scripted
+  // cards (Animate Dead, ...) declare their own targets
+  specsFor(card) {
+    const script = this.rulesEngine.cardScripts.get(card);
+    if (script) return script.targets || [];
+    if (!card.type?.includes('Instant') && !card.type?.includes('Sorcery')) return [];
+    return this.specsForEffects(this.rulesEngine.cardEffects.compileCard(card).effects);
+  }
+
+  // Compiled effects that make the target draw or gain life help it
+  specsForEffects(effects) {
+    return effects
+      .filter(effect => effect.target)
+      .map(effect => (HELPFUL_TEMPLATES.includes(effect.template) ? { ...effect.target, helpful: true } : effect.target));
+  }
+
+  specsForItem(item) {
+    if (item.type === 'spell') return this.specsFor(item.card);
+    return item.ability?.targets || [];
+  }
+
+  sourceOf(item) {
+    return item.card || item.source;
+  }
+
+  targetId(target) {
+    return target.card?.id || target.id;
+  }
+
+  label(target) {
+    return target.card?.name || target.name;
+  }
+
+  // Everything a spec could point at that the source may target
+  candidates(spec, controller, source) {
+    const game = this.game;
+    const found = spec.zone === 'graveyard'
+      ? game.players.flatMap(p => p.graveyard)
+      : [...game.players, ...game.players.flatMap(p => p.battlefield), ...this.rulesEngine.stack.items];
+    return found.filter(target => this.isLegal(target, spec, controller, source));
+  }
+
+  isLegal(target, spec, controller, source) {
+    if (!target) return false;
+
+    if (spec.zone === 'graveyard') {
+      const inGraveyard = this.game.players.some(p => p.graveyard.includes(target));
+      if (!inGraveyard || !spec.allowed.some(kind => (target.type || '').toLowerCase().includes(kind))) return false;
+    } else if (!this.rulesEngine.cardEffects.isLegalTarget(target, spec, controller, source)) {
+      return false;
+    }
+
+    if (spec.filter && !spec.filter(target, this.rulesEngine.cardScripts.context(source, controller))) return false;
+    return this.canBeTargetedBy(target, source, controller);
+  }
+
+  hasLegalTargets(specs, controller, source) {
+    return specs.every(spec => {
+      const needed = spec.upTo ? 0 : (spec.count || 1);
+      return this.candidates(spec, controller, source).length >= needed;
+    });
+  }
+
+  // Bots and targets picked by the engine: harmful effects go to the
+  // opponents' side (players first, then the biggest creatures) and helpful
+  // ones, marked `helpful`, to our own; a spec's `prefer` predicate goes
+  // before both
+  defaultTargets(spec, controller, source) {
+    const candidates = this.candidates(spec, controller, source);
+    const isMine = (t) => t === controller || controller.battlefield.includes(t) || t.controller === controller;
+    const helpful = Boolean(spec.helpful);
+    const isTarget = (t, kind) => this.rulesEngine.cardEffects.isTargetOfType(t, kind);
+
+    const rank = (t) => (isTarget(t, 'player') ? Infinity : (t.power || 0));
+    let ranked;
+    if (spec.zone === 'graveyard') {
+      // Graveyard cards belong to nobody's side: the biggest first
+      ranked = candidates.sort((a, b) => rank(b) - rank(a));
+    } else {
+      const preferred = candidates.filter(t => isMine(t) === helpful).sort((a, b) => rank(b) - rank(a));
+      ranked = [...preferred, ...candidates.filter(t => !preferred.includes(t))];
+    }
+
+    if (!spec.prefer) return ranked;
+    const context = this.rulesEngine.cardScripts.context(source, controller);
+    return [...ranked.filter(t => spec.prefer(t, context)), ...ranked.filter(t => !spec.prefer(t, context))];
+  }
+
+  // Hexproof, shroud and protection
+
+  controllerOf(target) {
+    const players = this.game.players;
+    if (players.includes(target)) return target;
+    if (target.controller && players.includes(target.controller)) return target.controller;
+    return players.find(p => p.battlefield.includes(target)) ||
+      players.find(p => p.graveyard.includes(target)) || null;
+  }
+
+  canBeTargetedBy(target, source, controller) {
+    // Spells on the stack and cards in graveyards have no such abilities
+    if (this.rulesEngine.stack.items.includes(target)) return true;
+    if (!this.game.players.includes(target) && !this.game.players.some(p => p.battlefield.includes(target))) return true;
+
+    const byOpponent = this.controllerOf(target) !== controller;
+
+    if (target.shroud || hasKeyword(target, 'Shroud')) return false;
+    if (byOpponent && (target.hexproof || hasKeyword(target, 'Hexproof'))) return false;
+
+    for (const line of ruleLines(target)) {
+      const hexproofFrom = line.match(/^Hexproof from (.+)$/i);
+      if (byOpponent && hexproofFrom && this.hasQuality(source, hexproofFrom[1])) return false;
+
+      const protection = line.match(/^Protection from (.+)$/i);
+      if (protection && protection[1].split(/\s+and from\s+|,\s*and from\s+|,\s*from\s+/i).some(q => this.hasQuality(source, q))) {
+        return false;
+      }
+    }
+
+    for (const quality of Object.keys(target.protection || {})) {
+      if (target.protection[quality] && this.hasQuality(source, quality)) return false;
+    }
+
+    return true;
+  }
+
+  // "red", "everything", "multicolored", "creatures", "Goblins"
+  hasQuality(source, quality) {
+    if (!source) return false;
+    const word = quality.trim().toLowerCase().replace(/\.$/, '');
+    const colors = colorsOf(source);
+
+    if (word === 'everything') return true;
+    if (word === 'multicolored') return colors.length > 1;
+    if (word === 'monocolored') return colors.length === 1;
+    if (word === 'colorless') return colors.length === 0;
+    if (COLOR_WORDS[word]) return colors.includes(COLOR_WORDS[word]);
+
+    const type = word.replace(/s$/, '');
+    return (source.type || '').toLowerCase().split(/[\s—-]+/).includes(type);
+  }
+
+  // Ward {N} or Ward—Pay N life
+  wardCost(permanent) {
+    for (const line of ruleLines(permanent)) {
+      const mana = line.match(/^Ward\s*(\{[^—]+\})$/i);
+      if (mana) return { mana: mana[1], text: mana[1] };
+      const life = line.match(/^Ward\s*—\s*Pay (\d+) life\.?$/i);
+      if (life) return { life: Number(life[1]), text: `${life[1]} life` };
+    }
+    return null;
+  }
+
+  // Chosen targets
+
+  // Targets arrive as one id per single-target spec, or one list of ids per
+  // spec; an empty list means they haven't been chosen yet
+  normalize(specs, targets) {
+    if (!Array.isArray(targets) || targets.length === 0) return [];
+    const ids = (list) => list.map(target => (typeof target === 'string' ? target : this.targetId(target)));
+    if (targets.every(Array.isArray)) return targets.map(ids);
+
+    const flat = ids(targets);
+    return specs.map(spec => flat.splice(0, spec.count || 1));
+  }
+
+  findLegal(spec, id, controller, source) {
+    return this.candidates(spec, controller, source).find(target => this.targetId(target) === id) || null;
+  }
+
+  // Targets sent with a cast or activate action
+  areLegalChoices(specs, targets, controller, source) {
+    const chosen = this.normalize(specs, targets);
+    if (chosen.length === 0) return true;
+
+    return specs.every((spec, index) => {
+      const ids = chosen[index] || [];
+      const max = spec.count || 1;
+      if (ids.length > max || ids.length < (spec.upTo ? 0 : max)) return false;
+      if (new Set(ids).size !== ids.length) return false;
+      return ids.every(id => this.findLegal(spec, id, controller, source));
+    });
+  }
+
+  // The choose-targets step: one choice per spec, then `onChosen` with a
+  // list of ids per spec
+  chooseTargets(player, specs, source, onChosen, chosen = []) {
+    if (chosen.length === specs.length) {
+      onChosen(chosen);
+      return;
+    }
+
+    const spec = specs[chosen.length];
+    const options = this.defaultTargets(spec, player, source);
+    const count = Math.min(spec.count || 1, options.length);
+
+    this.game.requestChoice(player, {
+      type: 'choose_targets',
+      prompt: `${source.name}: choose ${spec.upTo ? 'up to ' : ''}${spec.count || 1} target ${spec.allowed.join(' or ')}`,
+      sourceId: source.id,
+      options: options.map(target => ({
+        id: this.targetId(target),
+        label: this.label(target),
+        card: this.game.players.includes(target) ? undefined : (target.card || target)
+      })),
+      min: spec.upTo ? 0 : count,
+      max: count
+    }, (selection) => this.chooseTargets(player, specs, source, onChosen, [...chosen, selection]));
+  }
+
+  // Targets of a stack item as it resolves: one list of objects per spec
+  // with the targets that are still legal, picked by the engine when none
+  // were chosen. Returns null when the item has targets and all of them
+  // became illegal, so it doesn't resolve.
+  resolveTargets(item) {
+    const specs = this.specsForItem(item);
+    if (specs.length === 0) return [];
+
+    const source = this.sourceOf(item);
+    const chosen = this.normalize(specs, item.targets);
+
+    if (chosen.length === 0) {
+      const groups = specs.map(spec => (
+        spec.upTo ? [] : this.defaultTargets(spec, item.controller, source).slice(0, spec.count || 1)
+      ));
+      const required = specs.some(spec => !spec.upTo);
+      return required && groups.every(group => group.length === 0) ? null : groups;
+    }
+
+    const groups = specs.map((spec, index) => (chosen[index] || [])
+      .map(id => this.findLegal(spec, id, item.controller, source))
+      .filter(Boolean));
+
+    const chosenCount = chosen.flat().length;
+    return chosenCount > 0 && groups.every(group => group.length === 0) ? null : groups;
+  }
+
+  // Ward triggers when a permanent becomes the target of a spell or ability
+  // an opponent controls: the item is countered unless its controller pays
+  targetsChosen(item) {
+    const groups = this.normalize(this.specsForItem(item), item.targets);
+    const seen = new Set();
+
+    for (const id of groups.flat()) {
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      const target = this.rulesEngine.resolveTarget(id);
+      if (!target || this.game.players.includes(target) || this.rulesEngine.stack.items.includes(target)) continue;
+
+      this.rulesEngine.triggeredAbilities.recordEvent('becomes_target', { target, item });
+
+      const wardController = this.controllerOf(target);
+      const cost = this.wardCost(target);
+      if (!cost || wardController === item.controller) continue;
+
+      this.rulesEngine.triggeredAbilities.pendingTriggers.push({
+        trigger: { text: `Ward ${cost.text}`, effect: () => this.resolveWard(target, wardController, item, cost) },
+        source: target,
+        controller: wardController,
+        eventData: { item }
+      });
+    }
+  }
+
+  resolveWard(permanent, wardController, item, cost) {
+    if (!this.rulesEngine.stack.items.includes(item)) return;
+
+    const payer = item.controller;
+    const counter = () => {
+      this.rulesEngine.cardEffects.applyTemplateEffect('counter', permanent, wardController, [item], this.game);
+    };
+
+    const canPay = cost.mana
+      ? this.rulesEngine.hasEnoughMana(payer, parseManaCost(cost.mana))
+      : payer.life >= cost.life;
+    if (!canPay) {
+      counter();
+      return;
+    }
+
+    this.game.requestChoice(payer, {
+      type: 'ward',
+      prompt: `${permanent.name} has ward: pay ${cost.text} or ${this.label(item)} is countered`,
+      options: [
+        { id: 'pay', label: `Pay ${cost.text}` },
+        { id: 'decline', label: 'Let it be countered' }
+      ]
+    }, ([answer]) => {
+      if (answer !== 'pay') {
+        counter();
+      } else if (cost.mana) {
+        this.rulesEngine.payManaCost(payer, parseManaCost(cost.mana));
+      } else {
+        payer.life -= cost.life;
+      }
+    });
+  }
+}
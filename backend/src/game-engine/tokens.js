@@ -0,0 +1,119 @@
+// backend/src/game-engine/tokens.js
+import { v4 as uuid } from 'uuid';
+
+// Tokens other cards create by name, with the characteristics and oracle
+// text Scryfall gives their token cards. Their abilities work like those
+// of any card: compiled from the text, or scripted by name (cardScripts.js).
+export const TOKEN_DEFINITIONS = {
+  Treasure: {
+    type: 'Token Artifact — Treasure',
+    colors: [],
+    text: '{T}, Sacrifice this artifact: Add one mana of any color.'
+  },
+  Food: {
+    type: 'Token Artifact — Food',
+    colors: [],
+    text: '{2}, {T}, Sacrifice this artifact: You gain 3 life.'
+  },
+  Clue: {
+    type: 'Token Artifact — Clue',
+    colors: [],
+    text: '{2}, Sacrifice this artifact: Draw a card.'
+  },
+  Blood: {
+    type: 'Token Artifact — Blood',
+    colors: [],
+    text: '{1}, {T}, Discard a card, Sacrifice this artifact: Draw a card.'
+  },
+  Map: {
+    type: 'Token Artifact — Map',
+    colors: [],
+    text: '{1}, {T}, Sacrifice this artifact: Target creature you control explores. Activate only as a sorcery.'
+  },
+  // Fable of the Mirror-Breaker
+  'Goblin Shaman': {
+    type: 'Token Creature — Goblin Shaman',
+    colors: ['R'],
+    power: 2,
+    toughness: 2,
+    text: 'Whenever this creature attacks, create a Treasure token.'
+  },
+  // Amass Orcs (Orcish Bowmasters)
+  'Orc Army': {
+    type: 'Token Creature — Orc Army',
+    colors: ['B'],
+    power: 0,
+    toughness: 0,
+    text: ''
+  }
+};
+
+export function tokenDefinition(name) {
+  const definition = TOKEN_DEFINITIONS[name];
+  return definition ? { name, ...definition } : null;
+}
+
+// Creating tokens and copying permanents and spells. A token is a card
+// object with `isToken`; it ceases to exist once it leaves the battlefield
+// (a state-based action). Copies of spells are marked `isCopy` and cease to
+// exist when they leave the stack.
+export default class Tokens {
+  constructor(rulesEngine) {
+    this.rulesEngine = rulesEngine;
+  }
+
+  get game() {
+    return this.rulesEngine.game;
+  }
+
+  // definition: { name, type, colors, power, toughness, text, keywords }, or
+  // the name of a predefined token. Returns the tokens created.
+  create(player, definition, { count = 1, source = null, tapped = false } = {}) {
+    const characteristics = typeof definition === 'string' ? tokenDefinition(definition) : definition;
+    if (!characteristics) throw new Error(`Unknown token: ${definition}`);
+
+    const created = [];
+    for (let i = 0; i < count; i++) {
+      const token = {
+        keywords: [],
+        ...structuredClone(characteristics),
+        name: characteristics.name || 'Token',
+        id: uuid(),
+        isToken: true,
+        ownerId: player.id
+      };
+
+      this.rulesEngine.enterBattlefield(player, token, { tapped });
+      this.rulesEngine.triggeredAbilities.recordEvent('token_created', { token, controller: player, source });
+      created.push(token);
+    }
+    return created;
+  }
+
+  // "Create a token that's a copy of ...": the token's characteristics are
+  // the original's copiable values, with any exceptions applied to them
+  createCopy(player, original, { count = 1, source = null, except } = {}) {
+    const values = this.rulesEngine.continuousEffects.copiableValues(original);
+    if (except) except(values);
+    return this.create(player, values, { count, source });
+  }
+
+  // "Copy target spell": the copy goes on the stack above the original with
+  // the same targets and X. A copy of a permanent spell becomes a token as
+  // it resolves.
+  copySpell(item, controller) {
+    if (item.type !== 'spell' || !this.rulesEngine.stack.items.includes(item)) return null;
+
+    const card = {
+      ...this.rulesEngine.continuousEffects.copiableValues(item.card),
+      id: uuid(),
+      isCopy: true,
+      ownerId: controller.id
+    };
+    const copy = { ...item, card, controller, targets: structuredClone(item.targets || []), mode: 'copy' };
+
+    this.rulesEngine.stack.push(copy);
+    this.rulesEngine.triggeredAbilities.recordEvent('spell_copied', { original: item, copy, controller });
+    return copy;
+  }
+}
@@ -365,7 +365,7 @@ export default class TrainingSystem {
         { name: 'Tarmogoyf', manaCost: 2, type: 'Creature', power: 0, toughness: 1 },
         { name: 'Dark Confidant', manaCost: 2, type: 'Creature', power: 2, toughness: 1 },
         { name: 'Abrupt Decay', manaCost: 2, type: 'Instant', destroy: true },
-        { name: 'Liliana of the Veil', manaCost: 3, type: 'Planeswalker', power: 0, toughness: 3 },
+        { name: 'Liliana of the Veil', manaCost: 3, type: 'Planeswalker', loyalty: 3 },
         { name: 'Forest', manaCost: 0, type: 'Land' }
       ]
     };
@@ -0,0 +1,215 @@
+// backend/src/game-engine/turnStructure.js
+import { emptyManaPool } from './mana.js';
+
+// Every step of a turn in order. Steps without priority (untap, cleanup)
+// only perform their turn-based actions and move on.
+export const TURN_STEPS = [
+  { step: 'untap', phase: 'begin', priority: false },
+  { step: 'upkeep', phase: 'begin', priority: true },
+  { step: 'draw', phase: 'begin', priority: true },
+  { step: 'main1', phase: 'main1', priority: true },
+  { step: 'beginning_of_combat', phase: 'combat', priority: true },
+  { step: 'declare_attackers', phase: 'combat', priority: true },
+  { step: 'declare_blockers', phase: 'combat', priority: true },
+  { step: 'first_strike_damage', phase: 'combat', priority: true },
+  { step: 'combat_damage', phase: 'combat', priority: true },
+  { step: 'end_of_combat', phase: 'combat', priority: true },
+  { step: 'main2', phase: 'main2', priority: true },
+  { step: 'end', phase: 'end', priority: true },
+  { step: 'cleanup', phase: 'end', priority: false }
+];
+
+export const MAX_HAND_SIZE = 7;
+
+export default class TurnStructure {
+  constructor(game) {
+    this.game = game;
+    this.stepIndex = 0;
+  }
+
+  get rulesEngine() {
+    return this.game.rulesEngine;
+  }
+
+  get activePlayer() {
+    return this.game.players[this.game.activePlayerIndex];
+  }
+
+  // Begin the current turn from its untap step
+  startTurn() {
+    this.enterStep(0);
+  }
+
+  // Called once every player passed priority with an empty stack
+  advance() {
+    // Mana empties from each player's pool at the end of every step
+    this.emptyManaPools();
+
+    const nextIndex = this.nextStepIndex(this.stepIndex);
+    if (nextIndex === null) {
+      this.nextTurn();
+      return;
+    }
+
+    this.enterStep(nextIndex);
+  }
+
+  nextStepIndex(index) {
+    for (let i = index + 1; i < TURN_STEPS.length; i++) {
+      if (!this.shouldSkip(TURN_STEPS[i].step)) return i;
+    }
+    return null;
+  }
+
+  shouldSkip(step) {
+    const attackers = this.game.attackingCreatures || [];
+
+    switch (step) {
+      case 'declare_blockers':
+      case 'combat_damage':
+        // Without attackers the combat goes straight to its end step
+        return attackers.length === 0;
+      case 'first_strike_damage':
+        return !attackers.some(c => c.firstStrike || c.doubleStrike) &&
+          !this.blockingCreatures().some(c => c.firstStrike || c.doubleStrike);
+      default:
+        return false;
+    }
+  }
+
+  blockingCreatures() {
+    return Object.values(this.game.blockingAssignments || {}).flat();
+  }
+
+  nextTurn() {
+    const game = this.game;
+    game.activePlayerIndex = (game.activePlayerIndex + 1) % game.players.length;
+    game.turn++;
+    this.startTurn();
+  }
+
+  enterStep(index) {
+    // Nothing moves once the game has ended
+    if (this.game.phase === 'finished') return;
+
+    const { step, phase } = TURN_STEPS[index];
+    this.stepIndex = index;
+    this.game.step = step;
+    this.game.phase = phase;
+
+    // Turn-based actions may need a player decision (combat declarations,
+    // discarding in cleanup); the turn continues once it has been answered
+    const waiting = this.performTurnBasedActions(step, () => this.finishStep(index));
+    if (waiting) return;
+
+    this.finishStep(index);
+  }
+
+  finishStep(index) {
+    if (!TURN_STEPS[index].priority) {
+      this.advance();
+      return;
+    }
+
+    // Triggers from the turn-based actions go on the stack first
+    this.rulesEngine.stateBasedActions.check();
+    this.rulesEngine.triggeredAbilities.check();
+    this.rulesEngine.priorityManager.givePriority(this.activePlayer);
+  }
+
+  // Returns true when the step is waiting on a player choice
+  performTurnBasedActions(step, onDone) {
+    const player = this.activePlayer;
+
+    switch (step) {
+      case 'untap':
+        this.untapStep(player);
+        return false;
+      case 'upkeep':
+        this.rulesEngine.triggeredAbilities.recordEvent('upkeep_start', { player });
+        return false;
+      case 'draw':
+        // The player who goes first skips the draw of their first turn
+        if (this.game.turn > 1) this.rulesEngine.drawCard(player, [], { turnDraw: true });
+        return false;
+      case 'beginning_of_combat':
+        this.rulesEngine.combat.reset();
+        return false;
+      case 'declare_attackers':
+        return this.rulesEngine.combat.beginDeclaration('attackers', onDone);
+      case 'declare_blockers':
+        return this.rulesEngine.combat.beginDeclaration('blockers', onDone);
+      case 'first_strike_damage':
+        this.rulesEngine.combat.dealCombatDamage(true);
+        return false;
+      case 'combat_damage':
+        this.rulesEngine.combat.dealCombatDamage(false);
+        return false;
+      case 'end_of_combat':
+        this.rulesEngine.combat.end();
+        return false;
+      case 'end':
+        this.rulesEngine.triggeredAbilities.recordEvent('turn_end', { player });
+        return false;
+      case 'cleanup':
+        return this.cleanupStep(player, onDone);
+      default:
+        return false;
+    }
+  }
+
+  untapStep(player) {
+    player.landsPlayedThisTurn = 0;
+
+    for (const permanent of player.battlefield) {
+      permanent.tapped = false;
+      // Permanents controlled since the start of the turn can attack and tap
+      permanent.summoningSick = false;
+    }
+  }
+
+  cleanupStep(player, onDone) {
+    const excess = player.hand.length - MAX_HAND_SIZE;
+
+    const finishCleanup = () => {
+      // Damage wears off and "until end of turn" effects end
+      for (const p of this.game.players) {
+        for (const permanent of p.battlefield) {
+          permanent.damage = 0;
+          permanent.deathtouchDamage = false;
+        }
+      }
+      this.rulesEngine.continuousEffects.endOfTurn();
+      this.rulesEngine.replacementEffects.endOfTurn();
+    };
+
+    if (excess <= 0) {
+      finishCleanup();
+      return false;
+    }
+
+    // Bots answer immediately; either way the step continues from the callback
+    this.game.requestChoice(player, {
+      type: 'discard',
+      prompt: `Discard ${excess} card(s) down to ${MAX_HAND_SIZE}`,
+      options: player.hand.map(card => ({ id: card.id, label: card.name, card })),
+      min: excess,
+      max: excess
+    }, (selection) => {
+      for (const cardId of selection) {
+        const card = player.hand.find(c => c.id === cardId);
+        if (card) this.rulesEngine.moveCard(card, 'hand', 'graveyard');
+      }
+      finishCleanup();
+      onDone();
+    });
+
+    return true;
+  }
+
+  emptyManaPools() {
+    for (const player of this.game.players) {
+      player.manaPool = emptyManaPool();
+    }
+  }
+}
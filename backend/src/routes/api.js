@@ -3,6 +3,8 @@ import axios from 'axios';
 import NodeCache from 'node-cache';
 import TrainingSystem from '../game-engine/trainingSystem.js';
 import DeckImportService from '../services/deckImportService.js';
+import { BOT_DECK_LIST, BOT_COMMANDERS, createDeckFromNames } from '../game-engine/cards.js';
+import { scriptCoverage } from '../game-engine/cardScripts.js';
 
 const cache = new NodeCache({ stdTTL: 60 * 60 }); // 1h
 const router = express.Router();
@@ -106,13 +108,38 @@ router.post('/deck/preview', async (req, res) => {
 router.get('/deck/validate/:text', async (req, res) => {
   try {
     const result = await deckImportService.importDeck({ deckText: req.params.text });
-    res.json({ isValid: result.isValid, warnings: result.warnings });
+    res.json({ isValid: result.isValid, validation: result.validation, warnings: result.warnings });
   } catch (error) {
     console.error('Deck validation error:', error);
     res.status(500).json({ message: error.message });
   }
 });
 
+// Duel Commander legality for a deck list, a deck URL or already imported cards
+router.post('/deck/validate', async (req, res) => {
+  try {
+    if (Array.isArray(req.body.cards)) {
+      return res.json(deckImportService.validateDeck(req.body.cards));
+    }
+
+    const result = await deckImportService.importDeck(req.body);
+    res.json({ isValid: result.isValid, validation: result.validation, warnings: result.warnings });
+  } catch (error) {
+    console.error('Deck validation error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Which cards of the bot's deck the rules engine implements, and which not
+router.get('/cards/coverage', (req, res) => {
+  try {
+    res.json(scriptCoverage(createDeckFromNames(BOT_DECK_LIST, BOT_COMMANDERS)));
+  } catch (error) {
+    console.error('Card coverage error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Enhanced card image placeholder
 router.get('/card-image-placeholder', (req, res) => {
   const name = req.query.name || 'Unknown';
@@ -1,5 +1,7 @@
 // backend/src/services/deckImportService.js
 import axios from 'axios';
+import { manaValue } from '../game-engine/mana.js';
+import DeckValidator from './deckValidator.js';
 
 export default class DeckImportService {
   constructor() {
@@ -11,6 +13,8 @@ export default class DeckImportService {
       scryfall: 'scryfall.com'
     };
 
+    this.deckValidator = new DeckValidator();
+
     this.userAgent = 'MTG-Duel-Commander-Bot/1.0 (+https://github.com/your-repo)';
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
@@ -31,17 +35,21 @@ export default class DeckImportService {
     this.lastRequestTime = Date.now();
   }
 
+  // `source.commanders` lists commander names picked by the player when
+  // the deck list itself doesn't say which cards are the commanders
   async importDeck(source) {
     try {
-      if (source.deckText) {
-        return this.importFromText(source.deckText);
-      }
+      let deckData;
 
-      if (source.deckUrl) {
-        return this.importFromUrl(source.deckUrl);
+      if (source.deckText) {
+        deckData = await this.importFromText(source.deckText);
+      } else if (source.deckUrl) {
+        deckData = await this.importFromUrl(source.deckUrl);
+      } else {
+        throw new Error('No deck text or URL provided');
       }
 
-      throw new Error('No deck text or URL provided');
+      return this.finishImport(deckData, source.commanders);
     } catch (error) {
       console.error('Deck import failed:', error);
       throw new Error(`Failed to import deck: ${error.message}`);
@@ -50,51 +58,33 @@ export default class DeckImportService {
 
   async importFromText(deckText) {
     try {
-      const lines = deckText
-        .split(/\r?\n/)
-        .map(line => line.trim())
-        .filter(line => this.isValidCardLine(line));
-
       const cards = [];
       const sideboard = [];
-      let currentSection = 'main';
-
-      for (const line of lines) {
-        if (line.toLowerCase().includes('sideboard')) {
-          currentSection = 'sideboard';
-          continue;
-        }
 
-        const cardInfo = this.parseCardLine(line);
-        const card = await this.fetchCardData(cardInfo.name);
+      for (const entry of this.parseDeckText(deckText)) {
+        const card = await this.fetchCardData(entry.name);
+        if (!card) continue;
 
-        if (card) {
-          const cardWithQuantity = {
+        for (let i = 0; i < entry.quantity; i++) {
+          const cardCopy = {
             ...card,
-            quantity: cardInfo.quantity,
-            isSideboard: currentSection === 'sideboard'
+            id: `${card.id || card.name}_${Date.now()}_${i}`,
+            name: card.name,
+            manaCost: card.mana_cost || card.cmc || 0,
+            type: card.type_line || card.type || '',
+            text: card.oracle_text || card.text || '',
+            power: card.power || 0,
+            toughness: card.toughness || 0,
+            colors: card.colors || [],
+            image: card.image_uris?.normal || card.image || null,
+            isCommander: entry.isCommander,
+            isSideboard: entry.section === 'sideboard'
           };
 
-          for (let i = 0; i < cardInfo.quantity; i++) {
-            const cardCopy = {
-              ...card,
-              id: `${card.id || card.name}_${Date.now()}_${i}`,
-              name: card.name,
-              manaCost: card.mana_cost || card.cmc || 0,
-              type: card.type_line || card.type || '',
-              text: card.oracle_text || card.text || '',
-              power: card.power || 0,
-              toughness: card.toughness || 0,
-              colors: card.colors || [],
-              image: card.image_uris?.normal || card.image || null,
-              isSideboard: currentSection === 'sideboard'
-            };
-
-            if (currentSection === 'sideboard') {
-              sideboard.push(cardCopy);
-            } else {
-              cards.push(cardCopy);
-            }
+          if (entry.section === 'sideboard') {
+            sideboard.push(cardCopy);
+          } else {
+            cards.push(cardCopy);
           }
         }
       }
@@ -104,7 +94,6 @@ export default class DeckImportService {
         sideboard,
         totalCards: cards.length,
         sideboardCards: sideboard.length,
-        isValid: await this.validateDeck(cards),
         warnings: this.analyzeDeck(cards)
       };
     } catch (error) {
@@ -112,6 +101,54 @@ export default class DeckImportService {
     }
   }
 
+  // Reads "Commander" / "Deck" / "Sideboard" section headers (Arena and
+  // Moxfield exports) and "*CMDR*" markers (MTGO and DeckStats exports).
+  // A blank line closes the commander section.
+  parseDeckText(deckText) {
+    const entries = [];
+    let section = 'main';
+
+    for (const rawLine of deckText.split(/\r?\n/)) {
+      const line = rawLine.trim();
+
+      if (!line) {
+        if (section === 'commander') section = 'main';
+        continue;
+      }
+
+      const header = this.parseSectionHeader(line);
+      if (header) {
+        section = header;
+        continue;
+      }
+
+      if (!this.isValidCardLine(line)) continue;
+
+      const cardInfo = this.parseCardLine(line);
+      entries.push({
+        ...cardInfo,
+        section: section === 'commander' ? 'main' : section,
+        isCommander: section === 'commander' || cardInfo.isCommander
+      });
+    }
+
+    return entries;
+  }
+
+  parseSectionHeader(line) {
+    const label = line
+      .replace(/^\/\/\s*/, '')
+      .replace(/\s*\(\d+\)\s*$/, '')
+      .replace(/:$/, '')
+      .trim()
+      .toLowerCase();
+
+    if (['commander', 'commanders'].includes(label)) return 'commander';
+    if (['sideboard', 'maybeboard'].includes(label)) return 'sideboard';
+    if (['deck', 'main', 'mainboard', 'main deck'].includes(label)) return 'main';
+    return null;
+  }
+
   async importFromUrl(url) {
     try {
       const site = this.identifySite(url);
@@ -160,24 +197,32 @@ export default class DeckImportService {
       const cards = [];
       const sideboard = [];
 
-      // Process mainboard
-      for (const [cardId, cardData] of Object.entries(deck.mainboard || {})) {
-        const card = await this.fetchCardData(cardData.card.name);
-        if (card) {
-          for (let i = 0; i < cardData.quantity; i++) {
-            cards.push({
-              ...card,
-              id: `${card.id || card.name}_${Date.now()}_${i}`,
-              name: card.name,
-              manaCost: card.mana_cost || card.cmc || 0,
-              type: card.type_line || card.type || '',
-              text: card.oracle_text || card.text || '',
-              power: card.power || 0,
-              toughness: card.toughness || 0,
-              colors: card.colors || [],
-              image: card.image_uris?.normal || card.image || null,
-              isSideboard: false
-            });
+      // Process commanders and mainboard; the commanders board holds one
+      // card, or two partners
+      const boards = [
+        [deck.commanders || {}, true],
+        [deck.mainboard || {}, false]
+      ];
+      for (const [board, isCommander] of boards) {
+        for (const [cardId, cardData] of Object.entries(board)) {
+          const card = await this.fetchCardData(cardData.card.name);
+          if (card) {
+            for (let i = 0; i < cardData.quantity; i++) {
+              cards.push({
+                ...card,
+                id: `${card.id || card.name}_${Date.now()}_${i}`,
+                name: card.name,
+                manaCost: card.mana_cost || card.cmc || 0,
+                type: card.type_line || card.type || '',
+                text: card.oracle_text || card.text || '',
+                power: card.power || 0,
+                toughness: card.toughness || 0,
+                colors: card.colors || [],
+                image: card.image_uris?.normal || card.image || null,
+                isCommander,
+                isSideboard: false
+              });
+            }
           }
         }
       }
@@ -212,7 +257,6 @@ export default class DeckImportService {
         source: 'moxfield',
         deckName: deck.name || 'Imported Deck',
         author: deck.author || 'Unknown',
-        isValid: await this.validateDeck(cards),
         warnings: this.analyzeDeck(cards)
       };
     } catch (error) {
@@ -301,7 +345,6 @@ export default class DeckImportService {
         source: 'tappedout',
         deckName: deck.name || 'Imported Deck',
         author: deck.username || 'Unknown',
-        isValid: await this.validateDeck(cards),
         warnings: this.analyzeDeck(cards)
       };
     } catch (error) {
@@ -361,6 +404,7 @@ export default class DeckImportService {
             toughness: cardData.toughness || 0,
             colors: cardData.colors || [],
             image: cardData.image_uris?.normal || cardData.image || null,
+            isCommander: (card.categories || []).includes('Commander'),
             isSideboard: card.category === 1 // Sideboard category in Archidekt
           };
 
@@ -381,7 +425,6 @@ export default class DeckImportService {
         sideboardCards: sideboard.length,
         source: 'archidekt',
         deckName: deckData.name || 'Imported Deck',
-        isValid: await this.validateDeck(cards),
         warnings: this.analyzeDeck(cards)
       };
     } catch (error) {
@@ -417,7 +460,6 @@ export default class DeckImportService {
             totalCards: 1,
             sideboardCards: 0,
             source: 'scryfall',
-            isValid: true,
             warnings: []
           };
         }
@@ -511,25 +553,34 @@ export default class DeckImportService {
   isValidCardLine(line) {
     if (!line || line.trim() === '') return false;
     if (line.startsWith('//')) return false;
-    if (line.toLowerCase().includes('sideboard')) return false;
+    if (this.parseSectionHeader(line.trim())) return false;
 
     // Check if line has card quantity (number at start)
     return /^\d+/.test(line);
   }
 
   parseCardLine(line) {
-    const match = line.match(/^(\d+)\s*x?\s*(.+)$/);
+    const isCommander = /\*CMDR\*/i.test(line);
+    // Drop export markers: *CMDR*, foil flags and "(SET) 123" printings
+    const cleaned = line
+      .replace(/\*[A-Z]+\*/gi, '')
+      .replace(/\s+\([A-Z0-9]{2,6}\)(\s+[\w-]+)?\s*$/i, '')
+      .trim();
+
+    const match = cleaned.match(/^(\d+)\s*x?\s*(.+)$/);
     if (match) {
       return {
         quantity: parseInt(match[1]),
-        name: match[2].trim()
+        name: match[2].trim(),
+        isCommander
       };
     }
 
     // If no quantity found, assume 1
     return {
       quantity: 1,
-      name: line.trim()
+      name: cleaned,
+      isCommander
     };
   }
 
@@ -541,36 +592,48 @@ export default class DeckImportService {
       .trim();
   }
 
-  async validateDeck(cards) {
-    // Basic deck validation
-    if (cards.length < 60) {
-      return {
-        valid: false,
-        errors: [`Deck must have at least 60 cards (has ${cards.length})`]
-      };
+  // Apply the player's commander choice, then validate. Decks that don't
+  // name a commander come back with the cards that could be one.
+  finishImport(deckData, commanderNames = []) {
+    if (commanderNames?.length) {
+      this.designateCommanders(deckData.cards, commanderNames);
     }
 
-    const cardNames = cards.map(card => card.name.toLowerCase());
-    const duplicates = cardNames.filter((name, index) => cardNames.indexOf(name) !== index);
-    const uniqueDuplicates = [...new Set(duplicates)];
-
-    const errors = [];
-    for (const duplicate of uniqueDuplicates) {
-      const count = cardNames.filter(name => name === duplicate).length;
-      if (count > 4 && !this.isBasicLand(duplicate)) {
-        errors.push(`Too many copies of ${duplicate} (${count}, max 4)`);
-      }
-    }
+    const commanders = deckData.cards.filter(card => card.isCommander);
+    const candidates = commanders.length === 0 ? this.commanderCandidates(deckData.cards) : [];
 
     return {
-      valid: errors.length === 0,
-      errors: errors
+      ...deckData,
+      ...this.validateDeck(deckData.cards),
+      commanders: commanders.map(card => card.name),
+      commanderCandidates: candidates,
+      needsCommanderChoice: commanders.length === 0
     };
   }
 
-  isBasicLand(cardName) {
-    const basicLands = ['plains', 'island', 'swamp', 'mountain', 'forest'];
-    return basicLands.includes(cardName.toLowerCase());
+  designateCommanders(cards, commanderNames) {
+    for (const card of cards) {
+      card.isCommander = false;
+    }
+
+    for (const name of commanderNames) {
+      const card = cards.find(c => !c.isCommander && c.name.toLowerCase() === name.toLowerCase());
+      if (!card) throw new Error(`Commander ${name} is not in the deck`);
+      card.isCommander = true;
+    }
+  }
+
+  commanderCandidates(cards) {
+    const names = cards
+      .filter(card => this.deckValidator.canBeCommander(card) || this.deckValidator.isBackground(card))
+      .map(card => card.name);
+    return [...new Set(names)];
+  }
+
+  // Duel Commander legality; `isValid` is what the deck panels read
+  validateDeck(cards) {
+    const validation = this.deckValidator.validate(cards);
+    return { isValid: validation.valid, validation };
   }
 
   analyzeDeck(cards) {
@@ -609,7 +672,7 @@ export default class DeckImportService {
       }
 
       // Mana curve
-      const cmc = card.manaCost || 0;
+      const cmc = manaValue(card.manaCost);
       analysis.manaCurve[cmc] = (analysis.manaCurve[cmc] || 0) + 1;
       totalCmc += cmc;
     }
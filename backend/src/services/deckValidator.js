@@ -0,0 +1,213 @@
+// backend/src/services/deckValidator.js
+import fs from 'fs';
+import path from 'path';
+import { colorIdentity } from '../game-engine/mana.js';
+
+// Override with DUEL_COMMANDER_BANLIST to point at another list
+const BANLIST_FILE = path.resolve(process.env.DUEL_COMMANDER_BANLIST || './data/duel-commander-banlist.json');
+
+export const DECK_SIZE = 100;
+
+const BASIC_LAND_NAMES = ['plains', 'island', 'swamp', 'mountain', 'forest', 'wastes'];
+const COPY_LIMIT_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+
+// Duel Commander deck legality: exactly 100 cards including the
+// commander(s), singleton, within the commanders' color identity and
+// without banned cards
+export default class DeckValidator {
+  constructor({ banlistFile = BANLIST_FILE } = {}) {
+    this.banlistFile = banlistFile;
+    this.banlist = this.loadBanlist();
+  }
+
+  loadBanlist() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.banlistFile, 'utf-8'));
+      return {
+        banned: new Set((stored.banned || []).map(name => name.toLowerCase())),
+        bannedAsCommander: new Set((stored.bannedAsCommander || []).map(name => name.toLowerCase()))
+      };
+    } catch (error) {
+      console.warn(`⚠️ Could not load banlist from ${this.banlistFile}:`, error.message);
+      return { banned: new Set(), bannedAsCommander: new Set() };
+    }
+  }
+
+  // `cards` is the whole deck with the commander(s) flagged `isCommander`;
+  // sideboard cards are ignored
+  validate(cards) {
+    const deck = cards.filter(card => !card.isSideboard);
+    const commanders = deck.filter(card => card.isCommander);
+    const errors = [];
+
+    if (deck.length !== DECK_SIZE) {
+      errors.push(`Deck must have exactly ${DECK_SIZE} cards including the commander (has ${deck.length})`);
+    }
+
+    errors.push(...this.checkCommanders(commanders));
+    errors.push(...this.checkSingleton(deck));
+
+    const identity = [...new Set(commanders.flatMap(commander => colorIdentity(commander)))];
+    if (commanders.length > 0) {
+      errors.push(...this.checkColorIdentity(deck, identity));
+    }
+
+    errors.push(...this.checkBanlist(deck, commanders));
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      commanders: commanders.map(commander => commander.name),
+      colorIdentity: identity
+    };
+  }
+
+  checkCommanders(commanders) {
+    if (commanders.length === 0) return ['No commander designated'];
+    if (commanders.length > 2) return [`Too many commanders (${commanders.length})`];
+
+    const errors = [];
+    const [first, second] = commanders;
+
+    if (!second) {
+      if (!this.canBeCommander(first)) errors.push(`${first.name} can't be your commander`);
+      return errors;
+    }
+
+    if (this.isBackground(second) || this.isBackground(first)) {
+      const [commander, background] = this.isBackground(second) ? [first, second] : [second, first];
+      if (!this.canBeCommander(commander)) errors.push(`${commander.name} can't be your commander`);
+      if (!this.hasAbility(commander, /^Choose a Background/i)) {
+        errors.push(`${commander.name} can't have ${background.name} as a Background`);
+      }
+      return errors;
+    }
+
+    for (const commander of commanders) {
+      if (!this.canBeCommander(commander)) errors.push(`${commander.name} can't be your commander`);
+    }
+    if (!this.arePartners(first, second)) {
+      errors.push(`${first.name} and ${second.name} can't be commanders together`);
+    }
+
+    return errors;
+  }
+
+  canBeCommander(card) {
+    const type = this.typeLine(card);
+    if (type.includes('Legendary') && type.includes('Creature')) return true;
+    return /can be your commander/i.test(this.rulesText(card));
+  }
+
+  isBackground(card) {
+    const type = this.typeLine(card);
+    return type.includes('Legendary') && type.includes('Background');
+  }
+
+  arePartners(first, second) {
+    const partnerWith = (card) => this.rulesText(card).match(/Partner with ([^(\n]+)/i)?.[1].trim().toLowerCase();
+
+    const firstNamed = partnerWith(first);
+    const secondNamed = partnerWith(second);
+    if (firstNamed || secondNamed) {
+      return firstNamed === second.name.toLowerCase() && secondNamed === first.name.toLowerCase();
+    }
+
+    if (this.hasAbility(first, /^Partner$/i) && this.hasAbility(second, /^Partner$/i)) return true;
+    if (this.hasAbility(first, /^Friends forever$/i) && this.hasAbility(second, /^Friends forever$/i)) return true;
+
+    const isDoctor = (card) => this.typeLine(card).includes('Time Lord Doctor');
+    const isCompanion = (card) => this.hasAbility(card, /^Doctor's companion$/i);
+    return (isDoctor(first) && isCompanion(second)) || (isDoctor(second) && isCompanion(first));
+  }
+
+  checkSingleton(deck) {
+    const counts = new Map();
+    for (const card of deck) {
+      const key = card.name.toLowerCase();
+      counts.set(key, { card, count: (counts.get(key)?.count || 0) + 1 });
+    }
+
+    const errors = [];
+    for (const { card, count } of counts.values()) {
+      const limit = this.copyLimit(card);
+      if (count > limit) {
+        errors.push(`Too many copies of ${card.name} (${count}, max ${limit})`);
+      }
+    }
+
+    return errors;
+  }
+
+  copyLimit(card) {
+    if (this.isBasicLand(card)) return Infinity;
+
+    const text = this.rulesText(card);
+    if (/A deck can have any number of cards named/i.test(text)) return Infinity;
+
+    const upTo = text.match(/A deck can have up to (\w+) cards named/i);
+    if (upTo) return COPY_LIMIT_WORDS[upTo[1].toLowerCase()] || Number(upTo[1]) || 1;
+
+    return 1;
+  }
+
+  isBasicLand(card) {
+    const type = this.typeLine(card);
+    if (type) return type.includes('Basic') && type.includes('Land');
+    return BASIC_LAND_NAMES.includes(card.name.toLowerCase());
+  }
+
+  checkColorIdentity(deck, identity) {
+    const errors = [];
+    const seen = new Set();
+
+    for (const card of deck) {
+      if (card.isCommander || seen.has(card.name)) continue;
+      seen.add(card.name);
+
+      const outside = colorIdentity(card).filter(color => !identity.includes(color));
+      if (outside.length > 0) {
+        errors.push(`${card.name} is outside the commander's color identity (${outside.join('')})`);
+      }
+    }
+
+    return errors;
+  }
+
+  checkBanlist(deck, commanders) {
+    const errors = [];
+    const names = new Set(deck.map(card => card.name));
+
+    for (const name of names) {
+      if (this.banlist.banned.has(name.toLowerCase())) errors.push(`${name} is banned`);
+    }
+    for (const commander of commanders) {
+      if (this.banlist.bannedAsCommander.has(commander.name.toLowerCase())) {
+        errors.push(`${commander.name} is banned as a commander`);
+      }
+    }
+
+    return errors;
+  }
+
+  typeLine(card) {
+    const type = card.type_line || card.type || '';
+    return type === 'Unknown' ? '' : type;
+  }
+
+  rulesText(card) {
+    const faces = [card, ...(card.card_faces || [])];
+    return faces.map(face => face.oracle_text || face.text || '').join('\n');
+  }
+
+  // Keyword lines such as "Partner" or "Choose a Background"
+  hasAbility(card, pattern) {
+    const keywords = card.keywords || [];
+    if (keywords.some(keyword => pattern.test(keyword))) return true;
+
+    return this.rulesText(card)
+      .replace(/\([^)]*\)/g, '')
+      .split('\n')
+      .some(line => pattern.test(line.trim()));
+  }
+}
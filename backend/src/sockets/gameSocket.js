@@ -1,38 +1,106 @@
-import { createGame, getGameById } from '../game-engine/engine.js';
+import { createGame, createRematch, getGameById } from '../game-engine/engine.js';
+// tope de acciones seguidas del bot para no bloquear el servidor
+const MAX_BOT_ACTIONS = 200;
+function priorityKey(game) {
+ return `${game.getPriorityPlayer()?.id}:${game.stack.length}:${game.phase}`;
+}
+function emitPriorityIfChanged(io, game, before) {
+ const key = priorityKey(game);
+ if (key !== before) {
+ io.to(game.id).emit('priority-changed', {
+ playerId: game.getPriorityPlayer()?.id || null,
+ phase: game.phase,
+ stackSize: game.stack.length
+ });
+ }
+ return key;
+}
+// cada jugador recibe su propia vista del estado (mano propia, rivales en contadores)
+// y los cambios de zona desde la última vez, para las animaciones
+function emitState(io, game) {
+ for (const player of game.players) {
+ if (!player.socketId) continue;
+ io.to(player.socketId).emit('game-updated', game.getStateFor(player));
+ if (game.zoneChanges.length > 0) io.to(player.socketId).emit('zone-changed', game.zoneChangesFor(player));
+ }
+ game.zoneChanges = [];
+ emitTargetPrompts(io, game);
+ emitGameOver(io, game);
+}
+// paso choose-targets: se avisa una vez por elección pendiente; se responde con la acción 'choose'
+const announcedChoices = new WeakSet();
+function emitTargetPrompts(io, game) {
+ for (const choice of game.pendingChoices) {
+ if (choice.type !== 'choose_targets' || announcedChoices.has(choice)) continue;
+ announcedChoices.add(choice);
+ const player = game.players.find(p => p.id === choice.playerId);
+ if (!player?.socketId) continue;
+ const { id, sourceId, prompt, options, min, max } = choice;
+ io.to(player.socketId).emit('choose-targets', { gameId: game.id, choiceId: id, sourceId, prompt, options, min, max });
+ }
+}
+// aviso de fin de partida, una sola vez por partida
+const finishedGames = new WeakSet();
+function emitGameOver(io, game) {
+ if (game.phase !== 'finished' || finishedGames.has(game)) return;
+ finishedGames.add(game);
+ const winner = game.players.find(p => p.id === game.winner);
+ io.to(game.id).emit('game-over', { gameId: game.id, winnerId: game.winner, winnerName: winner?.name || null, reason: game.winReason });
+}
 export default function(io) {
  io.on('connection', (socket) => {
  console.log('client connected', socket.id);
  socket.on('create-game', ({ playerName }) => {
  const game = createGame({ playerName, socketId: socket.id, io });
  socket.join(game.id);
- socket.emit('game-created', { gameId: game.id, state: game.getPublicState() });
+ socket.emit('game-created', { gameId: game.id, state: game.getStateFor(game.findPlayerBySocket(socket.id)) });
  });
  socket.on('join-game', ({ gameId, playerName }) => {
  const game = getGameById(gameId);
  if (!game) return socket.emit('error', 'Juego no encontrado');
  game.addPlayer({ playerName, socketId: socket.id, isHuman:true });
  socket.join(gameId);
- io.to(gameId).emit('game-updated', game.getPublicState());
+ emitState(io, game);
  });
  socket.on('player-action', async (payload) => {
  const game = getGameById(payload.gameId);
  if (!game) return socket.emit('error', 'Juego no encontrado');
  try {
+ let priorityBefore = priorityKey(game);
  await game.applyAction(payload.action, socket.id);
- io.to(game.id).emit('game-updated', game.getPublicState());
- // si el bot debe actuar
- if (game.shouldBotAct()) {
- const botActions = game.runBotTurn();
- // aplicar las acciones del bot una por una
- for (const a of botActions) {
- await game.applyAction(a, null); // null = bot
+ emitState(io, game);
+ priorityBefore = emitPriorityIfChanged(io, game, priorityBefore);
+ // el bot actúa mientras tenga la prioridad
+ let guard = 0;
+ while (game.shouldBotAct() && guard++ < MAX_BOT_ACTIONS) {
+ const botAction = game.runBotTurn();
+ try {
+ await game.applyAction(botAction, null); // null = bot
+ } catch (err) {
+ await game.applyAction({ type: 'pass-priority' }, null);
  }
- io.to(game.id).emit('game-updated', game.getPublicState());
+ emitState(io, game);
+ priorityBefore = emitPriorityIfChanged(io, game, priorityBefore);
  }
  } catch (err) {
  socket.emit('error', err.message);
  }
  });
+ // revancha: mismos mazos, empieza quien no empezó la anterior
+ socket.on('rematch', ({ gameId }) => {
+ const previous = getGameById(gameId);
+ if (!previous) return socket.emit('error', 'Juego no encontrado');
+ if (previous.phase !== 'finished') return socket.emit('error', 'La partida no ha terminado');
+ if (!previous.findPlayerBySocket(socket.id)) return socket.emit('error', 'No jugaste esta partida');
+ const game = createRematch(previous);
+ for (const player of game.players) {
+ const playerSocket = player.socketId && io.sockets.sockets.get(player.socketId);
+ if (!playerSocket) continue;
+ playerSocket.leave(previous.id);
+ playerSocket.join(game.id);
+ playerSocket.emit('game-created', { gameId: game.id, state: game.getStateFor(player) });
+ }
+ });
  socket.on('disconnect', () => {
  console.log('client disconnected', socket.id);
  });
@@ -0,0 +1,128 @@
+// backend/test/activatedAbilities.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TURN_STEPS } from '../src/game-engine/turnStructure.js';
+import { mainPhaseOf, newGame } from './helpers.js';
+
+const drawLand = (id) => ({ id, name: 'Drawing Land', type: 'Land', text: '{T}: Add {C}.\n{1}, {T}: Draw a card.' });
+
+test('a "{1}, {T}:" ability can\'t use its own source to pay the {1}', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+
+  const land = drawLand('land-1');
+  rules.enterBattlefield(player, land);
+  const [ability] = rules.abilitiesOf(land);
+
+  assert.equal(rules.canActivateAbility(player, land.id, ability.id), false);
+  assert.equal(land.tapped, false);
+});
+
+test('a "{1}, {T}:" ability pays with another source and taps its own', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+
+  const land = drawLand('land-1');
+  const other = drawLand('land-2');
+  rules.enterBattlefield(player, land);
+  rules.enterBattlefield(player, other);
+  const [ability] = rules.abilitiesOf(land);
+  const handSize = player.hand.length;
+
+  assert.equal(rules.canActivateAbility(player, land.id, ability.id), true);
+  rules.executeActivateAbility(player, land.id, ability.id);
+
+  assert.equal(land.tapped, true);
+  assert.equal(other.tapped, true);
+  assert.equal(rules.stack.items.length, 1);
+
+  rules.stack.resolve();
+  assert.equal(player.hand.length, handSize + 1);
+});
+
+const planeswalker = (id) => ({
+  id,
+  name: 'Test Walker',
+  type: 'Legendary Planeswalker — Test',
+  loyalty: 3,
+  text: '+1: You gain 2 life.\n−3: Draw two cards.\n−4: Draw three cards.'
+});
+
+function mainPhase() {
+  const game = newGame();
+  const [player] = game.players;
+  mainPhaseOf(game, player);
+  return { game, rules: game.rulesEngine, player };
+}
+
+test('a loyalty ability adds or removes loyalty as its cost', () => {
+  const { rules, player } = mainPhase();
+  const walker = planeswalker('walker');
+  rules.enterBattlefield(player, walker);
+  const [plus] = rules.abilitiesOf(walker);
+
+  rules.executeActivateAbility(player, walker.id, plus.id);
+  assert.equal(rules.counters.get(walker, 'loyalty'), 4);
+
+  rules.stack.resolve();
+  assert.equal(player.life, 22);
+});
+
+test('a planeswalker activates one loyalty ability each turn', () => {
+  const { game, rules, player } = mainPhase();
+  const walker = planeswalker('walker');
+  rules.enterBattlefield(player, walker);
+  const [plus, minus] = rules.abilitiesOf(walker);
+
+  rules.executeActivateAbility(player, walker.id, plus.id);
+  rules.stack.resolve();
+  assert.equal(rules.canActivateAbility(player, walker.id, minus.id), false);
+
+  game.turn += 1;
+  assert.equal(rules.canActivateAbility(player, walker.id, minus.id), true);
+});
+
+test('a loyalty ability can\'t remove more loyalty than there is', () => {
+  const { rules, player } = mainPhase();
+  const walker = planeswalker('walker');
+  rules.enterBattlefield(player, walker);
+  const [, minusThree, minusFour] = rules.abilitiesOf(walker);
+
+  assert.equal(rules.canActivateAbility(player, walker.id, minusThree.id), true);
+  assert.equal(rules.canActivateAbility(player, walker.id, minusFour.id), false);
+});
+
+test('loyalty and "activate only as a sorcery" abilities wait for an empty stack in a main phase', () => {
+  const { game, rules, player } = mainPhase();
+  const walker = planeswalker('walker');
+  const relic = { id: 'relic', name: 'Test Relic', type: 'Artifact', text: '{T}: You gain 1 life. Activate only as a sorcery.' };
+  rules.enterBattlefield(player, walker);
+  rules.enterBattlefield(player, relic);
+  const [plus] = rules.abilitiesOf(walker);
+  const [gain] = rules.abilitiesOf(relic);
+  assert.equal(rules.canActivateAbility(player, relic.id, gain.id), true);
+
+  rules.stack.push({ type: 'ability', source: relic, controller: player, ability: gain, targets: [] });
+  assert.equal(rules.canActivateAbility(player, walker.id, plus.id), false);
+  assert.equal(rules.canActivateAbility(player, relic.id, gain.id), false);
+
+  rules.stack.resolve();
+  game.turnStructure.enterStep(TURN_STEPS.findIndex(({ step }) => step === 'beginning_of_combat'));
+  assert.equal(rules.canActivateAbility(player, walker.id, plus.id), false);
+});
+
+test('an "activate only once each turn" ability is limited to one activation a turn', () => {
+  const { game, rules, player } = mainPhase();
+  const relic = { id: 'relic', name: 'Test Relic', type: 'Artifact', text: '{0}: You gain 1 life. Activate only once each turn.' };
+  rules.enterBattlefield(player, relic);
+  const [gain] = rules.abilitiesOf(relic);
+
+  rules.executeActivateAbility(player, relic.id, gain.id);
+  rules.stack.resolve();
+  assert.equal(rules.canActivateAbility(player, relic.id, gain.id), false);
+
+  game.turn += 1;
+  assert.equal(rules.canActivateAbility(player, relic.id, gain.id), true);
+});
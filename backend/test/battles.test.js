@@ -0,0 +1,117 @@
+// backend/test/battles.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mainPhaseOf, newGame } from './helpers.js';
+
+const battle = (id) => ({ id, name: 'Invasion of Tarkir', type: 'Battle — Siege', defense: 5, text: '' });
+const bolt = { id: 'bolt', name: 'Lightning Bolt', type: 'Instant', text: 'Lightning Bolt deals 3 damage to any target.' };
+
+test('a damage spell removes defense counters from the battle it targets', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const target = battle('battle');
+  rules.enterBattlefield(opponent, target);
+  assert.equal(rules.counters.get(target, 'defense'), 5);
+
+  rules.stack.push({ type: 'spell', card: { ...bolt, ownerId: player.id }, controller: player, targets: [[target.id]] });
+  rules.stack.resolve();
+
+  assert.equal(rules.counters.get(target, 'defense'), 2);
+});
+
+test('a battle with no defense counters goes to the graveyard', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const target = battle('battle');
+  rules.enterBattlefield(opponent, target);
+
+  rules.dealDamage(bolt, target, 5);
+  rules.stateBasedActions.check();
+
+  assert.equal(opponent.battlefield.includes(target), false);
+  assert.equal(opponent.graveyard.includes(target), true);
+});
+
+const creature = (id) => ({ id, name: id, type: 'Creature — Test', power: 3, toughness: 3, text: '' });
+
+// The player's creatures are ready to attack; both players declare by hand
+function toAttackers(game, player, attackers) {
+  const rules = game.rulesEngine;
+  rules.getOpponent(player).isHuman = true;
+  mainPhaseOf(game, player);
+  for (const card of attackers) {
+    rules.enterBattlefield(player, card);
+    card.summoningSick = false;
+  }
+  game.advancePhase();
+  game.advancePhase();
+  assert.equal(game.step, 'declare_attackers');
+}
+
+test('a Siege is protected by an opponent of its controller', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const siege = battle('battle');
+
+  rules.enterBattlefield(player, siege);
+
+  assert.equal(siege.protectorId, opponent.id);
+  assert.equal(rules.combat.attackTargets(player).includes(siege), true);
+  assert.equal(rules.combat.attackTargets(opponent).includes(siege), false);
+});
+
+test('combat damage to an attacked battle removes its defense counters', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const siege = battle('battle');
+  const attacker = creature('attacker');
+  rules.enterBattlefield(player, siege);
+  toAttackers(game, player, [attacker]);
+  const opponent = rules.getOpponent(player);
+  const life = opponent.life;
+
+  rules.processAction(player, { type: 'attack', attackers: [{ attackerId: attacker.id, targetId: siege.id }] });
+  game.advancePhase();
+  rules.processAction(opponent, { type: 'block', blockers: [] });
+  game.advancePhase();
+
+  assert.equal(game.step, 'combat_damage');
+  assert.equal(rules.counters.get(siege, 'defense'), 2);
+  assert.equal(opponent.life, life);
+});
+
+test('unblocked damage to an attacked planeswalker removes its loyalty', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const walker = { id: 'walker', name: 'Test Walker', type: 'Legendary Planeswalker — Test', loyalty: 5, text: '+1: You gain 2 life.' };
+  const attacker = creature('attacker');
+  rules.enterBattlefield(opponent, walker);
+  toAttackers(game, player, [attacker]);
+  const life = opponent.life;
+
+  rules.processAction(player, { type: 'attack', attackers: [{ attackerId: attacker.id, targetId: walker.id }] });
+  game.advancePhase();
+  rules.processAction(opponent, { type: 'block', blockers: [] });
+  game.advancePhase();
+
+  assert.equal(rules.counters.get(walker, 'loyalty'), 2);
+  assert.equal(opponent.life, life);
+});
+
+test('a creature can\'t attack a battle its own controller protects', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const siege = battle('battle');
+  const attacker = creature('attacker');
+  rules.enterBattlefield(opponent, siege);
+  toAttackers(game, player, [attacker]);
+
+  assert.equal(rules.combat.canDeclareAttackers(player, [{ attackerId: attacker.id, targetId: siege.id }]), false);
+  assert.equal(rules.combat.canDeclareAttackers(player, [attacker.id]), true);
+});
@@ -0,0 +1,51 @@
+// backend/test/cardEffects.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newGame } from './helpers.js';
+
+const bear = (id, extra = {}) => ({ id, name: 'Grizzly Bears', type: 'Creature — Bear', power: 2, toughness: 2, text: '', ...extra });
+const murder = { id: 'murder', name: 'Murder', type: 'Instant', text: 'Destroy target creature.' };
+
+const eventsOf = (rules, type) => rules.triggeredAbilities.triggeredEvents.filter(event => event.type === type);
+
+test('a destroyed creature dies', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const creature = bear('bear');
+  rules.enterBattlefield(opponent, creature);
+
+  rules.cardEffects.applyTemplateEffect('destroy', murder, player, [creature], game);
+
+  assert.equal(opponent.graveyard.includes(creature), true);
+  assert.equal(eventsOf(rules, 'permanent_destroyed').length, 1);
+  assert.equal(eventsOf(rules, 'creature_dies').length, 1);
+});
+
+test('destroy doesn\'t affect indestructible permanents', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const creature = bear('bear', { indestructible: true });
+  rules.enterBattlefield(opponent, creature);
+
+  rules.cardEffects.applyTemplateEffect('destroy', murder, player, [creature], game);
+
+  assert.equal(opponent.battlefield.includes(creature), true);
+  assert.equal(eventsOf(rules, 'permanent_destroyed').length, 0);
+});
+
+test('a destroyed creature exiled instead neither dies nor is recorded as destroyed', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const creature = bear('bear');
+  rules.enterBattlefield(opponent, creature);
+  rules.replacementEffects.exileInstead(creature);
+
+  rules.cardEffects.applyTemplateEffect('destroy', murder, player, [creature], game);
+
+  assert.equal(opponent.exile.includes(creature), true);
+  assert.equal(eventsOf(rules, 'permanent_destroyed').length, 0);
+  assert.equal(eventsOf(rules, 'creature_dies').length, 0);
+});
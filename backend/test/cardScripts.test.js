@@ -0,0 +1,117 @@
+// backend/test/cardScripts.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cardCoverage, cardScriptData } from '../src/game-engine/cardScripts.js';
+import { addLands, answer, mainPhaseOf, newGame } from './helpers.js';
+
+// A scripted card as decks built by name have it
+const scripted = (name, id, owner) => ({ id, name, ...cardScriptData(name), ownerId: owner.id });
+const creature = (id, manaCost, extra = {}) => ({ id, name: id, type: 'Creature — Test', manaCost, power: 1, toughness: 1, text: '', ...extra });
+
+function resolve(game, card, controller, targets = []) {
+  const rules = game.rulesEngine;
+  rules.stack.push({ type: 'spell', card, controller, targets });
+  rules.stack.resolve();
+}
+
+test('Fatal Push destroys a creature with mana value 2 or less', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const small = creature('small', '{1}{G}');
+  const big = creature('big', '{2}{G}');
+  rules.enterBattlefield(opponent, small);
+  rules.enterBattlefield(opponent, big);
+
+  resolve(game, scripted('Fatal Push', 'push-1', player), player, [[small.id]]);
+  resolve(game, scripted('Fatal Push', 'push-2', player), player, [[big.id]]);
+
+  assert.equal(opponent.graveyard.includes(small), true);
+  assert.equal(opponent.battlefield.includes(big), true);
+});
+
+test('with revolt, Fatal Push destroys a creature with mana value 4 or less', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const big = creature('big', '{3}{G}');
+  const [land] = addLands(game, player, 'Forest');
+  rules.enterBattlefield(opponent, big);
+
+  rules.sacrifice(player, land);
+  resolve(game, scripted('Fatal Push', 'push', player), player, [[big.id]]);
+
+  assert.equal(opponent.graveyard.includes(big), true);
+});
+
+test('Thoughtseize makes its target discard the nonland card its controller picks', () => {
+  const game = newGame();
+  const [player, opponent] = game.players;
+  const land = { id: 'land', name: 'Forest', type: 'Basic Land — Forest', text: '', ownerId: opponent.id };
+  const spell = creature('spell', '{2}', { ownerId: opponent.id });
+  opponent.hand = [land, spell];
+
+  resolve(game, scripted('Thoughtseize', 'thoughtseize', player), player, [[opponent.id]]);
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.playerId, player.id);
+  assert.deepEqual(choice.options.map(option => option.id), ['spell']);
+
+  answer(game, choice);
+  assert.deepEqual(opponent.hand, [land]);
+  assert.equal(player.life, 18);
+});
+
+test('a creature that dies with Skullclamp attached draws its controller two cards', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  mainPhaseOf(game, player);
+  addLands(game, player, 'Plains');
+  const clamp = scripted('Skullclamp', 'clamp', player);
+  const token = creature('soldier', '');
+  rules.enterBattlefield(player, clamp);
+  rules.enterBattlefield(player, token);
+  const [equip] = rules.abilitiesOf(clamp);
+  const handSize = player.hand.length;
+
+  rules.processAction(player, { type: 'activate', cardId: clamp.id, abilityId: equip.id, targets: [[token.id]] });
+  rules.processAction(player, { type: 'pass-priority' });
+  rules.processAction(game.getPriorityPlayer(), { type: 'pass-priority' });
+
+  // The -1 toughness kills it, and the draw trigger goes on the stack
+  assert.equal(player.graveyard.includes(token), true);
+  assert.equal(rules.stack.length, 1);
+  rules.stack.resolve();
+  assert.equal(player.hand.length, handSize + 2);
+});
+
+test('a fetch land pays 1 life and sacrifices itself to find a land', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  mainPhaseOf(game, player);
+  const fetch = scripted('Polluted Delta', 'delta', player);
+  const island = { id: 'island', name: 'Island', type: 'Basic Land — Island', text: '({T}: Add {U}.)', ownerId: player.id };
+  player.library.push(island);
+  rules.enterBattlefield(player, fetch);
+  const [ability] = rules.abilitiesOf(fetch);
+
+  rules.processAction(player, { type: 'activate', cardId: fetch.id, abilityId: ability.id });
+  assert.equal(player.life, 19);
+  assert.equal(player.graveyard.includes(fetch), true);
+
+  rules.stack.resolve();
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.type, 'search');
+  assert.equal(choice.options.some(option => option.id === island.id), true);
+
+  game.resolveChoice(player, choice.id, [island.id]);
+  assert.equal(player.battlefield.includes(island), true);
+});
+
+test('coverage tells scripted, compiled and unimplemented cards apart', () => {
+  assert.equal(cardCoverage({ name: 'Lightning Bolt' }).status, 'scripted');
+  assert.equal(cardCoverage({ name: 'Divination', type: 'Sorcery', text: 'Draw two cards.' }).status, 'compiled');
+  assert.equal(cardCoverage({ name: 'Llanowar Elves', type: 'Creature — Elf Druid', text: '{T}: Add {G}.' }).status, 'mana');
+  assert.deepEqual(cardCoverage({ name: 'Odd Spell', type: 'Instant', text: 'Switch the life totals.' }), { status: 'unimplemented', missing: ['Switch the life totals'] });
+});
@@ -0,0 +1,152 @@
+// backend/test/combat.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mainPhaseOf, newGame } from './helpers.js';
+
+const eventsOf = (rules, type) => rules.triggeredAbilities.triggeredEvents.filter(event => event.type === type);
+
+test('lifelink gains life through the engine', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const creature = { id: 'lifelinker', name: 'Vampire Nighthawk', type: 'Creature — Vampire Shaman', power: 2, toughness: 3, lifelink: true, text: '' };
+  rules.enterBattlefield(player, creature);
+  const life = player.life;
+
+  rules.dealDamage(creature, opponent, 2, { combat: true });
+
+  assert.equal(player.life, life + 2);
+  assert.ok(eventsOf(rules, 'life_gained').some(({ data }) => data.player === player && data.amount === 2));
+});
+
+const creature = (id, power, toughness, extra = {}) => ({ id, name: id, type: 'Creature — Test', power, toughness, text: '', ...extra });
+
+// Both players declare by hand; the attacking player's creatures can attack
+function combatOf(game, player, attackers, blockers) {
+  const rules = game.rulesEngine;
+  const opponent = rules.getOpponent(player);
+  opponent.isHuman = true;
+  mainPhaseOf(game, player);
+  for (const card of attackers) rules.enterBattlefield(player, card);
+  for (const card of blockers) rules.enterBattlefield(opponent, card);
+  for (const card of attackers) card.summoningSick = false;
+
+  game.advancePhase();
+  game.advancePhase();
+  assert.equal(game.step, 'declare_attackers');
+  return opponent;
+}
+
+function declare(game, player, attackers, blockers) {
+  const rules = game.rulesEngine;
+  const opponent = rules.getOpponent(player);
+  rules.processAction(player, { type: 'attack', attackers });
+  game.advancePhase();
+  assert.equal(game.step, 'declare_blockers');
+  rules.processAction(opponent, { type: 'block', blockers });
+}
+
+test('a trampler assigns lethal damage to its blocker and the rest to the player', () => {
+  const game = newGame();
+  const [player] = game.players;
+  const attacker = creature('wurm', 5, 5, { trample: true });
+  const blocker = creature('bear', 2, 2);
+  const opponent = combatOf(game, player, [attacker], [blocker]);
+
+  declare(game, player, ['wurm'], [{ blockerId: 'bear', attackerId: 'wurm' }]);
+  game.advancePhase();
+
+  assert.equal(game.step, 'combat_damage');
+  assert.equal(opponent.life, 17);
+  assert.equal(opponent.graveyard.includes(blocker), true);
+  assert.equal(attacker.damage, 2);
+});
+
+test('a trampler with deathtouch only needs to assign 1 damage to each blocker', () => {
+  const game = newGame();
+  const [player] = game.players;
+  const attacker = creature('wurm', 5, 5, { trample: true, deathtouch: true });
+  const blocker = creature('wall', 0, 4);
+  const opponent = combatOf(game, player, [attacker], [blocker]);
+
+  declare(game, player, ['wurm'], [{ blockerId: 'wall', attackerId: 'wurm' }]);
+  game.advancePhase();
+
+  assert.equal(opponent.life, 16);
+  assert.equal(opponent.graveyard.includes(blocker), true);
+});
+
+test('a blocked creature without trample deals all its damage to its blockers', () => {
+  const game = newGame();
+  const [player] = game.players;
+  const attacker = creature('giant', 5, 5);
+  const blocker = creature('bear', 2, 2);
+  const opponent = combatOf(game, player, [attacker], [blocker]);
+
+  declare(game, player, ['giant'], [{ blockerId: 'bear', attackerId: 'giant' }]);
+  game.advancePhase();
+
+  assert.equal(opponent.life, 20);
+  assert.equal(opponent.graveyard.includes(blocker), true);
+});
+
+test('the attacking player orders the blockers, and damage goes in that order', () => {
+  const game = newGame();
+  const [player] = game.players;
+  const attacker = creature('giant', 3, 3);
+  const first = creature('first', 2, 2);
+  const second = creature('second', 2, 2);
+  const opponent = combatOf(game, player, [attacker], [first, second]);
+
+  declare(game, player, ['giant'], [
+    { blockerId: 'first', attackerId: 'giant' },
+    { blockerId: 'second', attackerId: 'giant' }
+  ]);
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.type, 'order_blockers');
+  assert.equal(choice.playerId, player.id);
+  game.resolveChoice(player, choice.id, ['second', 'first']);
+
+  game.advancePhase();
+  assert.equal(opponent.graveyard.includes(second), true);
+  assert.equal(opponent.battlefield.includes(first), true);
+  assert.equal(first.damage, 1);
+});
+
+test('damage can\'t be assigned past a blocker that hasn\'t been dealt lethal damage', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const attacker = creature('wurm', 4, 4, { trample: true });
+  const blocker = creature('bear', 2, 2);
+  const opponent = combatOf(game, player, [attacker], [blocker]);
+
+  declare(game, player, ['wurm'], [{ blockerId: 'bear', attackerId: 'wurm' }]);
+
+  const tooLittle = [{ targetId: 'bear', amount: 1 }, { targetId: opponent.id, amount: 3 }];
+  assert.equal(rules.combat.canAssignDamage(player, 'wurm', tooLittle), false);
+
+  const allToBlocker = [{ targetId: 'bear', amount: 4 }];
+  rules.processAction(player, { type: 'assign-damage', attackerId: 'wurm', assignments: allToBlocker });
+  game.advancePhase();
+  assert.equal(opponent.life, 20);
+  assert.equal(opponent.graveyard.includes(blocker), true);
+});
+
+test('a first striker kills its blocker before the blocker deals damage', () => {
+  const game = newGame();
+  const [player] = game.players;
+  const attacker = creature('knight', 2, 2, { firstStrike: true });
+  const blocker = creature('bear', 2, 2);
+  const opponent = combatOf(game, player, [attacker], [blocker]);
+
+  declare(game, player, ['knight'], [{ blockerId: 'bear', attackerId: 'knight' }]);
+  game.advancePhase();
+  assert.equal(game.step, 'first_strike_damage');
+  assert.equal(opponent.graveyard.includes(blocker), true);
+
+  game.advancePhase();
+  assert.equal(game.step, 'combat_damage');
+  assert.equal(attacker.damage || 0, 0);
+  assert.equal(player.battlefield.includes(attacker), true);
+});
@@ -0,0 +1,91 @@
+// backend/test/commander.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addLands, mainPhaseOf, newGame } from './helpers.js';
+
+// Replaces the player's commander with a one-mana one
+function commanderOf(player) {
+  const commander = { id: 'commander', name: 'Elvish Commander', type: 'Legendary Creature — Elf', manaCost: '{G}', power: 1, toughness: 1, text: '', isCommander: true, ownerId: player.id };
+  player.commandZone = [commander];
+  return commander;
+}
+
+const passBoth = (game) => {
+  const rules = game.rulesEngine;
+  rules.processAction(game.getPriorityPlayer(), { type: 'pass-priority' });
+  rules.processAction(game.getPriorityPlayer(), { type: 'pass-priority' });
+};
+
+test('commanders start in the command zone', () => {
+  const game = newGame();
+  for (const player of game.players) {
+    assert.equal(player.commandZone.length, 1);
+    assert.equal(player.commandZone[0].isCommander, true);
+    assert.equal([...player.library, ...player.hand].some(card => card.isCommander), false);
+  }
+});
+
+test('a commander is cast from the command zone', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  mainPhaseOf(game, player);
+  addLands(game, player, 'Forest');
+  const commander = commanderOf(player);
+
+  rules.processAction(player, { type: 'cast', cardId: commander.id, fromCommandZone: true });
+  assert.equal(player.commandZone.length, 0);
+  passBoth(game);
+
+  assert.equal(player.battlefield.includes(commander), true);
+  assert.equal(player.commanderCastCounts[commander.name], 1);
+});
+
+test('each cast from the command zone costs {2} more than the last', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  mainPhaseOf(game, player);
+  const commander = commanderOf(player);
+  player.commanderCastCounts[commander.name] = 2;
+
+  assert.equal(rules.getManaCost(commander, true).generic, 4);
+  assert.equal(rules.getManaCost(commander, false).generic, 0);
+
+  addLands(game, player, 'Forest', 4);
+  assert.equal(rules.canCastSpell(player, commander.id, true), false);
+  addLands(game, player, 'Forest');
+  assert.equal(rules.canCastSpell(player, commander.id, true), true);
+});
+
+test('a commander that would go to the graveyard may go to the command zone instead', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const commander = commanderOf(player);
+  player.commandZone = [];
+  rules.enterBattlefield(player, commander);
+
+  rules.moveCard(commander, 'battlefield', 'graveyard');
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.type, 'commander_zone');
+
+  game.resolveChoice(player, choice.id, ['command']);
+  assert.deepEqual(player.commandZone, [commander]);
+  assert.equal(player.graveyard.includes(commander), false);
+});
+
+test('its owner may also leave the commander in the graveyard', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const commander = commanderOf(player);
+  player.commandZone = [];
+  rules.enterBattlefield(player, commander);
+
+  rules.moveCard(commander, 'battlefield', 'graveyard');
+  game.resolveChoice(player, game.pendingChoices[0].id, ['stay']);
+
+  assert.equal(player.graveyard.includes(commander), true);
+  assert.equal(player.commandZone.length, 0);
+});
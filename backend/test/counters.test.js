@@ -0,0 +1,79 @@
+// backend/test/counters.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newGame } from './helpers.js';
+
+const bear = (id) => ({ id, name: 'Grizzly Bears', type: 'Creature — Bear', power: 2, toughness: 2, text: '' });
+const walker = (id) => ({ id, name: 'Test Walker', type: 'Legendary Planeswalker — Test', loyalty: 3, text: '+1: You gain 2 life.' });
+
+test('+1/+1 and -1/-1 counters on a permanent remove each other', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const creature = bear('bear');
+  rules.enterBattlefield(player, creature);
+
+  rules.counters.add(creature, '+1/+1', 3);
+  rules.counters.add(creature, '-1/-1', 2);
+  assert.deepEqual([creature.power, creature.toughness], [3, 3]);
+
+  rules.stateBasedActions.check();
+  assert.deepEqual(creature.counters, { '+1/+1': 1 });
+  assert.deepEqual([creature.power, creature.toughness], [3, 3]);
+});
+
+test('a creature with 0 toughness from -1/-1 counters is put into the graveyard', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const creature = bear('bear');
+  rules.enterBattlefield(player, creature);
+
+  rules.counters.add(creature, '-1/-1', 2);
+  rules.stateBasedActions.check();
+
+  assert.equal(player.graveyard.includes(creature), true);
+});
+
+test('a planeswalker enters with its loyalty and dies without any', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const card = walker('walker');
+  rules.enterBattlefield(player, card);
+  assert.equal(rules.counters.get(card, 'loyalty'), 3);
+
+  // Damage to a planeswalker removes loyalty counters
+  rules.dealDamage({ id: 'bolt', name: 'Lightning Bolt', type: 'Instant' }, card, 3);
+  assert.equal(rules.counters.get(card, 'loyalty'), 0);
+
+  rules.stateBasedActions.check();
+  assert.equal(player.graveyard.includes(card), true);
+});
+
+test('proliferate adds a counter of each kind to what the player chooses', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const mine = bear('mine');
+  const theirs = bear('theirs');
+  rules.enterBattlefield(player, mine);
+  rules.enterBattlefield(opponent, theirs);
+  rules.counters.add(mine, '+1/+1', 1);
+  rules.counters.add(mine, 'charge', 2);
+  rules.counters.add(theirs, '+1/+1', 1);
+  rules.counters.add(opponent, 'poison', 3);
+
+  rules.counters.proliferate(player, null);
+  const [choice] = game.pendingChoices;
+  assert.deepEqual(choice.options.map(option => [option.id, option.helpful]), [
+    [opponent.id, true],
+    [mine.id, true],
+    [theirs.id, false]
+  ]);
+
+  game.resolveChoice(player, choice.id, [mine.id, opponent.id]);
+  assert.deepEqual(mine.counters, { '+1/+1': 2, charge: 3 });
+  assert.deepEqual(theirs.counters, { '+1/+1': 1 });
+  assert.equal(rules.counters.get(opponent, 'poison'), 4);
+});
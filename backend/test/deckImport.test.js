@@ -0,0 +1,64 @@
+// backend/test/deckImport.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DeckImportService from '../src/services/deckImportService.js';
+
+const SCRYFALL = {
+  'Tatyova, Benthic Druid': { name: 'Tatyova, Benthic Druid', type_line: 'Legendary Creature — Merfolk Druid', mana_cost: '{3}{G}{U}', oracle_text: '' },
+  'Counterspell': { name: 'Counterspell', type_line: 'Instant', mana_cost: '{U}{U}', oracle_text: 'Counter target spell.' },
+  'Forest': { name: 'Forest', type_line: 'Basic Land — Forest', mana_cost: '', oracle_text: '({T}: Add {G}.)' }
+};
+
+// Card data as Scryfall would send it, without going to the network
+function service() {
+  const importer = new DeckImportService();
+  importer.fetchCardData = async (name) => SCRYFALL[name] || null;
+  return importer;
+}
+
+test('deck lists mark commanders with a section or *CMDR*', () => {
+  const importer = service();
+
+  const arena = importer.parseDeckText('Commander\n1 Tatyova, Benthic Druid\n\nDeck\n1 Counterspell\n98 Forest');
+  assert.deepEqual(arena.map(({ name, quantity, isCommander }) => [name, quantity, isCommander]), [
+    ['Tatyova, Benthic Druid', 1, true],
+    ['Counterspell', 1, false],
+    ['Forest', 98, false]
+  ]);
+
+  const mtgo = importer.parseDeckText('1 Tatyova, Benthic Druid *CMDR*\n1 Counterspell (2X2) 47\nSideboard\n1 Forest');
+  assert.deepEqual(mtgo.map(({ name, isCommander, section }) => [name, isCommander, section]), [
+    ['Tatyova, Benthic Druid', true, 'main'],
+    ['Counterspell', false, 'main'],
+    ['Forest', false, 'sideboard']
+  ]);
+});
+
+test('a deck list with its commander imports as a legal deck', async () => {
+  const deck = await service().importDeck({ deckText: 'Commander\n1 Tatyova, Benthic Druid\n\nDeck\n1 Counterspell\n98 Forest' });
+
+  assert.equal(deck.cards.length, 100);
+  assert.deepEqual(deck.commanders, ['Tatyova, Benthic Druid']);
+  assert.equal(deck.needsCommanderChoice, false);
+  assert.equal(deck.isValid, true);
+});
+
+test('a deck list without a commander asks for one among its legendary creatures', async () => {
+  const deckText = '1 Tatyova, Benthic Druid\n1 Counterspell\n98 Forest';
+
+  const unmarked = await service().importDeck({ deckText });
+  assert.equal(unmarked.needsCommanderChoice, true);
+  assert.deepEqual(unmarked.commanderCandidates, ['Tatyova, Benthic Druid']);
+
+  const chosen = await service().importDeck({ deckText, commanders: ['tatyova, benthic druid'] });
+  assert.equal(chosen.needsCommanderChoice, false);
+  assert.deepEqual(chosen.commanders, ['Tatyova, Benthic Druid']);
+  assert.equal(chosen.isValid, true);
+});
+
+test('a commander that isn\'t in the deck can\'t be chosen', async () => {
+  await assert.rejects(
+    service().importDeck({ deckText: '1 Counterspell\n99 Forest', commanders: ['Tatyova, Benthic Druid'] }),
+    /Commander Tatyova, Benthic Druid is not in the deck/
+  );
+});
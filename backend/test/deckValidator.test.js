@@ -0,0 +1,68 @@
+// backend/test/deckValidator.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import DeckValidator from '../src/services/deckValidator.js';
+
+const validator = new DeckValidator({ banlistFile: fileURLToPath(new URL('../data/duel-commander-banlist.json', import.meta.url)) });
+
+const commander = { name: 'Tatyova, Benthic Druid', type: 'Legendary Creature — Merfolk Druid', manaCost: '{3}{G}{U}', text: '', isCommander: true };
+const forest = { name: 'Forest', type: 'Basic Land — Forest', text: '({T}: Add {G}.)' };
+
+// A commander and 99 other cards: the given ones, then Forests
+function deck(...cards) {
+  return [commander, ...cards, ...Array.from({ length: 99 - cards.length }, () => ({ ...forest }))];
+}
+
+const errorsOf = (cards) => validator.validate(cards).errors;
+
+test('a singleton deck of 100 cards within the commander\'s colors is legal', () => {
+  const result = validator.validate(deck({ name: 'Counterspell', type: 'Instant', manaCost: '{U}{U}', text: 'Counter target spell.' }));
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.commanders, ['Tatyova, Benthic Druid']);
+  assert.deepEqual(result.colorIdentity, ['U', 'G']);
+});
+
+test('a deck needs exactly 100 cards', () => {
+  assert.deepEqual(errorsOf(deck().slice(0, 99)), ['Deck must have exactly 100 cards including the commander (has 99)']);
+});
+
+test('only basic lands may have more than one copy', () => {
+  const bear = { name: 'Grizzly Bears', type: 'Creature — Bear', manaCost: '{1}{G}', text: '' };
+  assert.deepEqual(errorsOf(deck(bear, { ...bear })), ['Too many copies of Grizzly Bears (2, max 1)']);
+
+  const rats = { name: 'Relentless Rats', type: 'Creature — Rat', manaCost: '{1}{B}{B}', text: 'A deck can have any number of cards named Relentless Rats.' };
+  const blackCommander = { ...commander, manaCost: '{3}{B}{G}{U}' };
+  assert.deepEqual(validator.validate([blackCommander, ...deck(rats, { ...rats }).slice(1)]).errors, []);
+});
+
+test('cards outside the commander\'s color identity are illegal', () => {
+  const bolt = { name: 'Lightning Bolt', type: 'Instant', manaCost: '{R}', text: 'Lightning Bolt deals 3 damage to any target.' };
+  assert.deepEqual(errorsOf(deck(bolt)), ['Lightning Bolt is outside the commander\'s color identity (R)']);
+});
+
+test('banned cards and commanders banned as commanders are illegal', () => {
+  assert.deepEqual(errorsOf(deck({ name: 'Balance', type: 'Sorcery', manaCost: '{1}{W}', text: '' })).filter(e => /banned/.test(e)), ['Balance is banned']);
+
+  const edgar = { name: 'Edgar Markov', type: 'Legendary Creature — Vampire Knight', manaCost: '{3}{R}{W}{B}', text: '', isCommander: true };
+  assert.deepEqual(validator.validate([edgar, ...deck().slice(1)]).errors, ['Edgar Markov is banned as a commander']);
+});
+
+test('a deck needs a commander that can be one', () => {
+  assert.deepEqual(errorsOf(deck().map(card => ({ ...card, isCommander: false }))), ['No commander designated']);
+
+  const bear = { name: 'Grizzly Bears', type: 'Creature — Bear', manaCost: '{1}{G}', text: '', isCommander: true };
+  assert.deepEqual(validator.validate([bear, ...deck().slice(1)]).errors, ['Grizzly Bears can\'t be your commander']);
+});
+
+test('two commanders need partner or a background', () => {
+  const partner = (name) => ({ name, type: 'Legendary Creature — Human', manaCost: '{G}', text: 'Partner', isCommander: true });
+  assert.deepEqual(validator.validate([partner('First'), partner('Second'), ...deck().slice(2)]).errors, []);
+
+  const loner = { ...partner('Loner'), text: '' };
+  assert.deepEqual(validator.validate([partner('First'), loner, ...deck().slice(2)]).errors, ['First and Loner can\'t be commanders together']);
+
+  const chooser = { ...partner('Chooser'), text: 'Choose a Background' };
+  const background = { name: 'Cultist of the Absolute', type: 'Legendary Enchantment — Background', manaCost: '{1}{G}', text: '', isCommander: true };
+  assert.deepEqual(validator.validate([chooser, background, ...deck().slice(2)]).errors, []);
+});
@@ -0,0 +1,122 @@
+// backend/test/engine.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, createRematch, getGameById } from '../src/game-engine/engine.js';
+import { answer, newGame } from './helpers.js';
+
+test('players can\'t draw or shuffle outside the rules engine', async () => {
+  const game = newGame();
+  const [player] = game.players;
+  const hand = [...player.hand];
+  const library = [...player.library];
+
+  await assert.rejects(game.applyAction({ type: 'draw', count: 3 }, 'socket-1'), /Unknown action type/);
+  await assert.rejects(game.applyAction({ type: 'shuffle' }, 'socket-1'), /Unknown action type/);
+
+  assert.deepEqual(player.hand, hand);
+  assert.deepEqual(player.library, library);
+});
+
+test('playing a land goes through the rules engine\'s legality checks', async () => {
+  const game = newGame();
+  const [player, opponent] = game.players;
+  const land = { id: 'forest', name: 'Forest', type: 'Basic Land — Forest', text: '({T}: Add {G}.)' };
+  const active = game.players[game.activePlayerIndex];
+  const other = active === player ? opponent : player;
+  other.hand.push(land);
+
+  await assert.rejects(game.applyAction({ type: 'play-land', cardId: land.id }, other.socketId), /Illegal action/);
+  assert.equal(other.hand.includes(land), true);
+});
+
+test('a rematch replaces the finished game', async () => {
+  const game = newGame();
+  await game.applyAction({ type: 'concede' }, 'socket-1');
+  assert.equal(game.phase, 'finished');
+
+  const rematch = createRematch(game);
+
+  assert.equal(getGameById(game.id), undefined);
+  assert.equal(getGameById(rematch.id), rematch);
+});
+
+test('the winner of the coin flip chooses to play or draw', (t) => {
+  // The human player wins the flip
+  t.mock.method(Math, 'random', () => 0);
+
+  for (const decision of ['play', 'draw']) {
+    const game = createGame({ playerName: 'Tester', socketId: 'socket-1', io: null });
+    const [player, opponent] = game.players;
+    const [choice] = game.pendingChoices;
+    assert.equal(choice.type, 'play_draw');
+    assert.equal(choice.playerId, player.id);
+
+    game.resolveChoice(player, choice.id, [decision]);
+
+    const starting = decision === 'play' ? player : opponent;
+    assert.equal(game.startingPlayerId, starting.id);
+    assert.equal(game.players[game.activePlayerIndex], starting);
+  }
+});
+
+test('the game starts with the first player\'s turn once mulligans are done', () => {
+  const game = createGame({ playerName: 'Tester', socketId: 'socket-1', io: null });
+  while (game.pendingChoices.length > 0) answer(game, game.pendingChoices[0]);
+
+  const starting = game.players.find(p => p.id === game.startingPlayerId);
+  assert.equal(game.players[game.activePlayerIndex], starting);
+  assert.equal(game.turn, 1);
+  assert.equal(game.step, 'upkeep');
+  for (const player of game.players) assert.equal(player.hand.length, 7);
+});
+
+test('a player at 0 life loses and the game ends', async () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+
+  opponent.life = 0;
+  rules.stateBasedActions.check();
+
+  assert.equal(opponent.lost, true);
+  assert.equal(game.phase, 'finished');
+  assert.equal(game.winner, player.id);
+  assert.equal(game.winReason, 'life');
+  assert.equal(game.getStateFor(player).winner, player.id);
+  await assert.rejects(game.applyAction({ type: 'pass-priority' }, player.socketId), /The game is over/);
+});
+
+test('ten poison counters lose the game', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+
+  rules.counters.add(player, 'poison', 10);
+  rules.stateBasedActions.check();
+
+  assert.equal(game.winner, opponent.id);
+  assert.equal(game.winReason, 'poison');
+});
+
+test('a player can concede at any time', async () => {
+  const game = newGame();
+  const [player, opponent] = game.players;
+  opponent.isHuman = true;
+  game.requestChoice(opponent, { type: 'discard', prompt: 'Discard a card', options: [{ id: 'a', label: 'A' }] }, () => {});
+
+  await game.applyAction({ type: 'concede' }, player.socketId);
+
+  assert.equal(game.winner, opponent.id);
+  assert.equal(game.winReason, 'concession');
+  assert.deepEqual(game.pendingChoices, []);
+});
+
+test('the player who went first draws in the rematch', async () => {
+  const game = newGame();
+  await game.applyAction({ type: 'concede' }, 'socket-1');
+
+  const rematch = createRematch(game);
+  const previousStarter = game.players.findIndex(p => p.id === game.startingPlayerId);
+  assert.equal(rematch.activePlayerIndex, (previousStarter + 1) % 2);
+  assert.deepEqual(rematch.players.map(p => p.name), game.players.map(p => p.name));
+});
@@ -0,0 +1,37 @@
+// backend/test/helpers.js
+import { createGame } from '../src/game-engine/engine.js';
+import { TURN_STEPS } from '../src/game-engine/turnStructure.js';
+
+// A game past its opening choices, with nothing on either battlefield
+export function newGame() {
+  const game = createGame({ playerName: 'Tester', socketId: 'socket-1', io: null });
+  while (game.pendingChoices.length > 0) answer(game, game.pendingChoices[0]);
+  for (const player of game.players) player.battlefield = [];
+  return game;
+}
+
+// Answers a pending choice with its first options
+export function answer(game, choice) {
+  const player = game.players.find(p => p.id === choice.playerId);
+  game.resolveChoice(player, choice.id, choice.options.slice(0, choice.min || 1).map(o => o.id));
+}
+
+// Makes it `player`'s turn, in its first main phase with priority
+export function mainPhaseOf(game, player) {
+  game.activePlayerIndex = game.players.indexOf(player);
+  game.turnStructure.enterStep(TURN_STEPS.findIndex(({ step }) => step === 'main1'));
+}
+
+const BASIC_LAND_COLORS = { Plains: 'W', Island: 'U', Swamp: 'B', Mountain: 'R', Forest: 'G' };
+let landCount = 0;
+
+// Basic lands straight onto the battlefield, untapped
+export function addLands(game, player, name, count = 1) {
+  const lands = [];
+  for (let i = 0; i < count; i++) {
+    const land = { id: `land-${++landCount}`, name, type: `Basic Land — ${name}`, text: `({T}: Add {${BASIC_LAND_COLORS[name]}}.)` };
+    game.rulesEngine.enterBattlefield(player, land);
+    lands.push(land);
+  }
+  return lands;
+}
@@ -0,0 +1,104 @@
+// backend/test/layers.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newGame } from './helpers.js';
+
+const creature = (id, power, toughness, extra = {}) => ({ id, name: id, type: 'Creature — Test', power, toughness, text: '', ...extra });
+
+function battlefieldWith(...cards) {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  for (const card of cards) rules.enterBattlefield(player, card);
+  return { game, rules, player, effects: rules.continuousEffects };
+}
+
+test('an until-end-of-turn boost ends in the cleanup step', () => {
+  const bear = creature('bear', 2, 2);
+  const { effects } = battlefieldWith(bear);
+
+  effects.modifyPowerToughness(bear, { power: 3, toughness: 3 });
+  assert.deepEqual([bear.power, bear.toughness], [5, 5]);
+
+  effects.endOfTurn();
+  assert.deepEqual([bear.power, bear.toughness], [2, 2]);
+});
+
+test('setting power and toughness applies before modifications, whatever the timestamps', () => {
+  const bear = creature('bear', 2, 2);
+  const { effects } = battlefieldWith(bear);
+
+  effects.modifyPowerToughness(bear, { power: 1, toughness: 1 });
+  effects.add({ layer: 7, sublayer: 'b', card: bear, apply: (values) => { values.power = 0; values.toughness = 1; } });
+
+  assert.deepEqual([bear.power, bear.toughness], [1, 2]);
+});
+
+test('counters apply along with the modifying effects', () => {
+  const bear = creature('bear', 2, 2, { counters: { '+1/+1': 2, '-1/-1': 1 } });
+  const { effects } = battlefieldWith(bear);
+
+  effects.add({ layer: 7, sublayer: 'd', card: bear, apply: (values) => { [values.power, values.toughness] = [values.toughness, values.power]; } });
+  effects.modifyPowerToughness(bear, { power: 2, toughness: 0 });
+
+  assert.deepEqual([bear.power, bear.toughness], [3, 5]);
+});
+
+test('a copy takes the copiable values, not the effects on the original', () => {
+  const original = creature('Grizzly Bears', 2, 2);
+  const clone = creature('Clone', 0, 0);
+  const { effects } = battlefieldWith(original, clone);
+
+  effects.modifyPowerToughness(original, { power: 3, toughness: 3 });
+  effects.copy(clone, original);
+
+  assert.equal(clone.name, 'Grizzly Bears');
+  assert.deepEqual([clone.power, clone.toughness], [2, 2]);
+});
+
+test('an effect that changes what another one applies to goes first', () => {
+  const land = { id: 'land', name: 'Forest', type: 'Land — Forest', text: '' };
+  const { effects } = battlefieldWith(land);
+
+  // Artifacts are creatures; lands are artifacts. The first depends on the second.
+  effects.add({
+    layer: 4,
+    affects: (card, values) => values.type.includes('Artifact'),
+    apply: (values) => { values.type = `Artifact Creature ${values.type.replace(/^Artifact /, '')}`; },
+    duration: 'indefinite'
+  });
+  effects.add({
+    layer: 4,
+    affects: (card, values) => values.type.includes('Land'),
+    apply: (values) => { values.type = `Artifact ${values.type}`; },
+    duration: 'indefinite'
+  });
+
+  assert.equal(land.type.includes('Creature'), true);
+});
+
+test('a permanent that leaves the battlefield gets its printed characteristics back', () => {
+  const bear = creature('bear', 2, 2);
+  const { rules, player, effects } = battlefieldWith(bear);
+
+  effects.modifyPowerToughness(bear, { power: 3, toughness: 3 }, { duration: 'indefinite' });
+  rules.stateBasedActions.destroyCreature(player, bear);
+
+  const [card] = player.graveyard;
+  assert.deepEqual([card.power, card.toughness], [2, 2]);
+  assert.equal(effects.effects.length, 0);
+});
+
+test('a control-changing effect moves the permanent to its new controller', () => {
+  const bear = creature('bear', 2, 2);
+  const { game, player, effects } = battlefieldWith(bear);
+  const [, opponent] = game.players;
+
+  effects.add({ layer: 2, card: bear, apply: (values) => { values.controllerId = opponent.id; } });
+
+  assert.equal(player.battlefield.includes(bear), false);
+  assert.equal(opponent.battlefield.includes(bear), true);
+
+  effects.endOfTurn();
+  assert.equal(player.battlefield.includes(bear), true);
+});
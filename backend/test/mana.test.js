@@ -0,0 +1,102 @@
+// backend/test/mana.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addManaToPool, colorIdentity, emptyManaPool, manaValue, parseManaCost, planManaPayment } from '../src/game-engine/mana.js';
+import { addLands, mainPhaseOf, newGame } from './helpers.js';
+
+const source = (id, colors) => ({ card: { id }, colors, snow: false });
+const paidColors = (plan) => plan.payments.map(({ color }) => color).sort();
+
+test('mana costs parse into generic, colored, hybrid and Phyrexian symbols', () => {
+  const cost = parseManaCost('{X}{2}{G}{G}{W/U}{B/P}{2/R}{C}');
+  assert.equal(cost.x, 1);
+  assert.equal(cost.generic, 2);
+  assert.equal(cost.colored.G, 2);
+  assert.equal(cost.colorless, 1);
+  assert.deepEqual(cost.hybrid, [['W', 'U'], ['2', 'R']]);
+  assert.deepEqual(cost.phyrexian, [['B']]);
+});
+
+test('mana value counts X as zero and a two-brid symbol as two', () => {
+  assert.equal(manaValue('{X}{2}{G}'), 3);
+  assert.equal(manaValue('{2/R}{W/U}'), 3);
+  assert.equal(manaValue('{B/P}'), 1);
+  assert.equal(manaValue(4), 4);
+});
+
+test('color identity includes rules text but not reminder text', () => {
+  const card = { manaCost: '{1}{G}', text: '{T}: Add {U}.\n(This is {R} reminder text.)' };
+  assert.deepEqual(colorIdentity(card), ['U', 'G']);
+});
+
+test('a dual land pays the color only it can make', () => {
+  const player = { life: 20, manaPool: emptyManaPool() };
+  const sources = [source('dual', ['G', 'U']), source('forest-1', ['G']), source('forest-2', ['G'])];
+
+  const plan = planManaPayment(player, '{1}{G}{U}', { sources });
+
+  assert.deepEqual(paidColors(plan), ['G', 'G', 'U']);
+  assert.equal(plan.payments.find(({ color }) => color === 'U').unit.source.card.id, 'dual');
+});
+
+test('a cost the sources can\'t make has no payment', () => {
+  const player = { life: 20, manaPool: emptyManaPool() };
+  assert.equal(planManaPayment(player, '{U}', { sources: [source('forest', ['G'])] }), null);
+  assert.equal(planManaPayment(player, '{2}', { sources: [source('forest', ['G'])] }), null);
+});
+
+test('Phyrexian mana can be paid with 2 life', () => {
+  const player = { life: 20, manaPool: emptyManaPool() };
+  const plan = planManaPayment(player, '{B/P}', { sources: [] });
+  assert.equal(plan.life, 2);
+  assert.equal(plan.payments.length, 0);
+
+  player.life = 1;
+  assert.equal(planManaPayment(player, '{B/P}', { sources: [] }), null);
+});
+
+test('floating mana is spent before any source', () => {
+  const player = { life: 20, manaPool: emptyManaPool() };
+  addManaToPool(player.manaPool, 'G');
+
+  const plan = planManaPayment(player, '{G}', { sources: [source('forest', ['G'])] });
+  assert.deepEqual(plan.payments.map(({ unit }) => unit.from), ['pool']);
+});
+
+test('X is paid with generic mana', () => {
+  const player = { life: 20, manaPool: emptyManaPool() };
+  const sources = [source('a', ['R']), source('b', ['R']), source('c', ['R'])];
+  assert.equal(planManaPayment(player, '{X}{R}', { x: 2, sources }).payments.length, 3);
+  assert.equal(planManaPayment(player, '{X}{R}', { x: 3, sources }), null);
+});
+
+test('casting a spell taps the lands it needs', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  mainPhaseOf(game, player);
+  const [island] = addLands(game, player, 'Island');
+  const forests = addLands(game, player, 'Forest', 2);
+  const bear = { id: 'bear', name: 'Grizzly Bears', type: 'Creature — Bear', manaCost: '{1}{G}', power: 2, toughness: 2, text: '', ownerId: player.id };
+  player.hand.push(bear);
+
+  rules.processAction(player, { type: 'cast', cardId: 'bear', manaSources: [island.id, forests[0].id] });
+
+  assert.equal(island.tapped, true);
+  assert.equal(forests[0].tapped, true);
+  assert.equal(forests[1].tapped, false);
+  assert.equal(player.manaPool.total, 0);
+  assert.equal(rules.stack.length, 1);
+});
+
+test('a spell can\'t be cast without the colors it needs', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  mainPhaseOf(game, player);
+  addLands(game, player, 'Island', 2);
+  const bear = { id: 'bear', name: 'Grizzly Bears', type: 'Creature — Bear', manaCost: '{1}{G}', power: 2, toughness: 2, text: '', ownerId: player.id };
+  player.hand.push(bear);
+
+  assert.equal(rules.canCastSpell(player, 'bear'), false);
+});
@@ -0,0 +1,85 @@
+// backend/test/manaAbilities.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseManaAbilities } from '../src/game-engine/manaAbilities.js';
+import { newGame } from './helpers.js';
+
+const painLand = () => ({
+  id: 'pain-land',
+  name: 'Llanowar Wastes',
+  type: 'Land',
+  text: '{T}: Add {C}.\n{T}: Add {B} or {G}. Llanowar Wastes deals 1 damage to you.'
+});
+
+const eventsOf = (rules, type) => rules.triggeredAbilities.triggeredEvents.filter(event => event.type === type);
+
+test('a pain land deals its damage through the engine', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const land = painLand();
+  rules.enterBattlefield(player, land);
+  const life = player.life;
+
+  rules.executeManaAbility(player, land.id, null, 'B');
+
+  assert.equal(player.life, life - 1);
+  assert.ok(eventsOf(rules, 'damage_dealt').some(({ data }) => data.source === land && data.target === player));
+});
+
+test('damage from a pain land can be prevented', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const land = painLand();
+  rules.enterBattlefield(player, land);
+  rules.replacementEffects.preventDamage(player, 1);
+  const life = player.life;
+
+  rules.executeManaAbility(player, land.id, null, 'G');
+
+  assert.equal(player.life, life);
+  assert.equal(player.manaPool.colors.green, 1);
+});
+
+test('mana abilities come from basic land types and oracle text', () => {
+  const forest = { id: 'forest', name: 'Forest', type: 'Basic Land — Forest', text: '({T}: Add {G}.)' };
+  assert.deepEqual(parseManaAbilities(forest).map(ability => ability.mana), [[['G']]]);
+
+  const signet = { id: 'signet', name: 'Golgari Signet', type: 'Artifact', text: '{1}, {T}: Add {B}{G}.' };
+  assert.deepEqual(parseManaAbilities(signet), []);
+
+  const treasure = { id: 'treasure', name: 'Treasure', type: 'Token Artifact — Treasure', text: '{T}, Sacrifice this artifact: Add one mana of any color.' };
+  const [ability] = parseManaAbilities(treasure);
+  assert.equal(ability.cost.sacrifice, true);
+  assert.deepEqual(ability.mana, [['W', 'U', 'B', 'R', 'G']]);
+});
+
+test('a mana creature can\'t tap for mana while summoning sick', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const elves = { id: 'elves', name: 'Llanowar Elves', type: 'Creature — Elf Druid', power: 1, toughness: 1, text: '{T}: Add {G}.' };
+  rules.enterBattlefield(player, elves);
+
+  assert.equal(rules.canActivateManaAbility(player, elves.id), false);
+
+  elves.summoningSick = false;
+  rules.executeManaAbility(player, elves.id, null, 'G');
+  assert.equal(elves.tapped, true);
+  assert.equal(player.manaPool.colors.green, 1);
+});
+
+test('a land that makes one of two colors asks which', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const land = painLand();
+  rules.enterBattlefield(player, land);
+  const [, ability] = rules.manaAbilities.abilitiesOf(land);
+
+  rules.executeManaAbility(player, land.id, ability.id);
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.type, 'mana_color');
+  assert.equal(choice.options.length, 2);
+});
@@ -0,0 +1,73 @@
+// backend/test/mulligan.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame } from '../src/game-engine/engine.js';
+import { answer } from './helpers.js';
+
+// A game waiting on the human player's first mulligan decision
+function mulliganGame({ freeFirstMulligan = true } = {}) {
+  const game = createGame({ playerName: 'Tester', socketId: 'socket-1', io: null, freeFirstMulligan });
+  while (game.pendingChoices[0]?.type === 'play_draw') answer(game, game.pendingChoices[0]);
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.type, 'mulligan');
+  assert.equal(choice.playerId, game.players[0].id);
+  return game;
+}
+
+const decide = (game, selection) => {
+  const [choice] = game.pendingChoices;
+  game.resolveChoice(game.players[0], choice.id, selection);
+  return game.pendingChoices[0];
+};
+
+test('the first mulligan is free', () => {
+  const game = mulliganGame();
+  const [player] = game.players;
+
+  const next = decide(game, ['mulligan']);
+  assert.equal(player.hand.length, 7);
+  assert.equal(next.type, 'mulligan');
+  assert.equal(next.bottomCount, 0);
+
+  decide(game, ['keep']);
+  assert.equal(player.hand.length, 7);
+  assert.equal(player.library.length + player.hand.length, 99);
+});
+
+test('each mulligan after the free one puts a card on the bottom', () => {
+  const game = mulliganGame();
+  const [player] = game.players;
+
+  decide(game, ['mulligan']);
+  decide(game, ['mulligan']);
+  const bottom = decide(game, ['keep']);
+  assert.equal(bottom.type, 'london_bottom');
+  assert.equal(bottom.min, 1);
+
+  const card = player.hand[3];
+  decide(game, [card.id]);
+  assert.equal(player.hand.length, 6);
+  assert.equal(player.library[0], card);
+});
+
+test('without the free mulligan the first one already costs a card', () => {
+  const game = mulliganGame({ freeFirstMulligan: false });
+  const [player] = game.players;
+
+  decide(game, ['mulligan']);
+  const bottom = decide(game, ['keep']);
+  assert.equal(bottom.type, 'london_bottom');
+
+  decide(game, [player.hand[0].id]);
+  assert.equal(player.hand.length, 6);
+});
+
+test('the game begins once every player keeps', () => {
+  const game = mulliganGame();
+  decide(game, ['keep']);
+  while (game.pendingChoices.length > 0) answer(game, game.pendingChoices[0]);
+
+  assert.notEqual(game.phase, 'pregame');
+  assert.equal(game.turn, 1);
+  assert.equal(game.getPriorityPlayer(), game.players[game.activePlayerIndex]);
+});
@@ -0,0 +1,77 @@
+// backend/test/oracleCompiler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileActivatedAbilities, compileOracleText, parseCost, parseTargetPhrase } from '../src/game-engine/oracleCompiler.js';
+import { newGame } from './helpers.js';
+
+test('loyalty costs need a sign or a 0', () => {
+  const loyalty = { loyalty: true };
+  assert.deepEqual(parseCost('+1', loyalty), { loyalty: 1 });
+  assert.deepEqual(parseCost('−2', loyalty), { loyalty: -2 });
+  assert.deepEqual(parseCost('[-3]', loyalty), { loyalty: -3 });
+  assert.deepEqual(parseCost('0', loyalty), { loyalty: 0 });
+  assert.deepEqual(parseCost('[0]', loyalty), { loyalty: 0 });
+  assert.equal(parseCost('2', loyalty), null);
+});
+
+test('numbers are loyalty costs only on planeswalkers', () => {
+  assert.equal(parseCost('+1'), null);
+  assert.equal(parseCost('2'), null);
+
+  const artifact = { name: 'Odd Relic', type: 'Artifact', text: '2: Draw a card.' };
+  assert.deepEqual(compileActivatedAbilities(artifact).abilities, []);
+
+  const planeswalker = { name: 'Test Walker', type: 'Legendary Planeswalker — Test', text: '+1: Draw a card.\n−2: Draw two cards.' };
+  const costs = compileActivatedAbilities(planeswalker).abilities.map(ability => ability.cost);
+  assert.deepEqual(costs, [{ loyalty: 1 }, { loyalty: -2 }]);
+});
+
+const compiled = (text, name = 'Test Spell') => compileOracleText({ name, type: 'Sorcery', text });
+const templates = (text) => compiled(text).effects.map(({ template, amount, recipient }) => ({ template, amount, recipient }));
+
+test('templated sentences compile to effects', () => {
+  assert.deepEqual(compiled('Lightning Bolt deals 3 damage to any target.', 'Lightning Bolt').effects.map(({ template, amount, target }) => ({ template, amount, target })), [
+    { template: 'damage', amount: 3, target: { allowed: ['creature', 'planeswalker', 'player', 'battle'], exclude: [] } }
+  ]);
+  assert.deepEqual(templates('Draw two cards.'), [{ template: 'draw', amount: 2, recipient: 'you' }]);
+  assert.deepEqual(templates('Each opponent loses 2 life. You gain 2 life.'), [
+    { template: 'lose_life', amount: 2, recipient: 'each_opponent' },
+    { template: 'gain_life', amount: 2, recipient: 'you' }
+  ]);
+  assert.deepEqual(compiled('Destroy target creature.').effects[0].target, { allowed: ['creature'], exclude: [] });
+});
+
+test('a legendary card refers to itself by its short name', () => {
+  const { effects, unsupported } = compileOracleText({ name: 'Jaya, Fiery Negotiator', type: 'Legendary Sorcery', text: 'Jaya deals 2 damage to any target.' });
+  assert.deepEqual(unsupported, []);
+  assert.equal(effects[0].template, 'damage');
+});
+
+test('sentences that match no template are reported as unsupported', () => {
+  const { effects, unsupported } = compiled('Draw a card. Each player shuffles their hand into their library.');
+  assert.deepEqual(effects.map(effect => effect.template), ['draw']);
+  assert.deepEqual(unsupported, ['Each player shuffles their hand into their library']);
+});
+
+test('target phrases name types, exclusions and controllers', () => {
+  assert.deepEqual(parseTargetPhrase('creature or planeswalker an opponent controls'), { allowed: ['creature', 'planeswalker'], exclude: [], controller: 'opponent' });
+  assert.deepEqual(parseTargetPhrase('nonland permanent'), { allowed: ['permanent'], exclude: ['land'] });
+  assert.deepEqual(parseTargetPhrase('noncreature spell'), { allowed: ['spell'], exclude: ['creature'], spellTypes: [] });
+  assert.equal(parseTargetPhrase('creature card in a graveyard'), null);
+});
+
+test('a compiled spell does what its text says when it resolves', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const spell = { id: 'spell', name: 'Tribute', type: 'Sorcery', text: 'Each opponent loses 2 life. You gain 2 life. Draw a card.', ownerId: player.id };
+  const handSize = player.hand.length;
+
+  rules.stack.push({ type: 'spell', card: spell, controller: player, targets: [] });
+  rules.stack.resolve();
+
+  assert.equal(opponent.life, 18);
+  assert.equal(player.life, 22);
+  assert.equal(player.hand.length, handSize + 1);
+  assert.equal(player.graveyard.includes(spell), true);
+});
@@ -0,0 +1,77 @@
+// backend/test/priority.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addLands, mainPhaseOf, newGame } from './helpers.js';
+
+const bolt = (id, owner) => ({ id, name: 'Lightning Bolt', type: 'Instant', manaCost: '{R}', text: 'Lightning Bolt deals 3 damage to any target.', ownerId: owner.id });
+
+test('a spell resolves once both players pass in succession', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  mainPhaseOf(game, player);
+  addLands(game, player, 'Mountain');
+  player.hand.push(bolt('bolt', player));
+  const life = opponent.life;
+
+  assert.equal(rules.processAction(player, { type: 'cast', cardId: 'bolt', targets: [[opponent.id]] }), 'acted');
+  assert.equal(rules.stack.length, 1);
+  // The caster keeps priority
+  assert.equal(game.getPriorityPlayer(), player);
+
+  assert.equal(rules.processAction(player, { type: 'pass-priority' }), 'passed');
+  assert.equal(game.getPriorityPlayer(), opponent);
+  assert.equal(opponent.life, life);
+
+  assert.equal(rules.processAction(opponent, { type: 'pass-priority' }), 'resolved');
+  assert.equal(opponent.life, life - 3);
+  assert.equal(rules.stack.length, 0);
+  // The active player receives priority after the spell resolves
+  assert.equal(game.getPriorityPlayer(), player);
+});
+
+test('the stack resolves last in, first out', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  mainPhaseOf(game, player);
+  addLands(game, player, 'Mountain');
+  addLands(game, opponent, 'Mountain');
+  player.hand.push(bolt('first', player));
+  opponent.hand.push(bolt('second', opponent));
+
+  rules.processAction(player, { type: 'cast', cardId: 'first', targets: [[opponent.id]] });
+  rules.processAction(player, { type: 'pass-priority' });
+  rules.processAction(opponent, { type: 'cast', cardId: 'second', targets: [[player.id]] });
+  assert.equal(game.getPriorityPlayer(), opponent);
+
+  rules.processAction(opponent, { type: 'pass-priority' });
+  rules.processAction(player, { type: 'pass-priority' });
+  assert.deepEqual(rules.stack.items.map(item => item.controller), [player]);
+  assert.equal(player.life, 17);
+  assert.equal(opponent.life, 20);
+});
+
+test('only the player with priority can cast spells', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  mainPhaseOf(game, player);
+  addLands(game, opponent, 'Mountain');
+  opponent.hand.push(bolt('bolt', opponent));
+
+  assert.throws(() => rules.processAction(opponent, { type: 'cast', cardId: 'bolt', targets: [[player.id]] }), /Illegal action/);
+  assert.equal(rules.stack.length, 0);
+});
+
+test('passing in succession with an empty stack ends the step', async () => {
+  const game = newGame();
+  const [player, opponent] = game.players;
+  mainPhaseOf(game, player);
+
+  await game.applyAction({ type: 'pass-priority' }, player.socketId);
+  assert.equal(game.step, 'main1');
+  await game.applyAction({ type: 'pass-priority' }, opponent.socketId);
+  assert.equal(game.step, 'beginning_of_combat');
+  assert.equal(game.getPriorityPlayer(), player);
+});
@@ -0,0 +1,93 @@
+// backend/test/replacementEffects.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answer, newGame } from './helpers.js';
+
+// A draw replacement that lets the draw happen, so two of them make the
+// player choose an order
+const watcher = (id) => ({ id, event: 'draw', text: id, replace: (event) => event });
+
+test('a draw waiting on the order of its replacements happens once the player answers', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  rules.replacementEffects.register(watcher('first'));
+  rules.replacementEffects.register(watcher('second'));
+  const handSize = player.hand.length;
+
+  assert.equal(rules.drawCard(player), null);
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.type, 'replacement_order');
+  assert.equal(player.hand.length, handSize);
+
+  answer(game, choice);
+  assert.equal(player.hand.length, handSize + 1);
+});
+
+const source = { id: 'source', name: 'Shock', type: 'Instant', colors: ['R'] };
+
+test('a prevention shield is used up by the damage it prevents', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  rules.replacementEffects.preventDamage(player, 3, { shield: true });
+
+  rules.dealDamage(source, player, 2);
+  rules.dealDamage(source, player, 2);
+  rules.dealDamage(source, player, 2);
+
+  assert.equal(player.life, 17);
+});
+
+test('preventing all damage for the turn ends in the cleanup step', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  rules.replacementEffects.preventDamage(player, Infinity);
+
+  rules.dealDamage(source, player, 5);
+  assert.equal(player.life, 20);
+
+  rules.replacementEffects.endOfTurn();
+  rules.dealDamage(source, player, 5);
+  assert.equal(player.life, 15);
+});
+
+test('a land that enters tapped does so', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const land = { id: 'gainland', name: 'Thornwood Falls', type: 'Land', text: 'Thornwood Falls enters tapped.\n{T}: Add {G} or {U}.' };
+
+  rules.enterBattlefield(player, land);
+  assert.equal(land.tapped, true);
+});
+
+test('a fast land enters tapped only with more than two other lands', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const fastLand = (id) => ({ id, name: 'Spirebluff Canal', type: 'Land', text: 'Spirebluff Canal enters tapped unless you control two or fewer other lands.\n{T}: Add {U} or {R}.' });
+  const lands = [fastLand('first'), fastLand('second'), fastLand('third'), fastLand('fourth')];
+
+  for (const land of lands) rules.enterBattlefield(player, land);
+  assert.deepEqual(lands.map(land => land.tapped), [false, false, false, true]);
+});
+
+test('a shock land enters untapped if its controller pays 2 life', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const shockLand = (id) => ({ id, name: 'Steam Vents', type: 'Land — Island Mountain', text: '({T}: Add {U} or {R}.)\nAs Steam Vents enters, you may pay 2 life. If you don\'t, it enters tapped.' });
+  const paid = shockLand('paid');
+  const declined = shockLand('declined');
+
+  rules.enterBattlefield(player, paid);
+  game.resolveChoice(player, game.pendingChoices[0].id, ['pay']);
+  rules.enterBattlefield(player, declined);
+  game.resolveChoice(player, game.pendingChoices[0].id, ['tapped']);
+
+  assert.equal(paid.tapped, false);
+  assert.equal(declined.tapped, true);
+  assert.equal(player.life, 18);
+});
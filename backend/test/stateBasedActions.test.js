@@ -0,0 +1,71 @@
+// backend/test/stateBasedActions.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newGame } from './helpers.js';
+
+const bear = (id) => ({ id, name: 'Grizzly Bears', type: 'Creature — Bear', power: 2, toughness: 2, text: '' });
+
+const eventsOf = (rules, type) => rules.triggeredAbilities.triggeredEvents.filter(event => event.type === type);
+
+test('a creature with lethal damage dies', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const creature = bear('bear');
+  rules.enterBattlefield(player, creature);
+
+  creature.damage = 2;
+  rules.stateBasedActions.check();
+
+  assert.equal(player.battlefield.includes(creature), false);
+  assert.equal(player.graveyard.includes(creature), true);
+  assert.equal(eventsOf(rules, 'creature_dies').length, 1);
+});
+
+test('a creature exiled instead of going to the graveyard doesn\'t die', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const creature = bear('bear');
+  rules.enterBattlefield(player, creature);
+  rules.replacementEffects.exileInstead(creature);
+
+  creature.damage = 2;
+  rules.stateBasedActions.check();
+
+  assert.equal(player.exile.includes(creature), true);
+  assert.equal(eventsOf(rules, 'creature_dies').length, 0);
+});
+
+test('a player with an empty library doesn\'t lose until they draw from it', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  player.library = [];
+
+  rules.stateBasedActions.check();
+  assert.equal(player.lost, false);
+
+  assert.equal(rules.drawCard(player), null);
+  assert.equal(player.lost, false);
+
+  rules.stateBasedActions.check();
+  assert.equal(player.lost, true);
+  assert.equal(game.winner, opponent.id);
+  assert.equal(game.winReason, 'empty_library');
+});
+
+test('drawing in the draw step from an empty library loses the game', () => {
+  const game = newGame();
+  const [player, opponent] = game.players;
+  game.activePlayerIndex = game.players.indexOf(opponent);
+  game.turn = 2;
+  player.library = [];
+
+  // The player's next turn
+  game.turnStructure.nextTurn();
+  game.advancePhase();
+
+  assert.equal(game.winner, opponent.id);
+  assert.equal(game.winReason, 'empty_library');
+});
@@ -0,0 +1,81 @@
+// backend/test/stateViews.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newGame } from './helpers.js';
+
+test('an opponent\'s draw doesn\'t say which card it was', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  game.zoneChanges = [];
+
+  const card = rules.drawCard(opponent);
+
+  const [seenByPlayer] = game.zoneChangesFor(player);
+  assert.equal(seenByPlayer.from, 'library');
+  assert.equal(seenByPlayer.to, 'hand');
+  assert.equal(seenByPlayer.cardId, undefined);
+  assert.equal(seenByPlayer.previousId, undefined);
+  assert.equal(seenByPlayer.name, undefined);
+
+  const [seenByOwner] = game.zoneChangesFor(opponent);
+  assert.equal(seenByOwner.cardId, card.id);
+  assert.equal(seenByOwner.name, card.name);
+});
+
+test('a player sees their own hand but only the size of their opponent\'s', () => {
+  const game = newGame();
+  const [player, opponent] = game.players;
+
+  const state = game.getStateFor(player);
+  const [mine, theirs] = state.players;
+  assert.deepEqual(mine.hand.map(card => card.id), player.hand.map(card => card.id));
+  assert.deepEqual(theirs.hand, []);
+  assert.equal(theirs.handCount, opponent.hand.length);
+
+  // Not even their ids are sent
+  const sent = JSON.stringify(state);
+  assert.equal(opponent.hand.some(card => sent.includes(card.id)), false);
+  assert.equal(opponent.library.some(card => sent.includes(card.id)), false);
+});
+
+test('libraries are hidden except for cards revealed to the viewer', () => {
+  const game = newGame();
+  const [player, opponent] = game.players;
+  const top = opponent.library[opponent.library.length - 1];
+  top.revealedTo = [player.id];
+
+  const [mine, theirs] = game.getStateFor(player).players;
+  assert.deepEqual(mine.library, []);
+  assert.equal(mine.libraryCount, player.library.length);
+  assert.deepEqual(theirs.library.map(card => card.id), [top.id]);
+
+  const [, ownView] = game.getStateFor(opponent).players;
+  assert.deepEqual(ownView.library, []);
+});
+
+test('face-down exiled cards are hidden from those they weren\'t revealed to', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const card = opponent.hand[0];
+
+  rules.moveCard(card, 'hand', 'exile', { faceDown: true });
+  card.revealedTo = [opponent.id];
+
+  assert.deepEqual(game.getStateFor(player).players[1].exile, [{ id: card.id, faceDown: true }]);
+  assert.equal(game.getStateFor(opponent).players[1].exile[0].name, card.name);
+});
+
+test('only the deciding player sees the options of a choice', () => {
+  const game = newGame();
+  const [player, opponent] = game.players;
+  opponent.isHuman = true;
+  game.requestChoice(opponent, { type: 'discard', prompt: 'Discard a card', options: opponent.hand.map(card => ({ id: card.id, label: card.name })) }, () => {});
+
+  const [seenByPlayer] = game.getStateFor(player).pendingChoices;
+  assert.deepEqual(Object.keys(seenByPlayer).sort(), ['id', 'playerId', 'type']);
+
+  const [seenByOpponent] = game.getStateFor(opponent).pendingChoices;
+  assert.equal(seenByOpponent.options.length, opponent.hand.length);
+});
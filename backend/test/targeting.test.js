@@ -0,0 +1,122 @@
+// backend/test/targeting.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newGame } from './helpers.js';
+
+test('a permanent\'s ability can target the permanent itself', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const creature = { id: 'knight', name: 'Training Knight', type: 'Creature — Human Knight', power: 2, toughness: 2, text: '{T}: Put a +1/+1 counter on target creature.' };
+  rules.enterBattlefield(player, creature);
+  creature.summoningSick = false;
+  const [ability] = rules.abilitiesOf(creature);
+
+  assert.deepEqual(rules.targeting.candidates(ability.targets[0], player, creature), [creature]);
+
+  rules.executeActivateAbility(player, creature.id, ability.id, [[creature.id]]);
+  rules.stack.resolve();
+  assert.equal(rules.counters.get(creature, '+1/+1'), 1);
+});
+
+test('a spell can\'t target itself', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const counterspell = { id: 'counterspell', name: 'Counterspell', type: 'Instant', text: 'Counter target spell.' };
+  rules.stack.push({ type: 'spell', card: counterspell, controller: player, targets: [] });
+  const [spec] = rules.targeting.specsFor(counterspell);
+
+  assert.deepEqual(rules.targeting.candidates(spec, player, counterspell), []);
+});
+
+const bolt = (player) => ({ id: 'bolt', name: 'Lightning Bolt', type: 'Instant', manaCost: '{R}', colors: ['R'], text: 'Lightning Bolt deals 3 damage to any target.', ownerId: player.id });
+const bear = (id, text = '') => ({ id, name: id, type: 'Creature — Bear', power: 2, toughness: 2, text });
+
+test('a spell whose only target left the battlefield is countered', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const target = bear('bear');
+  rules.enterBattlefield(opponent, target);
+  const spell = bolt(player);
+  rules.stack.push({ type: 'spell', card: spell, controller: player, targets: [[target.id]] });
+
+  rules.stateBasedActions.destroyCreature(opponent, target);
+  const life = opponent.life;
+  rules.stack.resolve();
+
+  assert.equal(player.graveyard.some(card => card.name === 'Lightning Bolt'), true);
+  assert.equal(opponent.life, life);
+  const fizzled = rules.triggeredAbilities.triggeredEvents.filter(event => event.type === 'spell_fizzled');
+  assert.equal(fizzled.length, 1);
+});
+
+test('hexproof keeps a permanent from an opponent\'s targets but not its controller\'s', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const mine = bear('mine', 'Hexproof');
+  const theirs = bear('theirs', 'Hexproof');
+  rules.enterBattlefield(player, mine);
+  rules.enterBattlefield(opponent, theirs);
+  const spell = bolt(player);
+  const [spec] = rules.targeting.specsFor(spell);
+
+  const candidates = rules.targeting.candidates(spec, player, spell);
+  assert.equal(candidates.includes(mine), true);
+  assert.equal(candidates.includes(theirs), false);
+});
+
+test('protection from a color stops that color\'s spells from targeting', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const knight = bear('knight', 'Protection from red');
+  rules.enterBattlefield(opponent, knight);
+  const spell = bolt(player);
+  const [spec] = rules.targeting.specsFor(spell);
+
+  assert.equal(rules.targeting.candidates(spec, player, spell).includes(knight), false);
+});
+
+test('ward counters the spell unless its controller pays', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const warded = bear('warded', 'Ward—Pay 3 life.');
+  rules.enterBattlefield(opponent, warded);
+  const item = { type: 'spell', card: bolt(player), controller: player, targets: [[warded.id]] };
+  rules.stack.push(item);
+
+  rules.targetsChosen(item);
+  assert.equal(rules.stack.length, 2);
+  rules.stack.resolve();
+
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.type, 'ward');
+  game.resolveChoice(player, choice.id, ['decline']);
+  assert.equal(rules.stack.length, 0);
+  assert.equal(warded.damage || 0, 0);
+  assert.equal(player.life, 20);
+});
+
+test('paying for ward lets the spell resolve', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const warded = bear('warded', 'Ward—Pay 3 life.');
+  rules.enterBattlefield(opponent, warded);
+  const item = { type: 'spell', card: bolt(player), controller: player, targets: [[warded.id]] };
+  rules.stack.push(item);
+
+  rules.targetsChosen(item);
+  rules.stack.resolve();
+  const [choice] = game.pendingChoices;
+  game.resolveChoice(player, choice.id, ['pay']);
+  assert.equal(player.life, 17);
+
+  rules.stack.resolve();
+  rules.stateBasedActions.check();
+  assert.equal(opponent.graveyard.includes(warded), true);
+});
@@ -0,0 +1,84 @@
+// backend/test/tokens.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newGame } from './helpers.js';
+
+const bear = (id) => ({ id, name: 'Grizzly Bears', type: 'Creature — Bear', manaCost: '{1}{G}', power: 2, toughness: 2, text: '' });
+
+test('a predefined token is created on the battlefield by name', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+
+  const [treasure] = rules.tokens.create(player, 'Treasure');
+
+  assert.equal(player.battlefield.includes(treasure), true);
+  assert.equal(treasure.isToken, true);
+  assert.equal(treasure.type, 'Token Artifact — Treasure');
+  const created = rules.triggeredAbilities.triggeredEvents.filter(event => event.type === 'token_created');
+  assert.equal(created.length, 1);
+  assert.throws(() => rules.tokens.create(player, 'Gold'), /Unknown token: Gold/);
+});
+
+test('a token that leaves the battlefield ceases to exist', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const [token] = rules.tokens.create(player, { name: 'Soldier', type: 'Token Creature — Soldier', colors: ['W'], power: 1, toughness: 1 });
+
+  rules.moveCard(token, 'battlefield', 'graveyard');
+  assert.equal(player.graveyard.includes(token), true);
+
+  rules.stateBasedActions.check();
+  assert.equal(player.graveyard.includes(token), false);
+});
+
+test('a token copy takes the copiable values of the original, with its exceptions', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const original = bear('bear');
+  rules.enterBattlefield(player, original);
+  rules.continuousEffects.modifyPowerToughness(original, { power: 2, toughness: 2 });
+
+  const [copy] = rules.tokens.createCopy(player, original, { except: (values) => { values.type = `Artifact ${values.type}`; } });
+
+  assert.equal(copy.name, 'Grizzly Bears');
+  assert.equal(copy.type, 'Artifact Creature — Bear');
+  assert.deepEqual([copy.power, copy.toughness], [2, 2]);
+  assert.equal(copy.isToken, true);
+});
+
+test('a copy of a spell resolves with the same targets and then ceases to exist', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const bolt = { id: 'bolt', name: 'Lightning Bolt', type: 'Instant', manaCost: '{R}', text: 'Lightning Bolt deals 3 damage to any target.', ownerId: player.id };
+  const item = { type: 'spell', card: bolt, controller: player, targets: [[opponent.id]] };
+  rules.stack.push(item);
+
+  const copy = rules.tokens.copySpell(item, player);
+  assert.equal(rules.stack.length, 2);
+  assert.deepEqual(copy.targets, [[opponent.id]]);
+
+  rules.stack.resolve();
+  rules.stack.resolve();
+  rules.stateBasedActions.check();
+
+  assert.equal(opponent.life, 14);
+  assert.deepEqual(player.graveyard.map(card => card.name), ['Lightning Bolt']);
+});
+
+test('a copy of a permanent spell becomes a token', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const item = { type: 'spell', card: { ...bear('bear'), ownerId: player.id }, controller: player, targets: [] };
+  rules.stack.push(item);
+
+  rules.tokens.copySpell(item, player);
+  rules.stack.resolve();
+
+  const [token] = player.battlefield.filter(card => card.name === 'Grizzly Bears');
+  assert.equal(token.isToken, true);
+});
@@ -0,0 +1,111 @@
+// backend/test/triggeredAbilities.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mainPhaseOf, newGame } from './helpers.js';
+
+// A permanent with one "at the beginning of the end step" style trigger
+// that logs what resolved into `resolved`
+function watcher(id, resolved, trigger = {}) {
+  return {
+    id,
+    name: id,
+    type: 'Enchantment',
+    text: '',
+    triggeredAbilities: [{ condition: 'at_end_of_turn', text: id, effect: () => resolved.push(id), ...trigger }]
+  };
+}
+
+function setup() {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  opponent.isHuman = true;
+  mainPhaseOf(game, player);
+  return { game, rules, player, opponent };
+}
+
+function resolveAll(rules) {
+  while (rules.stack.length > 0) rules.stack.resolve();
+}
+
+test('simultaneous triggers go on the stack in APNAP order', () => {
+  const { rules, player, opponent } = setup();
+  const resolved = [];
+  rules.enterBattlefield(opponent, watcher('nonactive', resolved));
+  rules.enterBattlefield(player, watcher('active', resolved));
+
+  rules.triggeredAbilities.recordEvent('turn_end', {});
+  rules.triggeredAbilities.check();
+  resolveAll(rules);
+
+  // The active player's trigger went on the stack first, so it resolves last
+  assert.deepEqual(resolved, ['nonactive', 'active']);
+});
+
+test('a player orders their own simultaneous triggers', () => {
+  const { game, rules, player } = setup();
+  const resolved = [];
+  rules.enterBattlefield(player, watcher('first', resolved));
+  rules.enterBattlefield(player, watcher('second', resolved));
+
+  rules.triggeredAbilities.recordEvent('turn_end', {});
+  rules.triggeredAbilities.check();
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.type, 'trigger_order');
+
+  // The one picked first goes on the stack first and resolves last
+  game.resolveChoice(player, choice.id, ['0', '1']);
+  resolveAll(rules);
+  assert.deepEqual(resolved, ['second', 'first']);
+});
+
+test('a "may" trigger does nothing when its controller declines', () => {
+  const { game, rules, player } = setup();
+  const resolved = [];
+  rules.enterBattlefield(player, watcher('optional', resolved, { optional: true }));
+
+  rules.triggeredAbilities.recordEvent('turn_end', {});
+  rules.triggeredAbilities.check();
+  rules.stack.resolve();
+
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.type, 'may');
+  game.resolveChoice(player, choice.id, ['no']);
+  assert.deepEqual(resolved, []);
+});
+
+test('an intervening "if" is checked again on resolution', () => {
+  const { rules, player } = setup();
+  const resolved = [];
+  let holds = true;
+  rules.enterBattlefield(player, watcher('conditional', resolved, { interveningIf: () => holds }));
+
+  rules.triggeredAbilities.recordEvent('turn_end', {});
+  rules.triggeredAbilities.check();
+  assert.equal(rules.stack.length, 1);
+
+  holds = false;
+  rules.stack.resolve();
+  assert.deepEqual(resolved, []);
+});
+
+test('a creature\'s own dies trigger looks back at it after it left the battlefield', () => {
+  const { rules, player } = setup();
+  const resolved = [];
+  const creature = {
+    id: 'creature',
+    name: 'Doomed Traveler',
+    type: 'Creature — Human Soldier',
+    power: 1,
+    toughness: 1,
+    text: '',
+    triggeredAbilities: [{ condition: 'when_creature_dies', text: 'dies', effect: (source, controller) => resolved.push(controller) }]
+  };
+  rules.enterBattlefield(player, creature);
+
+  rules.stateBasedActions.destroyCreature(player, creature);
+  rules.triggeredAbilities.check();
+  resolveAll(rules);
+
+  assert.deepEqual(resolved, [player]);
+});
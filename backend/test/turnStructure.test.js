@@ -0,0 +1,117 @@
+// backend/test/turnStructure.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addLands, answer, mainPhaseOf, newGame } from './helpers.js';
+
+test('damage and deathtouch wear off in the cleanup step', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const creature = { id: 'wall', name: 'Indestructible Wall', type: 'Creature — Wall', power: 0, toughness: 4, indestructible: true, text: '' };
+  const source = { id: 'snake', name: 'Deathtouch Snake', type: 'Creature — Snake', power: 1, toughness: 1, deathtouch: true, text: '' };
+  rules.enterBattlefield(player, creature);
+  rules.enterBattlefield(opponent, source);
+
+  rules.dealDamage(source, creature, 1);
+  rules.stateBasedActions.check();
+  assert.equal(player.battlefield.includes(creature), true);
+
+  game.turnStructure.cleanupStep(player, () => {});
+  assert.equal(creature.damage, 0);
+  assert.equal(creature.deathtouchDamage, false);
+
+  // Later damage from a source without deathtouch isn't lethal
+  creature.indestructible = false;
+  rules.dealDamage({ id: 'shock', name: 'Shock', type: 'Instant' }, creature, 1);
+  rules.stateBasedActions.check();
+  assert.equal(player.battlefield.includes(creature), true);
+});
+
+// Passes every step until `step` (or the next turn's `step`)
+function advanceTo(game, step) {
+  do game.advancePhase(); while (game.step !== step);
+}
+
+test('a turn without attackers skips the combat damage steps', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  mainPhaseOf(game, player);
+
+  const steps = [];
+  for (let i = 0; i < 4; i++) {
+    game.advancePhase();
+    steps.push(game.step);
+    if (game.step === 'declare_attackers') rules.processAction(player, { type: 'attack', attackers: [] });
+  }
+  assert.deepEqual(steps, ['beginning_of_combat', 'declare_attackers', 'end_of_combat', 'main2']);
+
+  // End step, then cleanup and untap, which nobody gets priority in
+  game.advancePhase();
+  assert.equal(game.step, 'end');
+  game.advancePhase();
+  assert.equal(game.step, 'upkeep');
+  assert.equal(game.players[game.activePlayerIndex], opponent);
+  assert.equal(game.getPriorityPlayer(), opponent);
+});
+
+test('the next player untaps and draws', () => {
+  const game = newGame();
+  const [player, opponent] = game.players;
+  mainPhaseOf(game, player);
+  game.turn = 2;
+  const [land] = addLands(game, opponent, 'Forest');
+  land.tapped = true;
+  const handSize = opponent.hand.length;
+
+  advanceTo(game, 'upkeep');
+  assert.equal(game.turn, 3);
+  assert.equal(land.tapped, false);
+  assert.equal(opponent.hand.length, handSize);
+
+  game.advancePhase();
+  assert.equal(game.step, 'draw');
+  assert.equal(opponent.hand.length, handSize + 1);
+});
+
+test('the player who goes first skips the draw of their first turn', () => {
+  const game = newGame();
+  const [player] = game.players;
+  game.turn = 1;
+  game.activePlayerIndex = 0;
+  const handSize = player.hand.length;
+
+  game.turnStructure.startTurn();
+  advanceTo(game, 'draw');
+  assert.equal(player.hand.length, handSize);
+});
+
+test('mana empties from the pools between steps', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  mainPhaseOf(game, player);
+  const [land] = addLands(game, player, 'Forest');
+
+  rules.executeManaAbility(player, land.id, null, 'G');
+  assert.equal(player.manaPool.colors.green, 1);
+
+  game.advancePhase();
+  assert.equal(player.manaPool.colors.green, 0);
+});
+
+test('the active player discards down to seven cards in the cleanup step', () => {
+  const game = newGame();
+  const [player] = game.players;
+  mainPhaseOf(game, player);
+  player.hand.push(...player.library.splice(0, 9 - player.hand.length));
+
+  advanceTo(game, 'cleanup');
+  const [choice] = game.pendingChoices;
+  assert.equal(choice.type, 'discard');
+  assert.equal(choice.min, 2);
+
+  answer(game, choice);
+  assert.equal(player.hand.length, 7);
+  assert.equal(game.step, 'upkeep');
+});
@@ -0,0 +1,69 @@
+// backend/test/zones.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newGame } from './helpers.js';
+
+const bear = (id) => ({ id, name: 'Grizzly Bears', type: 'Creature — Bear', power: 2, toughness: 2, text: '' });
+
+test('a card that changes zones becomes a new object with a new id', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const card = bear('bear');
+  rules.enterBattlefield(player, card);
+
+  rules.moveCard(card, 'battlefield', 'graveyard');
+
+  assert.notEqual(card.id, 'bear');
+  assert.equal(rules.resolveTarget('bear'), null);
+  const [moved] = rules.triggeredAbilities.triggeredEvents.filter(event => event.type === 'zone_changed');
+  assert.equal(moved.data.previousId, 'bear');
+  assert.equal(moved.data.card, card);
+});
+
+test('a card that changes zones loses its counters and stops being revealed', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const card = bear('bear');
+  rules.enterBattlefield(player, card);
+  card.counters = { '+1/+1': 2 };
+  card.revealedTo = [opponent.id];
+
+  const destination = rules.moveCard(card, 'battlefield', 'hand');
+
+  assert.equal(destination, 'hand');
+  assert.equal(card.counters, undefined);
+  assert.equal(card.revealedTo, undefined);
+  assert.equal(player.hand.includes(card), true);
+});
+
+test('a card put into the library goes on top unless it goes on the bottom', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player] = game.players;
+  const [top, bottom] = player.hand;
+
+  rules.moveCard(top, 'hand', 'library');
+  rules.moveCard(bottom, 'hand', 'library', { position: 'bottom' });
+
+  // The top of the library is the end of the array
+  assert.equal(player.library.at(-1), top);
+  assert.equal(player.library[0], bottom);
+});
+
+test('moves to public zones show the card to every player', () => {
+  const game = newGame();
+  const rules = game.rulesEngine;
+  const [player, opponent] = game.players;
+  const [card] = opponent.hand;
+  game.zoneChanges = [];
+
+  rules.moveCard(card, 'hand', 'graveyard');
+
+  const [seen] = game.zoneChangesFor(player);
+  assert.equal(seen.name, card.name);
+  assert.equal(seen.cardId, card.id);
+  assert.equal(seen.from, 'hand');
+  assert.equal(seen.to, 'graveyard');
+});
@@ -4,14 +4,16 @@ import { useGameStore } from './store/gameStore';
 import GameBoard from './components/GameBoard';
 import TrainingDashboard from './components/TrainingDashboard';
 export default function App(){
- const { state, setState } = useGameStore();
+ const { state, setState, setPriority, setZoneChanges } = useGameStore();
  const [name, setName] = useState('Jugador');
  const [currentView, setCurrentView] = useState('home');
  useEffect(()=>{
  socket.on('game-created', ({ gameId, state }) => setState(state));
  socket.on('game-updated', (state)=> setState(state));
+ socket.on('priority-changed', (priority)=> setPriority(priority));
+ socket.on('zone-changed', (changes)=> setZoneChanges(changes));
  socket.on('error', (msg)=> alert(msg));
- return ()=> { socket.off('game-created'); socket.off('game-updated'); socket.off('error'); };
+ return ()=> { socket.off('game-created'); socket.off('game-updated'); socket.off('priority-changed'); socket.off('zone-changed'); socket.off('error'); };
  },[]);
  const create = () => {
   socket.emit('create-game', { playerName: name });
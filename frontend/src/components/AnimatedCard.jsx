@@ -391,6 +391,40 @@ export default function AnimatedCard({
             </motion.div>
           )}
 
+          {/* Counters: loyalty, defense, +1/+1, -1/-1 and any named ones */}
+          {Object.keys(card.counters || {}).length > 0 && (
+            <div
+              style={{
+                position: 'absolute',
+                bottom: small ? 4 : 8,
+                left: small ? 4 : 8,
+                display: 'flex',
+                flexDirection: 'column',
+                gap: 2
+              }}
+            >
+              {Object.entries(card.counters).map(([kind, count]) => (
+                <motion.div
+                  key={kind}
+                  style={{
+                    background: kind === 'loyalty' || kind === 'defense' ? 'rgba(60,60,60,0.9)' : kind === '-1/-1' ? 'rgba(120,0,0,0.85)' : 'rgba(0,90,0,0.85)',
+                    color: 'white',
+                    padding: '1px 5px',
+                    borderRadius: 4,
+                    fontSize: small ? 10 : 12,
+                    fontWeight: 'bold',
+                    fontFamily: 'Arial, sans-serif'
+                  }}
+                  initial={{ scale: 0 }}
+                  animate={{ scale: 1 }}
+                  transition={{ type: 'spring' }}
+                >
+                  {kind === 'loyalty' ? `◆ ${count}` : kind === 'defense' ? `⛨ ${count}` : `${count} × ${kind}`}
+                </motion.div>
+              ))}
+            </div>
+          )}
+
           {/* Mana Cost Display */}
           {card.manaCost !== undefined && !small && (
             <motion.div
@@ -528,13 +562,17 @@ export const SpellCastingCard = ({ card, ...props }) => (
   />
 );
 
+// Tokens have no printed card of their own: a dashed frame,
+// gold for artifact tokens (Treasure, Food, Clue, ...)
 export const CreatureTokenCard = ({ card, ...props }) => (
   <AnimatedCard
     {...props}
     card={card}
     style={{
       ...props.style,
-      border: '2px dashed rgba(255,255,255,0.5)',
+      border: `2px dashed ${card.type?.includes('Artifact') ? 'rgba(255,215,0,0.8)' : 'rgba(255,255,255,0.6)'}`,
+      borderRadius: 10,
+      boxShadow: '0 0 8px rgba(255,255,255,0.25)',
       opacity: 0.9
     }}
   />
@@ -564,23 +602,63 @@ export const HealedCard = ({ card, ...props }) => (
   />
 );
 
+// How a card that just changed zones comes in and goes out
+const ZONE_TRANSITIONS = {
+  handToBattlefield: {
+    initial: { scale: 0.8, opacity: 0.7, y: 20 },
+    exit: { scale: 0.6, opacity: 0, y: -50 }
+  },
+  stackToBattlefield: {
+    initial: { scale: 0.5, opacity: 0 },
+    exit: { scale: 0.6, opacity: 0 }
+  },
+  graveyardToBattlefield: {
+    initial: { scale: 0.4, rotate: -180, opacity: 0, x: -100 },
+    exit: { scale: 0.6, opacity: 0 }
+  },
+  libraryToBattlefield: {
+    initial: { scale: 0.6, opacity: 0, x: 100 },
+    exit: { scale: 0.6, opacity: 0 }
+  },
+  exileToBattlefield: {
+    initial: { scale: 1.2, opacity: 0 },
+    exit: { scale: 0.6, opacity: 0 }
+  },
+  battlefieldToGraveyard: {
+    initial: { scale: 1, opacity: 1, rotate: 0 },
+    exit: { scale: 0.3, opacity: 0, rotate: 45 }
+  },
+  handToGraveyard: {
+    initial: { scale: 1, opacity: 1, x: 0 },
+    exit: { scale: 0.2, opacity: 0, x: 200 }
+  },
+  toExile: {
+    initial: { scale: 1, opacity: 1 },
+    exit: { scale: 1.2, opacity: 0 }
+  },
+  toLibrary: {
+    initial: { scale: 1, opacity: 1 },
+    exit: { scale: 0.6, opacity: 0, x: 100 }
+  }
+};
+
 export const CardZoneTransition = ({ card, fromZone, toZone, children, ...props }) => {
   const getTransitionVariant = () => {
-    if (fromZone === 'hand' && toZone === 'battlefield') return 'handToBattlefield';
-    if (fromZone === 'battlefield' && toZone === 'graveyard') return 'battlefieldToGraveyard';
-    if (fromZone === 'hand' && toZone === 'graveyard') return 'handToGraveyard';
+    const variant = `${fromZone}To${toZone?.charAt(0).toUpperCase()}${toZone?.slice(1)}`;
+    if (ZONE_TRANSITIONS[variant]) return variant;
+    if (toZone === 'exile') return 'toExile';
+    if (toZone === 'library') return 'toLibrary';
     return 'handToBattlefield';
   };
+  const transition = ZONE_TRANSITIONS[getTransitionVariant()];
 
   return (
     <AnimatePresence mode="wait">
       {children && (
         <motion.div
-          variants={{
-            initial: { scale: 0.8, opacity: 0.7 },
-            animate: { scale: 1, opacity: 1 },
-            exit: { scale: 0.6, opacity: 0 }
-          }}
+          initial={fromZone ? transition.initial : false}
+          animate={{ scale: 1, opacity: 1, x: 0, y: 0, rotate: 0 }}
+          exit={transition.exit}
           transition={{ duration: 0.4 }}
           {...props}
         >
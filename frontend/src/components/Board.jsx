@@ -17,8 +17,8 @@ export default function Board() {
   }, [state]);
 
   if (!state) return null;
-  const me = state.players[0];
-  const opp = state.players[1];
+  const me = state.players.find(p => p.id === state.viewerId) || state.players[0];
+  const opp = state.players.find(p => p !== me);
 
   return (
     <div style={{ minHeight: '100vh', padding: 24, background: 'linear-gradient(180deg,#0b0f13,#081016)', color: '#fff' }}>
@@ -44,15 +44,19 @@ export default function Board() {
             <div>
               <h4>Comandante</h4>
               {me.commandZone.map(c => (
-                <AnimatedCard
-                  key={c.id}
-                  card={c}
-                  onClick={() => {/* Handle commander click */}}
-                  style={{
-                    border: '2px solid gold',
-                    boxShadow: '0 0 20px rgba(255,215,0,0.3)'
-                  }}
-                />
+                <div key={c.id}>
+                  <AnimatedCard
+                    card={c}
+                    onClick={() => socket.emit('player-action', { gameId: state.id, action: { type: 'cast', cardId: c.id, fromCommandZone: true } })}
+                    style={{
+                      border: '2px solid gold',
+                      boxShadow: '0 0 20px rgba(255,215,0,0.3)'
+                    }}
+                  />
+                  <div style={{ fontSize:11, opacity:0.8 }}>
+                    Lanzado {me.commanderCastCounts?.[c.name] || 0}× · impuesto +{2 * (me.commanderCastCounts?.[c.name] || 0)}
+                  </div>
+                </div>
               ))}
             </div>
           </div>
@@ -94,6 +98,9 @@ export default function Board() {
       {state.phase === 'finished' && (
         <motion.div initial={{scale:0}} animate={{scale:1}} transition={{duration:0.4}} style={{ marginTop: 20, textAlign:'center', color:'gold', fontSize:20 }}>
           🏆 Ganador: {state.players.find(p=>p.id===state.winner)?.name}
+          <div>
+            <button onClick={() => socket.emit('rematch', { gameId: state.id })}>Revancha</button>
+          </div>
         </motion.div>
       )}
     </div>
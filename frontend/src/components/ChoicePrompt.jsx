@@ -0,0 +1,109 @@
+// frontend/src/components/ChoicePrompt.jsx
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import Card from './Card';
+import socket from '../sockets/clientSocket';
+
+export default function ChoicePrompt({ game, choice }) {
+  const [selected, setSelected] = useState([]);
+
+  if (!choice) return null;
+
+  const toggle = (id) => {
+    setSelected(prev => {
+      if (prev.includes(id)) return prev.filter(x => x !== id);
+      if (choice.max === 1) return [id];
+      if (prev.length >= choice.max) return prev;
+      return [...prev, id];
+    });
+  };
+
+  const canSubmit = selected.length >= choice.min && selected.length <= choice.max;
+
+  const submit = () => {
+    socket.emit('player-action', {
+      gameId: game.id,
+      action: { type: 'choose', choiceId: choice.id, selection: selected }
+    });
+    setSelected([]);
+  };
+
+  return (
+    <motion.div
+      initial={{ scale: 0.9, opacity: 0 }}
+      animate={{ scale: 1, opacity: 1 }}
+      style={{
+        position: 'fixed',
+        bottom: 24,
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 1500,
+        background: 'rgba(0,0,0,0.9)',
+        border: '1px solid rgba(255,255,255,0.2)',
+        borderRadius: 12,
+        padding: 16,
+        maxWidth: '90vw',
+        color: 'white',
+        backdropFilter: 'blur(10px)'
+      }}
+    >
+      <div style={{ fontSize: 14, fontWeight: 'bold', marginBottom: 4 }}>
+        {choice.prompt}
+      </div>
+      <div style={{ fontSize: 12, opacity: 0.7, marginBottom: 12 }}>
+        Selected {selected.length} / {choice.max}
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 12, justifyContent: 'center' }}>
+        {choice.options.map(option => {
+          const isSelected = selected.includes(option.id);
+          return option.card ? (
+            <div
+              key={option.id}
+              style={{
+                borderRadius: 10,
+                outline: isSelected ? '3px solid gold' : 'none',
+                opacity: isSelected ? 1 : 0.8
+              }}
+            >
+              <Card card={option.card} small onClick={() => toggle(option.id)} />
+            </div>
+          ) : (
+            <button
+              key={option.id}
+              onClick={() => toggle(option.id)}
+              style={{
+                padding: '8px 16px',
+                background: isSelected ? 'rgba(255,215,0,0.3)' : 'rgba(255,255,255,0.1)',
+                border: isSelected ? '1px solid gold' : '1px solid rgba(255,255,255,0.3)',
+                borderRadius: 6,
+                color: 'white',
+                cursor: 'pointer'
+              }}
+            >
+              {option.label}
+            </button>
+          );
+        })}
+      </div>
+
+      <div style={{ textAlign: 'center' }}>
+        <button
+          onClick={submit}
+          disabled={!canSubmit}
+          style={{
+            padding: '8px 20px',
+            background: canSubmit ? '#4caf50' : 'rgba(255,255,255,0.2)',
+            border: 'none',
+            borderRadius: 6,
+            color: 'white',
+            cursor: canSubmit ? 'pointer' : 'not-allowed',
+            fontWeight: 'bold'
+          }}
+        >
+          Confirm
+        </button>
+      </div>
+    </motion.div>
+  );
+}
@@ -1,17 +1,93 @@
-import React from 'react';
+import React, { useState } from 'react';
 import socket from '../sockets/clientSocket';
+import { useGameStore } from '../store/gameStore';
 export default function Controls({ game }){
- const pass = () => socket.emit('player-action', { gameId: game.id, action: { type: 'pass' } });
- const attackAll = () => {
+ const { priority } = useGameStore();
+ const [blocks, setBlocks] = useState({});
+ const [attacks, setAttacks] = useState({});
+ const priorityPlayerId = priority?.playerId || game.priorityPlayerId;
+ const priorityPlayer = game.players.find(p=>p.id === priorityPlayerId);
+ const stackSize = game.stack ? game.stack.length : 0;
  // take my creatures ids from state (client expects full battlefield objects on my player)
- const me = game.players.find(p=>p.socketId === socket.id) || game.players[0];
- const attackers = (me.battlefield || []).filter(c=>c.type && c.type.includes('Creature')).map(c=>c.id);
- socket.emit('player-action', { gameId: game.id, action: { type: 'attack', attackers } });
+ const me = game.players.find(p=>p.id === game.viewerId) || game.players[0];
+ const opp = game.players.find(p=>p !== me);
+ const declaration = game.combat?.pendingDeclaration;
+ const declaringAttackers = declaration?.kind === 'attackers' && declaration.playerId === me.id;
+ const declaringBlockers = declaration?.kind === 'blockers' && declaration.playerId === me.id;
+ const attackers = (opp?.battlefield || []).filter(c=>(game.combat?.attackers || []).includes(c.id));
+ const send = (action) => socket.emit('player-action', { gameId: game.id, action });
+ const pass = () => send({ type: 'pass-priority' });
+ const concede = () => { if (window.confirm('¿Conceder la partida?')) send({ type: 'concede' }); };
+ const attackAll = () => {
+ const attackers = (me.battlefield || []).filter(c=>c.type && c.type.includes('Creature') && !c.tapped).map(c=>c.id);
+ send({ type: 'attack', attackers });
+ };
+ const noAttack = () => send({ type: 'attack', attackers: [] });
+ // cada atacante elige a quién ataca: el rival, sus planeswalkers o las batallas que protege
+ const attackTargets = game.combat?.attackableTargets || [];
+ const confirmAttacks = () => {
+ const attackers = Object.entries(attacks).filter(([,targetId])=>targetId).map(([attackerId, targetId])=>({ attackerId, targetId }));
+ send({ type: 'attack', attackers });
+ setAttacks({});
+ };
+ const attackedName = (attacker) => {
+ const targetId = game.combat?.attackTargets?.[attacker.id];
+ return [...game.players, ...game.players.flatMap(p=>p.battlefield || [])].find(t=>t.id === targetId)?.name;
+ };
+ // habilidades activadas de mis permanentes; los objetivos y costes se eligen después
+ const abilities = (me.battlefield || []).flatMap(c=>(c.abilities || []).map(ability=>({ card: c, ability })));
+ const activate = (card, ability) => send({ type: 'activate', cardId: card.id, abilityId: ability.id });
+ const confirmBlocks = () => {
+ const blockers = Object.entries(blocks).filter(([,attackerId])=>attackerId).map(([blockerId, attackerId])=>({ blockerId, attackerId }));
+ send({ type: 'block', blockers });
+ setBlocks({});
  };
  return (
  <div style={{marginTop:12}}>
+ <div style={{fontSize:12, opacity:0.8, marginBottom:6}}>
+ Prioridad: {priorityPlayer ? priorityPlayer.name : '—'}{stackSize > 0 ? ` · Pila: ${stackSize}` : ''}
+ </div>
+ {declaringAttackers && (
+ <div style={{marginBottom:6, fontSize:12}}>
+ {(me.battlefield || []).filter(c=>c.type && c.type.includes('Creature') && !c.tapped).map(c => (
+ <div key={c.id} style={{marginBottom:4}}>
+ {c.name} ataca a{' '}
+ <select value={attacks[c.id] || ''} onChange={e=>setAttacks(a=>({ ...a, [c.id]: e.target.value }))}>
+ <option value=''>— no ataca —</option>
+ {attackTargets.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+ </select>
+ </div>
+ ))}
+ <button onClick={confirmAttacks}>Confirmar ataque</button>
  <button onClick={attackAll}>Atacar con todo</button>
- <button onClick={pass}>Pasar</button>
+ <button onClick={noAttack}>No atacar</button>
+ </div>
+ )}
+ {declaringBlockers && (
+ <div style={{marginBottom:6, fontSize:12}}>
+ {(me.battlefield || []).filter(c=>c.type && c.type.includes('Creature') && !c.tapped).map(c => (
+ <div key={c.id} style={{marginBottom:4}}>
+ {c.name} bloquea a{' '}
+ <select value={blocks[c.id] || ''} onChange={e=>setBlocks(b=>({ ...b, [c.id]: e.target.value }))}>
+ <option value=''>— nadie —</option>
+ {attackers.map(a => <option key={a.id} value={a.id}>{a.name} ({a.power}/{a.toughness}) → {attackedName(a) || '—'}</option>)}
+ </select>
+ </div>
+ ))}
+ <button onClick={confirmBlocks}>Confirmar bloqueos</button>
+ </div>
+ )}
+ {abilities.length > 0 && (
+ <div style={{marginBottom:6, fontSize:12}}>
+ {abilities.map(({ card, ability }) => (
+ <button key={ability.id} onClick={()=>activate(card, ability)} disabled={!ability.canActivate} style={{marginRight:4, marginBottom:4}}>
+ {ability.text}
+ </button>
+ ))}
+ </div>
+ )}
+ <button onClick={pass} disabled={!!declaration}>{stackSize > 0 ? 'Pasar (resolver)' : 'Pasar'}</button>
+ <button onClick={concede} disabled={game.phase === 'finished'} style={{marginLeft:8}}>Conceder</button>
  </div>
  );
 }
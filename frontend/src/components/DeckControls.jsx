@@ -5,25 +5,21 @@ import socket from '../sockets/clientSocket';
 export default function DeckControls({ game }) {
   const [deckText, setDeckText] = useState('');
   const [deckUrl, setDeckUrl] = useState('');
+  const [commanders, setCommanders] = useState('');
 
-  const shuffle = () => socket.emit('player-action', { gameId: game.id, action: { type: 'shuffle' } });
-  const draw = () => socket.emit('player-action', { gameId: game.id, action: { type: 'draw', count: 1 } });
+  // Nombres separados por ';' (muchos llevan coma); solo hace falta si la lista no marca el comandante
+  const commanderNames = () => commanders.split(';').map(n => n.trim()).filter(Boolean);
 
   const importText = () => {
-    socket.emit('player-action', { gameId: game.id, action: { type: 'import-deck', deckText } });
+    socket.emit('player-action', { gameId: game.id, action: { type: 'import-deck', deckText, commanders: commanderNames() } });
   };
 
   const importUrl = () => {
-    socket.emit('player-action', { gameId: game.id, action: { type: 'import-deck', deckUrl } });
+    socket.emit('player-action', { gameId: game.id, action: { type: 'import-deck', deckUrl, commanders: commanderNames() } });
   };
 
   return (
     <div style={{ marginTop: 12 }}>
-      <div style={{ display:'flex', gap:8, marginBottom:8 }}>
-        <button onClick={shuffle}>🔄 Barajar</button>
-        <button onClick={draw}>🃏 Robar</button>
-      </div>
-
       <div style={{ marginTop:8 }}>
         <label>Importar deck (pega el decklist):</label><br/>
         <textarea value={deckText} onChange={e=>setDeckText(e.target.value)} rows={4} style={{width:'100%'}} />
@@ -32,6 +28,11 @@ export default function DeckControls({ game }) {
         </div>
       </div>
 
+      <div style={{ marginTop:8 }}>
+        <label>Comandante(s), si la lista no lo indica:</label><br/>
+        <input value={commanders} onChange={e=>setCommanders(e.target.value)} style={{ width:'100%' }} placeholder="Tymna the Weaver; Thrasios, Triton Hero" />
+      </div>
+
       <div style={{ marginTop:12 }}>
         <label>O pega un enlace (Moxfield u otra página de mazos públicos):</label><br/>
         <input value={deckUrl} onChange={e=>setDeckUrl(e.target.value)} style={{ width:'100%' }} placeholder="https://moxfield.com/..." />
@@ -9,7 +9,7 @@ export default function DeckView({ player }) {
 
   useEffect(() => {
     if (!open || !player) return;
-    // vamos a mostrar las 10 últimas cartas (top of library = last elements in array)
+    // el servidor solo envía las cartas del mazo que se nos han revelado (top = últimas del array)
     const top = (player.library || []).slice(-10).reverse();
     setCards(top);
   }, [open, player]);
@@ -20,9 +20,9 @@ export default function DeckView({ player }) {
     <div style={{ marginTop: 10 }}>
       <div style={{ display:'flex', gap:12, alignItems:'center' }}>
         <div>
-          🂠 Mazo: {player.library ? player.library.length : 0} cartas
+          🂠 Mazo: {player.libraryCount || 0} cartas
         </div>
-        <button onClick={()=> setOpen(o=>!o)}>{open ? 'Cerrar mazo' : 'Ver mazo (top 10)'}</button>
+        <button onClick={()=> setOpen(o=>!o)}>{open ? 'Cerrar' : 'Ver cartas reveladas'}</button>
       </div>
 
       {open && (
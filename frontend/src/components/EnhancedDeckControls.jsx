@@ -14,6 +14,8 @@ export default function EnhancedDeckControls({ game, onDeckImport }) {
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [savedDecks, setSavedDecks] = useState([]);
   const [showSavedDecks, setShowSavedDecks] = useState(false);
+  const [pendingDeck, setPendingDeck] = useState(null);
+  const [selectedCommanders, setSelectedCommanders] = useState([]);
 
   const fileInputRef = useRef(null);
 
@@ -74,6 +76,15 @@ export default function EnhancedDeckControls({ game, onDeckImport }) {
 
       const deckData = response.data;
 
+      // The list didn't say which card is the commander: ask the player
+      if (deckData.needsCommanderChoice) {
+        setPendingDeck(deckData);
+        setSelectedCommanders([]);
+        setDeckAnalysis(deckData);
+        setImportStatus({ type: 'warning', message: 'Choose the commander (or two partners) for this deck' });
+        return;
+      }
+
       if (deckData.isValid) {
         setImportStatus({ type: 'success', message: `Successfully imported ${deckData.totalCards} cards!` });
         setPreviewCards(deckData.cards.slice(0, 10)); // Show first 10 cards as preview
@@ -89,7 +100,7 @@ export default function EnhancedDeckControls({ game, onDeckImport }) {
       } else {
         setImportStatus({
           type: 'warning',
-          message: `Imported with warnings: ${deckData.warnings.join(', ')}`
+          message: `Deck is not Duel Commander legal: ${(deckData.validation?.errors || deckData.warnings).join(', ')}`
         });
         setDeckAnalysis(deckData);
       }
@@ -103,6 +114,49 @@ export default function EnhancedDeckControls({ game, onDeckImport }) {
     }
   };
 
+  const toggleCommander = (name) => {
+    setSelectedCommanders(prev => {
+      if (prev.includes(name)) return prev.filter(n => n !== name);
+      if (prev.length >= 2) return prev;
+      return [...prev, name];
+    });
+  };
+
+  const confirmCommanders = async () => {
+    const cards = pendingDeck.cards.map(card => ({ ...card, isCommander: false }));
+    for (const name of selectedCommanders) {
+      const card = cards.find(c => c.name === name && !c.isCommander);
+      if (card) card.isCommander = true;
+    }
+
+    try {
+      const response = await axios.post('/api/deck/validate', { cards });
+      const deckData = {
+        ...pendingDeck,
+        ...response.data,
+        cards,
+        commanders: selectedCommanders,
+        commanderCandidates: [],
+        needsCommanderChoice: false
+      };
+
+      setPendingDeck(null);
+      setDeckAnalysis(deckData);
+      setImportStatus(deckData.isValid
+        ? { type: 'success', message: `Commander set: ${selectedCommanders.join(' + ')}` }
+        : { type: 'warning', message: `Deck is not Duel Commander legal: ${deckData.validation.errors.join(', ')}` });
+
+      if (onDeckImport) {
+        onDeckImport(deckData);
+      }
+    } catch (error) {
+      setImportStatus({
+        type: 'error',
+        message: error.response?.data?.message || error.message || 'Validation failed'
+      });
+    }
+  };
+
   const handlePreview = async () => {
     if (!deckText.trim() && !deckUrl.trim()) return;
 
@@ -577,6 +631,68 @@ export default function EnhancedDeckControls({ game, onDeckImport }) {
         )}
       </AnimatePresence>
 
+      {/* Commander Picker */}
+      <AnimatePresence>
+        {pendingDeck && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            style={{
+              background: 'rgba(255,215,0,0.08)',
+              border: '1px solid rgba(255,215,0,0.3)',
+              borderRadius: 8,
+              padding: 16,
+              marginBottom: 20
+            }}
+          >
+            <div style={{ fontSize: 14, fontWeight: 'bold', marginBottom: 8 }}>
+              Choose Commander
+            </div>
+            {pendingDeck.commanderCandidates.length === 0 ? (
+              <div style={{ fontSize: 12, color: '#f44336' }}>
+                No card in this deck can be a commander
+              </div>
+            ) : (
+              <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 12 }}>
+                {pendingDeck.commanderCandidates.map(name => (
+                  <button
+                    key={name}
+                    onClick={() => toggleCommander(name)}
+                    style={{
+                      padding: '6px 12px',
+                      background: selectedCommanders.includes(name) ? 'rgba(255,215,0,0.3)' : 'rgba(255,255,255,0.1)',
+                      border: selectedCommanders.includes(name) ? '1px solid gold' : '1px solid rgba(255,255,255,0.3)',
+                      borderRadius: 6,
+                      color: 'white',
+                      cursor: 'pointer',
+                      fontSize: 12
+                    }}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+            )}
+            <button
+              onClick={confirmCommanders}
+              disabled={selectedCommanders.length === 0}
+              style={{
+                padding: '8px 16px',
+                background: selectedCommanders.length > 0 ? '#4caf50' : 'rgba(255,255,255,0.2)',
+                border: 'none',
+                borderRadius: 6,
+                color: 'white',
+                cursor: selectedCommanders.length > 0 ? 'pointer' : 'not-allowed',
+                fontWeight: 'bold'
+              }}
+            >
+              Confirm Commander
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Deck Analysis */}
       <AnimatePresence>
         {deckAnalysis && (
@@ -618,8 +734,39 @@ export default function EnhancedDeckControls({ game, onDeckImport }) {
                   {deckAnalysis.isValid ? 'Yes' : 'No'}
                 </div>
               </div>
+              {deckAnalysis.validation && (
+                <>
+                  <div>
+                    <div style={{ fontSize: 12, opacity: 0.7 }}>Commander</div>
+                    <div style={{ fontSize: 14, fontWeight: 'bold' }}>
+                      {deckAnalysis.validation.commanders.join(' + ') || 'None'}
+                    </div>
+                  </div>
+                  <div>
+                    <div style={{ fontSize: 12, opacity: 0.7 }}>Color Identity</div>
+                    <div style={{ fontSize: 14, fontWeight: 'bold' }}>
+                      {deckAnalysis.validation.colorIdentity.join('') || 'Colorless'}
+                    </div>
+                  </div>
+                </>
+              )}
             </div>
 
+            {deckAnalysis.validation?.errors.length > 0 && (
+              <div style={{ marginTop: 12 }}>
+                <div style={{ fontSize: 12, opacity: 0.7, marginBottom: 4 }}>Legality:</div>
+                {deckAnalysis.validation.errors.map((error, index) => (
+                  <div key={index} style={{
+                    fontSize: 11,
+                    color: '#f44336',
+                    marginBottom: 2
+                  }}>
+                    ❌ {error}
+                  </div>
+                ))}
+              </div>
+            )}
+
             {deckAnalysis.warnings && deckAnalysis.warnings.length > 0 && (
               <div style={{ marginTop: 12 }}>
                 <div style={{ fontSize: 12, opacity: 0.7, marginBottom: 4 }}>Warnings:</div>
@@ -2,15 +2,17 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { useGameStore } from '../store/gameStore';
 import { motion, AnimatePresence } from 'framer-motion';
-import AnimatedCard, { SpellCastingCard, DamagedCard, HealedCard } from './AnimatedCard';
+import AnimatedCard, { SpellCastingCard, DamagedCard, HealedCard, CardZoneTransition, CreatureTokenCard } from './AnimatedCard';
 import Hand from './Hand';
 import Controls from './Controls';
 import DeckControls from './DeckControls';
 import DeckView from './DeckView';
+import ChoicePrompt from './ChoicePrompt';
+import GameLog from './GameLog';
 import socket from '../sockets/clientSocket';
 
 export default function GameBoard() {
-  const { state } = useGameStore();
+  const { state, zoneChanges } = useGameStore();
   const [phaseTransition, setPhaseTransition] = useState(false);
   const [turnChange, setTurnChange] = useState(false);
   const [combatStep, setCombatStep] = useState('');
@@ -57,8 +59,31 @@ export default function GameBoard() {
 
   if (!state) return null;
 
-  const me = state.players[0];
-  const opp = state.players[1];
+  const me = state.players.find(p => p.id === state.viewerId) || state.players[0];
+  const opp = state.players.find(p => p !== me);
+  const myChoice = (state.pendingChoices || []).find(c => c.playerId === me.id);
+  const startingPlayer = state.players.find(p => p.id === state.startingPlayerId);
+
+  // Clicking an untapped permanent activates its mana ability
+  const tapForMana = (card) => {
+    if (card.tapped) return;
+    socket.emit('player-action', {
+      gameId: state.id,
+      action: { type: 'tap-for-mana', cardId: card.id }
+    });
+  };
+
+  const rematch = () => socket.emit('rematch', { gameId: state.id });
+
+  // The zone a permanent just came from, if it moved in the last update
+  const enteredFrom = (card) => zoneChanges.find(change => change.cardId === card.id && change.to === 'battlefield')?.from;
+
+  const castCommander = (card) => {
+    socket.emit('player-action', {
+      gameId: state.id,
+      action: { type: 'cast', cardId: card.id, fromCommandZone: true }
+    });
+  };
 
   // Animation variants
   const boardVariants = {
@@ -133,10 +158,31 @@ export default function GameBoard() {
       case 'combat': return 'Combat Phase';
       case 'main2': return 'Main Phase 2';
       case 'end': return 'End Phase';
+      case 'pregame': return 'Pre-game';
       default: return state.phase;
     }
   };
 
+  // Step display names
+  const getStepDisplayName = () => {
+    switch (state.step) {
+      case 'untap': return 'Untap';
+      case 'upkeep': return 'Upkeep';
+      case 'draw': return 'Draw';
+      case 'beginning_of_combat': return 'Beginning of Combat';
+      case 'declare_attackers': return 'Declare Attackers';
+      case 'declare_blockers': return 'Declare Blockers';
+      case 'first_strike_damage': return 'First Strike Damage';
+      case 'combat_damage': return 'Combat Damage';
+      case 'end_of_combat': return 'End of Combat';
+      case 'end': return 'End Step';
+      case 'cleanup': return 'Cleanup';
+      case 'coin_flip': return 'Coin Flip';
+      case 'mulligan': return 'Mulligans';
+      default: return null;
+    }
+  };
+
   return (
     <motion.div
       className="game-board"
@@ -222,6 +268,11 @@ export default function GameBoard() {
               <div style={{ fontSize: 18, fontWeight: 'bold' }}>
                 {getPhaseDisplayName()}
               </div>
+              {getStepDisplayName() && (
+                <div style={{ fontSize: 13, opacity: 0.8, marginTop: 2 }}>
+                  {getStepDisplayName()}
+                </div>
+              )}
             </div>
           </motion.div>
         )}
@@ -240,6 +291,14 @@ export default function GameBoard() {
         <div style={{ fontSize: 14, opacity: 0.7 }}>
           Game ID: {state.id}
         </div>
+        <div style={{ fontSize: 13, opacity: 0.8, marginTop: 4 }}>
+          Turn {state.turn} · {getPhaseDisplayName()}{getStepDisplayName() ? ` — ${getStepDisplayName()}` : ''}
+        </div>
+        {startingPlayer && (
+          <div style={{ fontSize: 12, opacity: 0.7, marginTop: 2 }}>
+            {startingPlayer.name} played first
+          </div>
+        )}
       </motion.div>
 
       <div style={{ display: 'flex', justifyContent: 'space-between', gap: 24, marginTop: 24 }}>
@@ -288,12 +347,14 @@ export default function GameBoard() {
                       exit={{ scale: 0, opacity: 0 }}
                       transition={{ delay: index * 0.05 }}
                     >
-                      <AnimatedCard
-                        card={card}
-                        small={true}
-                        isTapped={card.tapped}
-                        isAttacking={card.isAttacking}
-                      />
+                      <CardZoneTransition card={card} fromZone={enteredFrom(card)} toZone="battlefield">
+                        <PermanentCard
+                          card={card}
+                          small={true}
+                          isTapped={card.tapped}
+                          isAttacking={card.isAttacking}
+                        />
+                      </CardZoneTransition>
                     </motion.div>
                   ))}
                 </AnimatePresence>
@@ -383,12 +444,15 @@ export default function GameBoard() {
                   >
                     <AnimatedCard
                       card={card}
-                      onClick={() => {/* Handle commander click */}}
+                      onClick={() => castCommander(card)}
                       style={{
                         border: '2px solid gold',
                         boxShadow: '0 0 20px rgba(255,215,0,0.3)'
                       }}
                     />
+                    <div style={{ fontSize: 11, opacity: 0.8, textAlign: 'center', marginTop: 4 }}>
+                      Cast {me.commanderCastCounts?.[card.name] || 0}× · tax +{2 * (me.commanderCastCounts?.[card.name] || 0)}
+                    </div>
                   </motion.div>
                 ))}
               </AnimatePresence>
@@ -428,14 +492,16 @@ export default function GameBoard() {
                       stiffness: 200
                     }}
                   >
-                    <AnimatedCard
-                      card={card}
-                      onClick={() => {/* Handle battlefield card click */}}
-                      isTapped={card.tapped}
-                      isAttacking={card.isAttacking}
-                      isBlocking={card.isBlocking}
-                      showPowerToughness={true}
-                    />
+                    <CardZoneTransition card={card} fromZone={enteredFrom(card)} toZone="battlefield">
+                      <PermanentCard
+                        card={card}
+                        onClick={() => tapForMana(card)}
+                        isTapped={card.tapped}
+                        isAttacking={card.isAttacking}
+                        isBlocking={card.isBlocking}
+                        showPowerToughness={true}
+                      />
+                    </CardZoneTransition>
                   </motion.div>
                 ))}
               </AnimatePresence>
@@ -459,6 +525,11 @@ export default function GameBoard() {
           <div style={{ marginTop: 16 }}>
             <DeckView player={me} />
           </div>
+
+          {/* Game Log */}
+          <div style={{ marginTop: 16 }}>
+            <GameLog log={state.log} />
+          </div>
         </motion.div>
 
         {/* Player Section */}
@@ -499,7 +570,7 @@ export default function GameBoard() {
                     animate={{ scale: 1, opacity: 1 }}
                     transition={{ delay: index * 0.05 }}
                   >
-                    <AnimatedCard
+                    <PermanentCard
                       card={card}
                       small={true}
                       isTapped={card.tapped}
@@ -535,6 +606,9 @@ export default function GameBoard() {
         </motion.div>
       </div>
 
+      {/* Pending decision for this player */}
+      <ChoicePrompt key={myChoice?.id} game={state} choice={myChoice} />
+
       {/* Game Over Display */}
       {state.phase === 'finished' && (
         <motion.div
@@ -555,19 +629,55 @@ export default function GameBoard() {
             border: '2px solid gold'
           }}
         >
-          <div style={{ fontSize: 64, marginBottom: 16 }}>🏆</div>
+          <div style={{ fontSize: 64, marginBottom: 16 }}>{state.winner === me.id ? '🏆' : '💀'}</div>
           <div style={{ fontSize: 24, fontWeight: 'bold', color: 'gold', marginBottom: 8 }}>
-            Victory!
+            {state.winner === me.id ? 'Victory!' : state.winner ? 'Defeat' : 'Draw'}
           </div>
           <div style={{ fontSize: 18, opacity: 0.9 }}>
-            Winner: {state.players.find(p => p.id === state.winner)?.name}
+            Winner: {state.players.find(p => p.id === state.winner)?.name || '—'}
+          </div>
+          <div style={{ fontSize: 14, opacity: 0.7, marginTop: 8 }}>
+            {getWinReasonText(state.winReason)}
           </div>
+          <button
+            onClick={rematch}
+            style={{
+              marginTop: 20,
+              padding: '8px 20px',
+              background: '#4caf50',
+              border: 'none',
+              borderRadius: 6,
+              color: 'white',
+              cursor: 'pointer',
+              fontWeight: 'bold'
+            }}
+          >
+            Rematch
+          </button>
         </motion.div>
       )}
     </motion.div>
   );
 }
 
+// Tokens get their own frame on the battlefield
+function PermanentCard({ card, ...props }) {
+  const Card = card.isToken ? CreatureTokenCard : AnimatedCard;
+  return <Card card={card} {...props} />;
+}
+
+function getWinReasonText(reason) {
+  switch (reason) {
+    case 'life': return 'Life total reduced to 0';
+    case 'empty_library': return 'Drew from an empty library';
+    case 'poison': return '10 poison counters';
+    case 'concession': return 'Concession';
+    case 'win_effect': return 'A card effect won the game';
+    case 'lose_effect': return 'A card effect lost the game';
+    default: return '';
+  }
+}
+
 // Life Counter Component
 function LifeCounter({ player, lifeChange, variant = 'player' }) {
   const isOpponent = variant === 'opponent';
@@ -598,6 +708,9 @@ function LifeCounter({ player, lifeChange, variant = 'player' }) {
         >
           {player.life}
         </motion.span>
+        {player.counters?.poison > 0 && (
+          <span title="Poison counters">☠️ {player.counters.poison}</span>
+        )}
       </motion.div>
 
       <AnimatePresence>
@@ -0,0 +1,30 @@
+// frontend/src/components/GameLog.jsx
+import React from 'react';
+
+const VISIBLE_ENTRIES = 8;
+
+export default function GameLog({ log }) {
+  if (!log || log.length === 0) return null;
+
+  const entries = log.slice(-VISIBLE_ENTRIES).reverse();
+
+  return (
+    <div
+      style={{
+        background: 'rgba(255,255,255,0.05)',
+        border: '1px solid rgba(255,255,255,0.1)',
+        borderRadius: 8,
+        padding: 12,
+        fontSize: 12,
+        textAlign: 'left'
+      }}
+    >
+      <div style={{ fontWeight: 'bold', opacity: 0.7, marginBottom: 6 }}>Game Log</div>
+      {entries.map((entry, index) => (
+        <div key={log.length - index} style={{ opacity: index === 0 ? 1 : 0.7 }}>
+          <span style={{ opacity: 0.6 }}>T{entry.turn}</span> {entry.message}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,5 +1,9 @@
 import create from 'zustand';
 export const useGameStore = create(set => ({
  state: null,
- setState: (s) => set({ state: s })
+ priority: null,
+ zoneChanges: [],
+ setState: (s) => set({ state: s }),
+ setPriority: (p) => set({ priority: p }),
+ setZoneChanges: (z) => set({ zoneChanges: z })
 }));